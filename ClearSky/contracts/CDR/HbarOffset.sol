@@ -16,6 +16,16 @@ contract HbarOffset {
         address poolAddress, // Pool address associated with this offset
         uint256 requestId
     );
+    event RetirementRecorded(
+        address indexed poolAddress,
+        uint256 indexed requestId,
+        uint256 componentIndex,
+        string projectId,
+        uint256 microTonnes, // tonnes * 1e6
+        string orderId, // Carbonmark order
+        string retirementUrl,
+        uint256 recordedAt
+    );
     uint256 public nextRequestId;
     address public owner;
     constructor() {
@@ -29,15 +39,17 @@ contract HbarOffset {
      *          "projectId": "VCS-191",
      *          "beneficiaryName": "Acme Inc."
      *        }
-     * @param amount The amount of HBAR (in tinybars) to send for the offset
+     * @param amount The amount of HBAR (in tinybars) to send for the offset;
+     *        msg.value must be exactly this amount
      * @param poolAddress The pool address associated with this offset request
      */
     function requestOffset(
         string calldata metadata,
         uint256 amount,
         address poolAddress
-    ) external {
+    ) external payable {
         require(amount > 0, "Amount must be greater than 0");
+        require(msg.value == amount, "msg.value must equal amount");
         require(poolAddress != address(0), "Pool address cannot be zero");
         uint256 requestId = nextRequestId;
         nextRequestId += 1;
@@ -49,6 +61,33 @@ contract HbarOffset {
             requestId
         );
     }
+    /**
+     * @notice Append a retirement to its pool's history. The factory only
+     *         keeps a pool's latest retirement URL; these events keep every
+     *         retirement behind it, whichever relayer instance made it.
+     */
+    function recordRetirement(
+        address poolAddress,
+        uint256 requestId,
+        uint256 componentIndex,
+        string calldata projectId,
+        uint256 microTonnes,
+        string calldata orderId,
+        string calldata retirementUrl
+    ) external {
+        require(msg.sender == owner, "Only owner");
+        require(requestId > 0 && requestId < nextRequestId, "Unknown request");
+        emit RetirementRecorded(
+            poolAddress,
+            requestId,
+            componentIndex,
+            projectId,
+            microTonnes,
+            orderId,
+            retirementUrl,
+            block.timestamp
+        );
+    }
     /**
      * @notice Sweep HBAR from the contract to a treasury wallet.
      *         Typically called by your backend / ops wallet.
@@ -0,0 +1,163 @@
+import http from "http";
+
+/**
+ * Embedded admin HTTP API for the relayer.
+ *
+ *   GET  /health                  liveness + queue / cursor summary
+ *   GET  /requests?status=&user=  list requests (newest first, `limit` caps it)
+ *   GET  /requests/:id            one request by requestId or event key, with
+ *                                 its orders and every quote tried
+ *   POST /requests/:id/retry      re-drive a dead letter or retry now
+ *   GET  /treasury/sweeps?from=&to=  treasury sweeps started in that range
+ *   GET  /pools                   pools with retirements, one summary each
+ *   GET  /pools/:address/retirements?from=&to=  every retirement behind a pool
+ *   GET  /metrics                 Prometheus metrics
+ *
+ * The relayer passes in callbacks so this module never touches its queue
+ * directly. When `token` is set, POST routes need `Authorization: Bearer <token>`.
+ */
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// The URL and its decoded path segments, or null when either is malformed
+// (e.g. a stray "%" in the path)
+function parseRequestUrl(req) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const parts = url.pathname
+      .split("/")
+      .filter(Boolean)
+      .map(decodeURIComponent);
+    return { url, parts };
+  } catch {
+    return null;
+  }
+}
+
+export function startAdminServer({
+  port,
+  host = "127.0.0.1",
+  token = null,
+  health,
+  listRequests,
+  getRequest,
+  retryRequest,
+  listSweeps,
+  listPools,
+  listPoolRetirements,
+  renderMetrics,
+}) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      const parsed = parseRequestUrl(req);
+      if (!parsed) {
+        return sendJson(res, 400, { error: `Malformed URL: ${req.url}` });
+      }
+      const { url, parts } = parsed;
+
+      if (req.method === "GET" && url.pathname === "/health") {
+        return sendJson(res, 200, await health());
+      }
+
+      if (req.method === "GET" && url.pathname === "/metrics") {
+        res.writeHead(200, {
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        });
+        return res.end(await renderMetrics());
+      }
+
+      if (req.method === "GET" && url.pathname === "/requests") {
+        const requests = listRequests({
+          status: url.searchParams.get("status"),
+          user: url.searchParams.get("user"),
+          limit: Number(url.searchParams.get("limit")) || 100,
+        });
+        return sendJson(res, 200, { count: requests.length, requests });
+      }
+
+      if (
+        req.method === "GET" &&
+        parts[0] === "requests" &&
+        parts.length === 2
+      ) {
+        const request = getRequest(parts[1]);
+        return request
+          ? sendJson(res, 200, request)
+          : sendJson(res, 404, { error: `Request not found: ${parts[1]}` });
+      }
+
+      if (
+        req.method === "POST" &&
+        parts[0] === "requests" &&
+        parts[2] === "retry" &&
+        parts.length === 3
+      ) {
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+          return sendJson(res, 401, { error: "Unauthorized" });
+        }
+        const { status, body } = retryRequest(parts[1]);
+        return sendJson(res, status, body);
+      }
+
+      if (req.method === "GET" && url.pathname === "/treasury/sweeps") {
+        const sweeps = listSweeps({
+          from: url.searchParams.get("from"),
+          to: url.searchParams.get("to"),
+          status: url.searchParams.get("status"),
+        });
+        return sendJson(res, 200, { count: sweeps.length, sweeps });
+      }
+
+      if (req.method === "GET" && url.pathname === "/pools") {
+        const pools = listPools();
+        return sendJson(res, 200, { count: pools.length, pools });
+      }
+
+      if (
+        req.method === "GET" &&
+        parts[0] === "pools" &&
+        parts[2] === "retirements" &&
+        parts.length === 3
+      ) {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(parts[1])) {
+          return sendJson(res, 400, {
+            error: `Not a pool address: ${parts[1]}`,
+          });
+        }
+        const retirements = listPoolRetirements({
+          pool: parts[1],
+          from: url.searchParams.get("from"),
+          to: url.searchParams.get("to"),
+        });
+        return sendJson(res, 200, {
+          pool: parts[1],
+          count: retirements.length,
+          tonnes:
+            Math.round(
+              retirements.reduce((sum, r) => sum + r.tonnes, 0) * 1e6
+            ) / 1e6,
+          retirements,
+        });
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (err) {
+      console.error("❌ Admin API error:", err);
+      sendJson(res, 500, { error: err.message });
+    }
+  });
+
+  // A port already in use must not take the relayer down with it
+  server.on("error", (err) => {
+    console.error(
+      `❌ Admin API on ${host}:${port} is unavailable: ${err.message}`
+    );
+  });
+  server.listen(port, host, () => {
+    console.log(`🛠️  Admin API listening on http://${host}:${port}`);
+  });
+  return server;
+}
@@ -0,0 +1,228 @@
+import { RequestRejectedError } from "./relayerErrors.js";
+import { selectCheapestListing } from "./projectSelection.js";
+import { queueRefund } from "./refunds.js";
+import {
+  getBatch,
+  addToBatch,
+  markBatchExpired,
+  sealBatch,
+  markBatchRetired,
+  contributorShares,
+} from "./retirementBatches.js";
+
+/**
+ * Pooling of requests too small to retire alone (retirementBatches.js holds
+ * the batch records). A batch is sealed into a synthetic request of its own,
+ * "batch:<id>", once it buys `minTonnes`, or flushed with whatever it holds
+ * after `maxAgeMs`; it retires to `beneficiary`. Sealed batches and settled
+ * contributors are handed to `enqueue(eventKey)`.
+ */
+export function createBatchPooling({
+  store,
+  getPrices,
+  minTonnes,
+  maxAgeMs,
+  beneficiary,
+  beneficiaryName = "ClearSky pooled retirement",
+  enqueue,
+  postRevenue = () => {},
+}) {
+  // Seal `batch` into a request of its own once it buys `minTonnes` (or
+  // anything at all when `flush` is set). `trigger` is the request that
+  // sealed it, whose place in the queue the batch takes on a resume.
+  async function sealBatchIfReady(batch, trigger, { flush = false } = {}) {
+    const { criteria } = batch;
+    const selection = selectCheapestListing(
+      await getPrices(criteria.projectIds),
+      criteria,
+      batch.usdTotal
+    );
+    if (selection.tonnes < minTonnes && !flush) return batch;
+
+    const { listing, tonnes } = selection;
+    const eventKey = `batch:${batch.id}`;
+    const reqId = `batch-${batch.id}`;
+    const at = new Date().toISOString();
+    const sealed = store.transaction(() => {
+      // Another request may have joined or sealed the batch while we priced it
+      const current = getBatch(store, batch.id);
+      if (current.status !== "open" || current.usdTotal !== batch.usdTotal) {
+        batch = current;
+        return false;
+      }
+      store.put("requests", eventKey, {
+        eventKey,
+        reqId,
+        kind: "batch",
+        batchId: batch.id,
+        user: "batch",
+        poolAddress: null,
+        metadata: null,
+        blockNumber: trigger.blockNumber,
+        logIndex: trigger.logIndex,
+        usdValue: batch.usdTotal,
+        beneficiaryName,
+        beneficiaryAddress: beneficiary,
+        projectId: listing.projectId,
+        tonnes,
+        components: [
+          {
+            index: 0,
+            share: 1,
+            selectionCriteria: criteria,
+            usdValue: batch.usdTotal,
+            projectId: listing.projectId,
+            priceSourceId: listing.sourceId,
+            pricePerTonne: listing.purchasePrice,
+            tonnes,
+            status: "priced",
+          },
+        ],
+        status: "priced",
+        attempts: 0,
+        receivedAt: at,
+        history: [{ status: "priced", at }],
+      });
+      store.put("requestIds", reqId, eventKey);
+      batch = sealBatch(store, batch.id, eventKey);
+      return true;
+    });
+    if (!sealed) return batch;
+    console.log(
+      `📦 Batch ${batch.id} ${flush ? "flushed" : "sealed"}: ${tonnes} t of ${
+        listing.projectId
+      } for ${batch.contributions.length} request(s)`
+    );
+    enqueue(eventKey);
+    return batch;
+  }
+
+  function expireBatch(batch, reason) {
+    const rejectionReason = `Batch ${batch.id} expired unfilled: ${reason}`;
+    console.warn(`⌛ ${rejectionReason}`);
+    store.transaction(() => {
+      for (const { eventKey } of batch.contributions) {
+        const contributor = store.get("requests", eventKey);
+        if (!contributor || contributor.status !== "batched") continue;
+        store.update("requests", eventKey, {
+          status: "rejected",
+          rejectionReason,
+          refundStatus: "queued",
+          history: [
+            ...(contributor.history || []),
+            { status: "rejected", at: new Date().toISOString() },
+          ],
+        });
+        queueRefund(store, contributor, rejectionReason);
+      }
+      markBatchExpired(store, batch.id, reason);
+    });
+  }
+
+  return {
+    sealBatchIfReady,
+    expireBatch,
+
+    // Pool a sub-minimum request and seal its batch once it is big enough
+    async joinBatch(request, criteria, usd) {
+      if (!beneficiary) {
+        throw new RequestRejectedError(
+          "Funds are below the minimum fill and there is no batch beneficiary to pool them for"
+        );
+      }
+      const batch = addToBatch(store, criteria, {
+        eventKey: request.eventKey,
+        reqId: request.reqId,
+        user: request.user,
+        usdValue: usd,
+      });
+      console.log(
+        `🧺 Request ${
+          request.reqId
+        } is below the minimum fill, pooled into batch ${
+          batch.id
+        } ($${batch.usdTotal.toFixed(4)} from ${
+          batch.contributions.length
+        } request(s))`
+      );
+      try {
+        return await sealBatchIfReady(batch, request);
+      } catch (err) {
+        // Not enough yet for any listing; later requests will top it up
+        if (err instanceof RequestRejectedError) return batch;
+        throw err;
+      }
+    },
+
+    // Seal batches that stayed open longer than `maxAgeMs` with what they
+    // hold; refund the contributors of those too small to fill
+    async flushAgedBatches() {
+      const cutoff = Date.now() - maxAgeMs;
+      const aged = store.list(
+        "batches",
+        (batch) =>
+          batch.status === "open" && Date.parse(batch.createdAt) < cutoff
+      );
+      for (const batch of aged) {
+        const trigger = store.get(
+          "requests",
+          batch.contributions.at(-1).eventKey
+        );
+        try {
+          await sealBatchIfReady(batch, trigger, { flush: true });
+        } catch (err) {
+          if (!(err instanceof RequestRejectedError)) {
+            console.error(`❌ Could not flush batch ${batch.id}:`, err.message);
+            continue;
+          }
+          expireBatch(batch, err.reason);
+        }
+      }
+    },
+
+    // Credit every contributor of a retired batch with its fractional share
+    settleBatch(request) {
+      const batch = getBatch(store, request.batchId);
+      const [retirement] = store.get("requests", request.eventKey).components;
+
+      for (const share of contributorShares(batch, retirement.tonnes)) {
+        const contributor = store.get("requests", share.eventKey);
+        if (!contributor || contributor.status !== "batched") continue;
+
+        store.update("requests", share.eventKey, {
+          status: "completed",
+          projectId: retirement.projectId,
+          tonnes: share.tonnes,
+          batchShare: share.share,
+          components: [
+            {
+              index: 0,
+              share: 1,
+              batchId: batch.id,
+              batchShare: share.share,
+              projectId: retirement.projectId,
+              tonnes: share.tonnes,
+              orderId: retirement.orderId,
+              retirementUrl: retirement.retirementUrl,
+              polygonscanUrl: retirement.polygonscanUrl,
+              status: "completed",
+              completedAt: retirement.completedAt,
+            },
+          ],
+          history: [
+            ...(contributor.history || []),
+            { status: "completed", at: new Date().toISOString() },
+          ],
+        });
+        console.log(
+          `🧾 Request ${share.reqId}: ${share.tonnes} t (${(
+            share.share * 100
+          ).toFixed(2)}%) of batch ${batch.id}`
+        );
+        postRevenue(contributor);
+        enqueue(share.eventKey);
+      }
+      markBatchRetired(store, batch.id);
+    },
+  };
+}
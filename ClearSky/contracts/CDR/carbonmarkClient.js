@@ -0,0 +1,175 @@
+import fetch from "node-fetch";
+import { QuoteExpiredError, StepFailedError } from "./relayerErrors.js";
+import { extractOrderId } from "./orderRegistry.js";
+
+/**
+ * Carbonmark REST API: price listings, quotes and retirement orders.
+ * `observe(operation, seconds)` is told how long every call took (the relayer
+ * feeds its latency histogram with it).
+ */
+export function createCarbonmarkClient({
+  baseUrl,
+  apiKey,
+  observe = () => {},
+}) {
+  const headers = {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${apiKey}`,
+  };
+
+  async function carbonmarkFetch(operation, url, options = {}) {
+    const started = Date.now();
+    try {
+      return await fetch(url, { headers, ...options });
+    } finally {
+      observe(operation, (Date.now() - started) / 1000);
+    }
+  }
+
+  async function checkOrderStatus(orderId, quoteUuid) {
+    const url = `${baseUrl}/orders?ids=${orderId}&quote_uuid=${quoteUuid}`;
+    const res = await carbonmarkFetch("order_status", url);
+    if (!res.ok)
+      throw new Error(
+        `Order status check failed: ${res.status} ${await res.text()}`
+      );
+    const orders = await res.json();
+    return Array.isArray(orders) && orders.length > 0 ? orders[0] : null;
+  }
+
+  return {
+    baseUrl,
+
+    // Price listings for the given projects, or every listing when none given
+    async getPrices(projectIds = null) {
+      const url = projectIds
+        ? `${baseUrl}/prices?projectIds=${encodeURIComponent(
+            projectIds.join(",")
+          )}`
+        : `${baseUrl}/prices`;
+      const res = await carbonmarkFetch("prices", url);
+      if (!res.ok)
+        throw new Error(
+          `Price fetch failed: ${res.status} ${await res.text()}`
+        );
+      const arr = await res.json();
+      return Array.isArray(arr) ? arr : [];
+    },
+
+    async createQuote(asset_price_source_id, tonnes) {
+      const res = await carbonmarkFetch("quote", `${baseUrl}/quotes`, {
+        method: "POST",
+        body: JSON.stringify({
+          asset_price_source_id,
+          quantity_tonnes: tonnes,
+        }),
+      });
+      if (!res.ok)
+        throw new Error(`Quote failed: ${res.status} ${await res.text()}`);
+      return res.json();
+    },
+
+    async createOrder(quoteUuid, beneficiaryName, beneficiaryAddress, message) {
+      const res = await carbonmarkFetch("order", `${baseUrl}/orders`, {
+        method: "POST",
+        body: JSON.stringify({
+          quote_uuid: quoteUuid,
+          beneficiary_name: beneficiaryName,
+          beneficiary_address: beneficiaryAddress,
+          retirement_message: message,
+          consumption_metadata: null, // Set to null (required by Carbonmark API)
+        }),
+      });
+      if (!res.ok) {
+        const body = await res.text();
+        if (/expired/i.test(body)) {
+          throw new QuoteExpiredError(
+            `Quote ${quoteUuid} expired: ${res.status} ${body}`,
+            { quoteUuid }
+          );
+        }
+        throw new Error(`Order failed: ${res.status} ${body}`);
+      }
+      return res.json();
+    },
+
+    checkOrderStatus,
+
+    // Carbonmark's view of several orders at once: orderId -> order, for the
+    // ones it knows
+    async getOrders(orderIds) {
+      const found = new Map();
+      for (let i = 0; i < orderIds.length; i += 50) {
+        const ids = orderIds.slice(i, i + 50).join(",");
+        const res = await carbonmarkFetch(
+          "order_lookup",
+          `${baseUrl}/orders?ids=${ids}`
+        );
+        if (!res.ok)
+          throw new Error(
+            `Order lookup failed: ${res.status} ${await res.text()}`
+          );
+        const orders = await res.json();
+        for (const order of Array.isArray(orders) ? orders : []) {
+          const orderId = extractOrderId(order);
+          if (orderId) found.set(String(orderId), order);
+        }
+      }
+      return found;
+    },
+
+    // Orders placed from a quote (used to reconcile an order whose creation
+    // response was lost)
+    async findOrderByQuote(quoteUuid) {
+      const url = `${baseUrl}/orders?quote_uuid=${quoteUuid}`;
+      const res = await carbonmarkFetch("order_lookup", url);
+      if (!res.ok)
+        throw new Error(
+          `Order lookup failed: ${res.status} ${await res.text()}`
+        );
+      const orders = await res.json();
+      return Array.isArray(orders) && orders.length > 0 ? orders[0] : null;
+    },
+
+    // One look at an order: the completed order, or null while it is still
+    // open. `pushed` is the latest webhook delivery for it, used instead of
+    // asking Carbonmark when it already settles the order.
+    async checkOrderOutcome(orderId, quoteUuid, pushed = null) {
+      const order =
+        pushed &&
+        ((pushed.status === "COMPLETED" && pushed.view_retirement_url) ||
+          pushed.status === "FAILED" ||
+          pushed.status === "CANCELLED")
+          ? pushed
+          : await checkOrderStatus(orderId, quoteUuid);
+
+      if (!order) {
+        console.log(`   Order ${orderId} not found yet`);
+        return null;
+      }
+
+      if (order.status === "COMPLETED") {
+        console.log(`✅ Order ${orderId} completed!`);
+        if (order.view_retirement_url) {
+          console.log(`🔗 View Retirement: ${order.view_retirement_url}`);
+        }
+        if (order.polygonscan_url) {
+          console.log(`🔗 PolygonScan: ${order.polygonscan_url}`);
+        }
+        return order;
+      }
+
+      if (order.status === "FAILED" || order.status === "CANCELLED") {
+        // Checking again will not help; a re-drive needs a fresh quote
+        throw new StepFailedError(
+          `Order ${order.status.toLowerCase()}: ${orderId}`,
+          { resumeState: "priced" }
+        );
+      }
+
+      console.log(`   Order ${orderId} status: ${order.status}`);
+      return null;
+    },
+  };
+}
@@ -0,0 +1,177 @@
+import crypto from "crypto";
+import http from "http";
+
+/**
+ * Receiver for Carbonmark order status webhooks.
+ *
+ *   POST <path>   body: the order (or `{ id, type, data: <order> }`)
+ *
+ * Every delivery must carry
+ *   X-Carbonmark-Timestamp   unix seconds when it was signed
+ *   X-Carbonmark-Signature   hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed
+ *                            with the shared secret ("sha256=" prefix allowed)
+ *
+ * Deliveries signed more than `toleranceMs` away from now are refused, and
+ * the signature of every accepted delivery (it covers timestamp and body) is
+ * remembered in the journal's "webhookDeliveries" collection for twice that
+ * window, so a captured request cannot be replayed.
+ */
+
+const MAX_BODY_BYTES = 256 * 1024;
+
+export function signWebhookPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+}
+
+// Returns null when the signature is good, otherwise why it is not
+export function webhookSignatureError({
+  secret,
+  timestamp,
+  signature,
+  rawBody,
+  toleranceMs,
+  now = Date.now(),
+}) {
+  if (!timestamp || !signature) return "missing signature headers";
+  const signedAt = Number(timestamp) * 1000;
+  if (!Number.isFinite(signedAt)) return "invalid timestamp";
+  if (Math.abs(now - signedAt) > toleranceMs) {
+    return "timestamp outside the allowed window";
+  }
+
+  const expected = Buffer.from(
+    signWebhookPayload(secret, timestamp, rawBody),
+    "hex"
+  );
+  const given = Buffer.from(signature.replace(/^sha256=/, ""), "hex");
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return "signature mismatch";
+  }
+  return null;
+}
+
+/**
+ * Remembers delivery ids (signatures) so each one is accepted once. Entries older than
+ * `retentionMs` are dropped; by then their timestamp is out of the window
+ * anyway.
+ */
+export function createReplayGuard(store, retentionMs) {
+  function prune(now) {
+    for (const delivery of store.list("webhookDeliveries")) {
+      if (now - Date.parse(delivery.receivedAt) > retentionMs) {
+        store.remove("webhookDeliveries", delivery.id);
+      }
+    }
+  }
+
+  return {
+    // True the first time `id` is seen, false for a replay
+    accept(id) {
+      const now = Date.now();
+      return store.transaction(() => {
+        prune(now);
+        if (store.has("webhookDeliveries", id)) return false;
+        store.put("webhookDeliveries", id, {
+          id,
+          receivedAt: new Date(now).toISOString(),
+        });
+        return true;
+      });
+    },
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * `onOrderUpdate(order)` is called for every verified, non-replayed delivery
+ * and returns `{ status, body }` for the response.
+ */
+export function startWebhookServer({
+  port,
+  host = "0.0.0.0",
+  path = "/webhooks/carbonmark",
+  secret,
+  store,
+  toleranceMs = 5 * 60 * 1000,
+  onOrderUpdate,
+}) {
+  const replayGuard = createReplayGuard(store, 2 * toleranceMs);
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "POST" || req.url.split("?")[0] !== path) {
+      return sendJson(res, 404, { error: "Not found" });
+    }
+
+    try {
+      const rawBody = await readBody(req);
+      const timestamp = req.headers["x-carbonmark-timestamp"];
+      const signature = req.headers["x-carbonmark-signature"];
+      const problem = webhookSignatureError({
+        secret,
+        timestamp,
+        signature,
+        rawBody,
+        toleranceMs,
+      });
+      if (problem) {
+        console.warn(`⚠️  Webhook refused: ${problem}`);
+        return sendJson(res, 401, { error: problem });
+      }
+
+      const payload = JSON.parse(rawBody);
+      const deliveryId = signature.replace(/^sha256=/, "").toLowerCase();
+      if (!replayGuard.accept(deliveryId)) {
+        console.warn(`⚠️  Webhook replay ignored (signed at ${timestamp})`);
+        return sendJson(res, 409, { error: "Delivery already processed" });
+      }
+
+      const order = payload.data || payload.order || payload;
+      const { status, body } = await onOrderUpdate(order);
+      sendJson(res, status, body);
+    } catch (err) {
+      console.error("❌ Webhook error:", err);
+      sendJson(res, 400, { error: err.message });
+    }
+  });
+
+  // Without the webhook, the order sweep still picks every order up
+  server.on("error", (err) => {
+    console.error(
+      `❌ Carbonmark webhook on ${host}:${port} is unavailable, orders are swept only: ${err.message}`
+    );
+  });
+  server.listen(port, host, () => {
+    console.log(
+      `📬 Carbonmark webhook listening on http://${host}:${port}${path}`
+    );
+  });
+  return server;
+}
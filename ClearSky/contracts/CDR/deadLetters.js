@@ -0,0 +1,85 @@
+import fs from "fs";
+
+/**
+ * Dead-letter store for offset requests whose retries ran out.
+ *
+ * Entries live in the relayer journal's "deadLetters" collection. Operators
+ * re-drive them either through the running relayer or, from another process,
+ * by dropping the id into the re-drive inbox file that the relayer drains on
+ * every poll (the journal itself is only ever written by the relayer).
+ */
+
+export function deadLetterRequest(
+  store,
+  request,
+  { step, error, resumeState }
+) {
+  const failedAt = new Date().toISOString();
+  return store.transaction(() => {
+    store.put("deadLetters", request.eventKey, {
+      eventKey: request.eventKey,
+      reqId: request.reqId,
+      user: request.user,
+      failedStep: step,
+      resumeState: resumeState || request.status,
+      error,
+      attempts: request.attempts || 0,
+      failedAt,
+    });
+    return store.update("requests", request.eventKey, {
+      status: "failed",
+      failedStep: step,
+      lastError: error,
+      failedAt,
+    });
+  });
+}
+
+export function listDeadLetters(store) {
+  return store
+    .list("deadLetters")
+    .sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+}
+
+// Accepts either the event key (txHash-logIndex) or the on-chain request id
+export function findRequestKey(store, id) {
+  if (store.has("requests", id)) return id;
+  return store.get("requestIds", String(id));
+}
+
+// Move a dead letter back into the pipeline at its resume state
+export function redriveRequest(store, eventKey) {
+  const letter = store.get("deadLetters", eventKey);
+  if (!letter) return null;
+  return store.transaction(() => {
+    store.remove("deadLetters", eventKey);
+    const request = store.get("requests", eventKey);
+    return store.update("requests", eventKey, {
+      status: letter.resumeState,
+      attempts: 0,
+      lastError: null,
+      failedStep: null,
+      nextAttemptAt: null,
+      redrives: ((request && request.redrives) || 0) + 1,
+    });
+  });
+}
+
+export function queueRedrive(inboxPath, id) {
+  fs.appendFileSync(inboxPath, `${id}\n`);
+}
+
+// Claim and return every id in the inbox (rename first so concurrent
+// appends land in a fresh file instead of being lost)
+export function takeRedriveQueue(inboxPath) {
+  if (!fs.existsSync(inboxPath)) return [];
+  const claimedPath = `${inboxPath}.processing`;
+  fs.renameSync(inboxPath, claimedPath);
+  const ids = fs
+    .readFileSync(claimedPath, "utf8")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  fs.unlinkSync(claimedPath);
+  return ids;
+}
@@ -0,0 +1,192 @@
+import { mirrorNodeGet } from "./mirrorNode.js";
+
+/**
+ * Where the relayer reads HbarOffset's logs from. `topic` is the topic0 to
+ * watch, or a list of them.
+ *
+ * Every source has the same shape:
+ *   name                  key its cursor is stored under in the journal
+ *   initialCursor()       where to start when no cursor has been saved yet
+ *   poll(cursor)          async generator of `{ logs, cursor }` batches; the
+ *                         relayer journals each batch and saves its cursor
+ *                         before asking for the next one
+ *
+ * Logs are normalized to `{ txHash, logIndex, blockNumber, topics, data }`.
+ */
+
+function normalizeRpcLog(log) {
+  return {
+    txHash: log.transactionHash,
+    // ethers v6 calls the log index `index`
+    logIndex: log.index,
+    blockNumber: log.blockNumber,
+    topics: log.topics,
+    data: log.data,
+  };
+}
+
+// The contract's `topic` logs emitted by one transaction, normalized
+export async function getTransactionLogs({
+  provider,
+  contractAddress,
+  topic,
+  txHash,
+}) {
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) throw new Error(`Transaction not found: ${txHash}`);
+  return receipt.logs
+    .filter(
+      (log) =>
+        log.address.toLowerCase() === contractAddress.toLowerCase() &&
+        log.topics[0] === topic
+    )
+    .map(normalizeRpcLog);
+}
+
+/**
+ * JSON-RPC eth_getLogs, split into ranges of at most `maxBlockRange` blocks
+ * so a relayer that fell behind does not trip the provider's range limit.
+ * The cursor is the last block fully scanned.
+ */
+export function createRpcLogSource({
+  provider,
+  contractAddress,
+  topic,
+  maxBlockRange = 1000,
+  startBlock = null,
+}) {
+  return {
+    name: "rpc",
+
+    async initialCursor() {
+      // Start from RELAYER_START_BLOCK if given, otherwise from the head
+      return startBlock !== null
+        ? startBlock - 1
+        : await provider.getBlockNumber();
+    },
+
+    // `untilBlock` stops the scan early, for backfilling a fixed range
+    async *poll(cursor, untilBlock = null) {
+      const currentBlock = untilBlock ?? (await provider.getBlockNumber());
+
+      for (
+        let fromBlock = cursor + 1;
+        fromBlock <= currentBlock;
+        fromBlock += maxBlockRange
+      ) {
+        const toBlock = Math.min(fromBlock + maxBlockRange - 1, currentBlock);
+        console.log(`🔍 Checking blocks ${fromBlock} to ${toBlock}...`);
+
+        const logs = await provider.getLogs({
+          address: contractAddress,
+          topics: [topic],
+          fromBlock,
+          toBlock,
+        });
+
+        yield { logs: logs.map(normalizeRpcLog), cursor: toBlock };
+      }
+    },
+  };
+}
+
+// Mirror node timestamps ("seconds.nanos") as nanoseconds and back
+function timestampToNanos(timestamp) {
+  const [seconds, nanos = "0"] = String(timestamp).split(".");
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, "0"));
+}
+
+function nanosToTimestamp(nanos) {
+  return `${nanos / 1000000000n}.${String(nanos % 1000000000n).padStart(
+    9,
+    "0"
+  )}`;
+}
+
+/**
+ * Hedera mirror node `/api/v1/contracts/{address}/results/logs`. The mirror
+ * node wants a bounded timestamp range next to topic filters, so the logs
+ * are read in windows of at most `windowSeconds` (`timestamp=gte:X` and
+ * `timestamp=lt:Y`), each paged with `links.next`.
+ *
+ * The cursor is a consensus timestamp ("seconds.nanos"): the last log seen,
+ * or the end of the last window that was read through and is older than
+ * `ingestLagSeconds`, so logs the mirror node has not ingested yet are never
+ * skipped. The next poll asks for `timestamp=gte:<cursor>`, so logs sharing
+ * that timestamp are read again rather than missed (the relayer's journal
+ * drops the duplicates).
+ */
+export function createMirrorNodeLogSource({
+  mirrorNodeUrl,
+  contractAddress,
+  topic,
+  pageSize = 100,
+  maxPagesPerPoll = 20,
+  windowSeconds = 3600,
+  ingestLagSeconds = 30,
+  startTimestamp = null,
+  now = () => Date.now(),
+}) {
+  const topicFilter = [topic]
+    .flat()
+    .map((topic0) => `topic0=${topic0}`)
+    .join("&");
+  const windowNanos = BigInt(windowSeconds) * 1000000000n;
+
+  return {
+    name: "mirror",
+
+    async initialCursor() {
+      if (startTimestamp) return startTimestamp;
+      const nowSeconds = Math.floor(now() / 1000);
+      return `${nowSeconds}.000000000`;
+    },
+
+    async *poll(cursor) {
+      const nowNanos = BigInt(now()) * 1000000n;
+      const settledNanos = nowNanos - BigInt(ingestLagSeconds) * 1000000000n;
+      let pages = 0;
+
+      let from = timestampToNanos(cursor);
+      while (from <= nowNanos) {
+        const to =
+          from + windowNanos < nowNanos + 1n
+            ? from + windowNanos
+            : nowNanos + 1n;
+        let next =
+          `/api/v1/contracts/${contractAddress}/results/logs` +
+          `?${topicFilter}&timestamp=gte:${nanosToTimestamp(from)}` +
+          `&timestamp=lt:${nanosToTimestamp(to)}` +
+          `&order=asc&limit=${pageSize}`;
+
+        while (next) {
+          if (pages >= maxPagesPerPoll) return;
+          pages += 1;
+          const body = await mirrorNodeGet(mirrorNodeUrl, next);
+          const logs = (body && body.logs) || [];
+          next = logs.length > 0 && body.links ? body.links.next : null;
+          if (logs.length === 0) break;
+
+          console.log(
+            `🔍 Mirror node: ${logs.length} log(s) from ${logs[0].timestamp}`
+          );
+          yield {
+            logs: logs.map((log) => ({
+              txHash: log.transaction_hash,
+              logIndex: log.index,
+              blockNumber: log.block_number,
+              topics: log.topics,
+              data: log.data,
+            })),
+            cursor: logs[logs.length - 1].timestamp,
+          };
+        }
+
+        // Read through; only move past it once the mirror node has caught up
+        if (to > settledNanos) return;
+        yield { logs: [], cursor: nanosToTimestamp(to) };
+        from = to;
+      }
+    },
+  };
+}
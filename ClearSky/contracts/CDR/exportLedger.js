@@ -0,0 +1,111 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { openRelayerStore } from "./relayerStore.js";
+import { getRelayerPaths } from "./relayerConfig.js";
+import {
+  accountBalances,
+  ledgerRows,
+  listLedgerEntries,
+  toCsv,
+} from "./ledger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same .env as the relayer (project root, two levels up)
+dotenv.config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Export the relayer's accounting ledger for finance.
+ *
+ *   node contracts/CDR/exportLedger.js [--from <date>] [--to <date>]
+ *        [--customer <address>] [--format csv|json] [--out <file>]
+ *
+ * Dates are ISO dates or timestamps (UTC); a plain --to date includes that
+ * whole day. csv (the default) has one row per debit / credit line; json has
+ * the entries themselves plus each account's balance over them. Written to
+ * --out, or to stdout.
+ */
+function parseArgs(argv) {
+  const options = { format: "csv" };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (!["from", "to", "customer", "format", "out"].includes(name)) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    if (argv[i + 1] === undefined) throw new Error(`${argv[i]} needs a value`);
+    options[name] = argv[++i];
+  }
+  for (const name of ["from", "to"]) {
+    if (
+      options[name] !== undefined &&
+      Number.isNaN(Date.parse(options[name]))
+    ) {
+      throw new Error(`--${name} is not a date: ${options[name]}`);
+    }
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(options.to || "")) {
+    options.to = `${options.to}T23:59:59.999Z`;
+  }
+  if (!["csv", "json"].includes(options.format)) {
+    throw new Error(`--format must be csv or json, got: ${options.format}`);
+  }
+  if (options.customer && !/^0x[0-9a-fA-F]{40}$/.test(options.customer)) {
+    throw new Error(`Not a customer address: ${options.customer}`);
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const network = process.env.NETWORK || "testnet";
+  const paths = getRelayerPaths(network);
+  if (!fs.existsSync(paths.stateFile)) {
+    throw new Error(`Relayer state file not found: ${paths.stateFile}`);
+  }
+  const store = openRelayerStore(paths.stateFile);
+  const entries = listLedgerEntries(store, {
+    from: options.from,
+    to: options.to,
+    customer: options.customer,
+  });
+
+  const output =
+    options.format === "csv"
+      ? toCsv(ledgerRows(entries))
+      : JSON.stringify(
+          {
+            network,
+            generatedAt: new Date().toISOString(),
+            filters: {
+              from: options.from ?? null,
+              to: options.to ?? null,
+              customer: options.customer ?? null,
+            },
+            balances: accountBalances(entries),
+            entries,
+          },
+          null,
+          2
+        );
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${output}\n`);
+    console.log(
+      `📒 ${entries.length} ledger entr${
+        entries.length === 1 ? "y" : "ies"
+      } written to ${options.out}`
+    );
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
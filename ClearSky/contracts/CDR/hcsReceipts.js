@@ -0,0 +1,197 @@
+import {
+  Client,
+  AccountId,
+  PrivateKey,
+  TopicId,
+  TopicMessageSubmitTransaction,
+} from "@hashgraph/sdk";
+import { backoffDelayMs } from "./requestStateMachine.js";
+
+/**
+ * Retirement receipts published to a Hedera Consensus Service topic.
+ *
+ * One JSON message per retired component of a request. The topic gives every
+ * receipt a consensus timestamp and sequence number, so auditors can replay
+ * the topic from the mirror node and check it against Carbonmark and the
+ * pools. `receiptId` ("<requestId>:<component>") is stable: if the relayer
+ * crashes between submitting and journaling, the re-published duplicate can
+ * be recognised.
+ */
+
+export const RECEIPT_SCHEMA = "clearsky.retirement-receipt";
+export const RECEIPT_VERSION = 1;
+
+// Polygon tx hash from a Polygonscan URL (".../tx/0x...")
+function polygonTxHash(polygonscanUrl) {
+  const match = /\/tx\/(0x[0-9a-fA-F]{64})/.exec(polygonscanUrl || "");
+  return match ? match[1] : null;
+}
+
+export function buildRetirementReceipt(request, component) {
+  return {
+    schema: RECEIPT_SCHEMA,
+    version: RECEIPT_VERSION,
+    receiptId: `${request.reqId}:${component.index}`,
+    requestId: request.reqId,
+    user: request.user,
+    pool: request.poolAddress,
+    offsetTxHash: request.txHash,
+    hbarAmountTinybars: request.hbarAmount,
+    hbarUsdRate: request.hbarUsdRate,
+    usdValue: component.usdValue ?? request.usdValue,
+    component: component.index,
+    components: request.components.length,
+    projectId: component.projectId,
+    tonnes: component.tonnes,
+    batchId: component.batchId ?? null,
+    batchShare: component.batchShare ?? null,
+    carbonmarkOrderId: component.orderId,
+    retirementUrl: component.retirementUrl,
+    polygonscanUrl: component.polygonscanUrl,
+    polygonTxHash: polygonTxHash(component.polygonscanUrl),
+    poolUrlTxHash: component.urlTxHash ?? null,
+    retiredAt: component.completedAt,
+  };
+}
+
+/**
+ * Receipts waiting to go out (the journal's "receipts" collection, keyed
+ * "<eventKey>:<component>"). record_url only queues them and
+ * publishReceipts sends them on its own timer, so an HCS outage never holds
+ * up or fails a retirement that already happened.
+ *
+ *   queued -> published
+ *         \-> failed (out of attempts; an operator has to look)
+ */
+export function queueReceipt(store, request, component) {
+  const key = `${request.eventKey}:${component.index}`;
+  if (store.has("receipts", key)) return store.get("receipts", key);
+  return store.put("receipts", key, {
+    key,
+    requestKey: request.eventKey,
+    componentIndex: component.index,
+    receipt: buildRetirementReceipt(request, component),
+    status: "queued",
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+  });
+}
+
+export function listReceipts(store, status = null) {
+  return store.list(
+    "receipts",
+    (receipt) => status === null || receipt.status === status
+  );
+}
+
+/**
+ * Publish the queued receipts that are due, one at a time. A failed publish
+ * is retried with exponential backoff until maxAttempts. The published receipt is also noted on its
+ * request's component while the request is still in the journal.
+ *
+ * @returns {Promise<number>} how many receipts were published
+ */
+export async function publishReceipts(
+  store,
+  publisher,
+  {
+    maxAttempts = 10,
+    baseDelayMs = 60000,
+    maxDelayMs = 60 * 60 * 1000,
+    isStopping = () => false,
+  } = {}
+) {
+  const due = listReceipts(store, "queued").filter(
+    (queued) =>
+      !queued.nextAttemptAt || Date.parse(queued.nextAttemptAt) <= Date.now()
+  );
+  let published = 0;
+  for (const queued of due) {
+    if (isStopping()) break;
+    const { receiptId } = queued.receipt;
+    try {
+      const hcsReceipt = await publisher.publish(queued.receipt);
+      console.log(
+        `🧾 Receipt ${receiptId} published to topic ${hcsReceipt.topicId} (#${hcsReceipt.sequenceNumber})`
+      );
+      store.transaction(() => {
+        store.update("receipts", queued.key, {
+          status: "published",
+          hcsReceipt,
+          publishedAt: new Date().toISOString(),
+        });
+        noteOnComponent(store, queued, hcsReceipt);
+      });
+      published += 1;
+    } catch (err) {
+      const attempts = (queued.attempts || 0) + 1;
+      const giveUp = attempts >= maxAttempts;
+      const delayMs = backoffDelayMs({ baseDelayMs, maxDelayMs }, attempts);
+      console.error(
+        `❌ Receipt ${receiptId} not published (attempt ${attempts}/${maxAttempts}):`,
+        err.message
+      );
+      store.update("receipts", queued.key, {
+        status: giveUp ? "failed" : "queued",
+        attempts,
+        lastError: err.message,
+        nextAttemptAt: giveUp
+          ? null
+          : new Date(Date.now() + delayMs).toISOString(),
+      });
+    }
+  }
+  return published;
+}
+
+function noteOnComponent(store, queued, hcsReceipt) {
+  const request = store.get("requests", queued.requestKey);
+  if (!request || !request.components) return;
+  store.update("requests", queued.requestKey, {
+    components: request.components.map((component) =>
+      component.index === queued.componentIndex
+        ? { ...component, hcsReceipt }
+        : component
+    ),
+  });
+}
+
+/**
+ * Submits receipts to `topicId` as the operator account (OPERATOR_ID /
+ * OPERATOR_KEY, DER-encoded, like CreateCSLPToken.js).
+ */
+export function createHcsReceiptPublisher({
+  network,
+  topicId,
+  operatorId,
+  operatorKey,
+}) {
+  if (!operatorId || !operatorKey) {
+    throw new Error("HCS receipts need OPERATOR_ID and OPERATOR_KEY in .env");
+  }
+  const client =
+    network === "mainnet" ? Client.forMainnet() : Client.forTestnet();
+  client.setOperator(
+    AccountId.fromString(operatorId),
+    PrivateKey.fromStringDer(operatorKey)
+  );
+  const topic = TopicId.fromString(topicId);
+
+  return {
+    topicId,
+
+    // @returns {Promise<{topicId, sequenceNumber, transactionId}>}
+    async publish(receipt) {
+      const response = await new TopicMessageSubmitTransaction()
+        .setTopicId(topic)
+        .setMessage(JSON.stringify(receipt))
+        .execute(client);
+      const result = await response.getReceipt(client);
+      return {
+        topicId,
+        sequenceNumber: result.topicSequenceNumber.toString(),
+        transactionId: response.transactionId.toString(),
+      };
+    },
+  };
+}
@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+import { orderKey } from "./orderRegistry.js";
+
+/**
+ * Keeps the relayer journal from growing without bound.
+ *
+ * A request that finished more than `retentionMs` ago is appended in full,
+ * with its order records, quotes, refund and payment, to an archive file (one
+ * JSON object per line) and replaced in the journal by a short summary. The
+ * summary keeps what de-duplication, lookups and reconciliation need; the
+ * ledger is never compacted.
+ *
+ * Rejected requests are only compacted once their refund was sent or skipped.
+ */
+
+const SUMMARY_FIELDS = [
+  "eventKey",
+  "reqId",
+  "kind",
+  "user",
+  "poolAddress",
+  "hbarAmount",
+  "txHash",
+  "blockNumber",
+  "logIndex",
+  "status",
+  "batchId",
+  "usdValue",
+  "beneficiaryName",
+  "components",
+  "receivedAt",
+  "rejectionReason",
+  "refundStatus",
+  "refundTxHash",
+  "handledBy",
+];
+
+// When a finished request reached its last state
+function finishedAtIso(request) {
+  const last = (request.history || []).at(-1);
+  return (last && last.at) || request.receivedAt;
+}
+
+export function isCompactable(store, request, cutoffMs) {
+  if (request.archivedAt) return false;
+  if (
+    !["url_recorded", "rejected", "handled_elsewhere"].includes(request.status)
+  ) {
+    return false;
+  }
+  if (request.status === "rejected") {
+    const refund = store.get("refunds", request.eventKey);
+    if (refund && !["sent", "skipped"].includes(refund.status)) return false;
+  }
+  return Date.parse(finishedAtIso(request)) < cutoffMs;
+}
+
+function appendDurably(filePath, lines) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const fd = fs.openSync(filePath, "a");
+  try {
+    fs.writeSync(fd, lines.map((line) => `${JSON.stringify(line)}\n`).join(""));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Archive and summarize every request finished before `now - retentionMs`.
+ * The archive is written (and fsynced) before the journal drops anything, so
+ * a crash in between only means a request is archived twice.
+ *
+ * @returns {number} how many requests were compacted
+ */
+export function compactJournal(
+  store,
+  { archiveFile, retentionMs, now = Date.now() }
+) {
+  const cutoffMs = now - retentionMs;
+  const requests = store.list("requests", (request) =>
+    isCompactable(store, request, cutoffMs)
+  );
+  if (requests.length === 0) return 0;
+
+  const archivedAt = new Date(now).toISOString();
+  const entries = requests.map((request) => {
+    const reqId = String(request.reqId);
+    const payment = store.get("payments", request.txHash);
+    return {
+      archivedAt,
+      request,
+      orders: store.list("orders", (record) => record.reqId === reqId),
+      quotes: store.list("quotes", (attempt) => attempt.reqId === reqId),
+      refund: store.get("refunds", request.eventKey),
+      payment,
+    };
+  });
+  appendDurably(archiveFile, entries);
+
+  store.transaction(() => {
+    for (const { request, orders, quotes, payment } of entries) {
+      const summary = { archivedAt, finishedAt: finishedAtIso(request) };
+      for (const field of SUMMARY_FIELDS) {
+        if (request[field] !== undefined) summary[field] = request[field];
+      }
+      store.put("requests", request.eventKey, summary);
+      for (const record of orders) {
+        store.remove("orders", orderKey(record.reqId, record.componentIndex));
+      }
+      for (const attempt of quotes) store.remove("quotes", attempt.uuid);
+      store.remove("refunds", request.eventKey);
+      // A payment can fund several requests; drop it with the last of them
+      const funded = store.list(
+        "requests",
+        (other) => other.txHash === request.txHash
+      );
+      if (payment && funded.every((other) => other.archivedAt)) {
+        store.remove("payments", request.txHash);
+      }
+    }
+  });
+  return requests.length;
+}
@@ -0,0 +1,229 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Leases that let several relayer instances share one contract without two
+ * of them ever handling the same request.
+ *
+ * An instance must hold a request's lease for as long as it works on it
+ * (including while it waits on a deferral or backoff) and renews it on a
+ * heartbeat. Each lease carries the last state its owner reported. Once the
+ * request is finished the lease becomes a permanent "done" marker.
+ *
+ * acquire(key) resolves to one of
+ *   { acquired: true, previous }   previous = the expired lease taken over
+ *                                  from a dead instance, or null
+ *   { acquired: false, reason: "held", lease }
+ *   { acquired: false, reason: "done", lease }
+ */
+
+/** Single-instance store: leases only guard against this process itself. */
+export function createMemoryLeaseStore({ owner, ttlMs }) {
+  const leases = new Map();
+
+  function lease(key, state) {
+    return { key, owner, state, expiresAt: Date.now() + ttlMs };
+  }
+
+  return {
+    name: "memory",
+    owner,
+
+    async acquire(key, { state = null } = {}) {
+      const current = leases.get(key);
+      if (current && current.done) {
+        return { acquired: false, reason: "done", lease: current };
+      }
+      if (
+        current &&
+        current.owner !== owner &&
+        current.expiresAt > Date.now()
+      ) {
+        return { acquired: false, reason: "held", lease: current };
+      }
+      leases.set(key, lease(key, state));
+      const previous = current && current.owner !== owner ? current : null;
+      return { acquired: true, previous };
+    },
+
+    async renew(key, { state } = {}) {
+      const current = leases.get(key);
+      if (!current || current.owner !== owner || current.done) return false;
+      leases.set(key, lease(key, state ?? current.state));
+      return true;
+    },
+
+    async release(key, { done = false, state = null } = {}) {
+      const current = leases.get(key);
+      if (current && current.owner !== owner) return;
+      if (done) leases.set(key, { ...lease(key, state), done: true });
+      else leases.delete(key);
+    },
+  };
+}
+
+// A lease lock is held for a few file operations only
+const LOCK_STALE_MS = 10000;
+const LOCK_WAIT_MS = 5000;
+const LOCK_RETRY_MS = 20;
+
+/**
+ * Leases as files in a directory every instance can reach (a shared volume).
+ * Every change to a lease (taking it, taking over an expired one, renewing,
+ * releasing) happens under that lease's lock file, created with O_EXCL, and
+ * re-reads the lease inside the lock, so a renew can never overwrite a lease
+ * another instance took over in the meantime. A lock left behind by a crashed
+ * process is broken once it is older than LOCK_STALE_MS; two instances
+ * breaking it at once never remove each other's fresh lock.
+ */
+export function createFileLeaseStore({ dir, owner, ttlMs }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (key) =>
+    path.join(dir, `${key.replace(/[^A-Za-z0-9_.-]/g, "_")}.lease`);
+  const doneFileFor = (key) => fileFor(key).replace(/\.lease$/, ".done");
+  const lockFileFor = (key) => `${fileFor(key)}.lock`;
+
+  function read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  function write(file, body) {
+    const tmpPath = `${file}.${owner}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(body));
+    fs.renameSync(tmpPath, file);
+  }
+
+  function readLock(lockFile) {
+    try {
+      return {
+        token: fs.readFileSync(lockFile, "utf8"),
+        ageMs: Date.now() - fs.statSync(lockFile).mtimeMs,
+      };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  // Move a stale lock aside with an atomic rename. When the lock moved is not
+  // the stale one read (another instance broke it and locked again in
+  // between), put that instance's lock back; link never replaces a lock taken
+  // in the meantime.
+  function breakStaleLock(lockFile, stale) {
+    const aside = `${lockFile}.${crypto.randomUUID()}.broken`;
+    try {
+      fs.renameSync(lockFile, aside);
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+    try {
+      if (fs.readFileSync(aside, "utf8") !== stale.token) {
+        fs.linkSync(aside, lockFile);
+      }
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    } finally {
+      fs.rmSync(aside, { force: true });
+    }
+  }
+
+  // Run `fn` (synchronous) while holding the lease's lock. The lock file
+  // holds a token of this holder, so only it ever removes the lock.
+  async function withLock(key, fn) {
+    const lockFile = lockFileFor(key);
+    const token = `${owner}:${crypto.randomUUID()}`;
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    for (;;) {
+      try {
+        fs.writeFileSync(lockFile, token, { flag: "wx" });
+        break;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+      const current = readLock(lockFile);
+      if (current && current.ageMs > LOCK_STALE_MS) {
+        breakStaleLock(lockFile, current);
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lease lock ${lockFile}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    try {
+      return fn();
+    } finally {
+      const current = readLock(lockFile);
+      if (current && current.token === token) fs.rmSync(lockFile);
+    }
+  }
+
+  function lease(key, state, current) {
+    return {
+      key,
+      owner,
+      state,
+      version: ((current && current.version) || 0) + 1,
+      expiresAt: Date.now() + ttlMs,
+      renewedAt: new Date().toISOString(),
+    };
+  }
+
+  return {
+    name: "file",
+    owner,
+
+    acquire(key, { state = null } = {}) {
+      return withLock(key, () => {
+        const done = read(doneFileFor(key));
+        if (done) return { acquired: false, reason: "done", lease: done };
+
+        const file = fileFor(key);
+        const current = read(file);
+        if (current && current.owner === owner) {
+          write(file, lease(key, state ?? current.state, current));
+          return { acquired: true, previous: null };
+        }
+        if (current && current.expiresAt > Date.now()) {
+          return { acquired: false, reason: "held", lease: current };
+        }
+        // Free, or expired: take it over
+        write(file, lease(key, state, current));
+        return { acquired: true, previous: current };
+      });
+    },
+
+    renew(key, { state } = {}) {
+      return withLock(key, () => {
+        const file = fileFor(key);
+        const current = read(file);
+        if (!current || current.owner !== owner) return false;
+        write(file, lease(key, state ?? current.state, current));
+        return true;
+      });
+    },
+
+    release(key, { done = false, state = null } = {}) {
+      return withLock(key, () => {
+        const file = fileFor(key);
+        const current = read(file);
+        if (current && current.owner !== owner) return;
+        if (done) {
+          write(doneFileFor(key), {
+            ...lease(key, state, current),
+            done: true,
+          });
+        }
+        if (current) fs.rmSync(file, { force: true });
+      });
+    },
+  };
+}
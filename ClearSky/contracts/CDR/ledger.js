@@ -0,0 +1,213 @@
+/**
+ * Double-entry accounting ledger for offsets (the journal's "ledger"
+ * collection, keyed by entry id).
+ *
+ * Every entry balances per currency: HBAR in tinybars, USD in micro-dollars
+ * (both stored as integer strings). HBAR lines also carry their USD
+ * equivalent at the rate used when the entry was posted.
+ *
+ *   payment                 HBAR received from a customer, held for them
+ *   carbonmark_retirement   USD spent on a Carbonmark retirement
+ *   revenue                 a customer's HBAR earned once their offset is retired
+ *   refund                  HBAR returned to a customer
+ *   treasury_sweep          HBAR moved from HbarOffset to the treasury
+ *   network_fee             gas paid by the relayer (or treasury) account
+ *
+ * Entry ids are derived from what they record (e.g. "payment:<eventKey>"),
+ * so posting the same fact twice after a retry or restart is a no-op.
+ */
+
+export const ACCOUNTS = {
+  offsetContract: "assets:hbar:hbar-offset",
+  treasury: "assets:hbar:treasury",
+  relayer: "assets:hbar:relayer",
+  carbonmarkBalance: "assets:usd:carbonmark",
+  customerDeposits: "liabilities:customer-deposits",
+  offsetRevenue: "revenue:offsets",
+  retirementCost: "expenses:carbonmark-retirements",
+  networkFees: "expenses:network-fees",
+};
+
+const DECIMALS = { HBAR: 8, USD: 6 };
+
+export function usdToMicros(usd) {
+  return BigInt(Math.round(Number(usd) * 1e6));
+}
+
+// Integer minor units as a decimal string, e.g. 150000000 HBAR -> "1.50000000"
+export function formatAmount(amount, currency) {
+  const decimals = DECIMALS[currency];
+  const value = BigInt(amount);
+  const sign = value < 0n ? "-" : "";
+  const digits = (value < 0n ? -value : value)
+    .toString()
+    .padStart(decimals + 1, "0");
+  return `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+function usdEquivalent(currency, amount, hbarUsdRate) {
+  if (currency === "USD") return Number(amount) / 1e6;
+  if (!hbarUsdRate) return null;
+  return Math.round((Number(amount) / 1e8) * hbarUsdRate * 1e6) / 1e6;
+}
+
+// Debit one account and credit another with the same amount
+export function transfer({ debit, credit, currency, amount }) {
+  const value = BigInt(amount).toString();
+  return [
+    { account: debit, currency, side: "debit", amount: value },
+    { account: credit, currency, side: "credit", amount: value },
+  ];
+}
+
+/**
+ * Record an entry unless one with its id exists already. Throws when the
+ * lines do not balance in every currency.
+ */
+export function postEntry(
+  store,
+  {
+    id,
+    type,
+    lines,
+    reqId = null,
+    eventKey = null,
+    customer = null,
+    txHash = null,
+    hbarUsdRate = null,
+    memo = null,
+    at = new Date().toISOString(),
+  }
+) {
+  if (store.has("ledger", id)) return store.get("ledger", id);
+
+  const totals = {};
+  for (const line of lines) {
+    if (!DECIMALS[line.currency]) {
+      throw new Error(`Ledger entry ${id}: unknown currency ${line.currency}`);
+    }
+    const signed =
+      line.side === "debit" ? BigInt(line.amount) : -BigInt(line.amount);
+    totals[line.currency] = (totals[line.currency] || 0n) + signed;
+  }
+  for (const [currency, total] of Object.entries(totals)) {
+    if (total !== 0n) {
+      throw new Error(
+        `Ledger entry ${id} does not balance: ${formatAmount(
+          total,
+          currency
+        )} ${currency}`
+      );
+    }
+  }
+
+  return store.put("ledger", id, {
+    id,
+    type,
+    at,
+    reqId: reqId === null ? null : String(reqId),
+    eventKey,
+    customer: customer ? customer.toLowerCase() : null,
+    txHash,
+    hbarUsdRate,
+    memo,
+    lines: lines.map((line) => ({
+      ...line,
+      usd: usdEquivalent(line.currency, line.amount, hbarUsdRate),
+    })),
+  });
+}
+
+// Entries within [from, to] (ISO dates), optionally for one customer address
+export function listLedgerEntries(
+  store,
+  { from = null, to = null, customer = null } = {}
+) {
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to ? Date.parse(to) : Infinity;
+  const wanted = customer ? customer.toLowerCase() : null;
+  return store
+    .list("ledger", (entry) => {
+      const at = Date.parse(entry.at);
+      return (
+        at >= fromMs && at <= toMs && (!wanted || entry.customer === wanted)
+      );
+    })
+    .sort(
+      (a, b) => Date.parse(a.at) - Date.parse(b.at) || (a.id < b.id ? -1 : 1)
+    );
+}
+
+// Net debit balance of every account/currency over `entries`
+export function accountBalances(entries) {
+  const balances = new Map();
+  for (const entry of entries) {
+    for (const line of entry.lines) {
+      const key = `${line.account}|${line.currency}`;
+      const signed =
+        line.side === "debit" ? BigInt(line.amount) : -BigInt(line.amount);
+      balances.set(key, (balances.get(key) || 0n) + signed);
+    }
+  }
+  return [...balances.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([key, balance]) => {
+      const [account, currency] = key.split("|");
+      return { account, currency, balance: formatAmount(balance, currency) };
+    });
+}
+
+export const LEDGER_CSV_COLUMNS = [
+  "date",
+  "entry_id",
+  "type",
+  "request_id",
+  "customer",
+  "account",
+  "currency",
+  "debit",
+  "credit",
+  "usd_equivalent",
+  "hbar_usd_rate",
+  "tx_hash",
+  "memo",
+];
+
+// One row per ledger line, amounts as decimals
+export function ledgerRows(entries) {
+  return entries.flatMap((entry) =>
+    entry.lines.map((line) => {
+      const amount = formatAmount(line.amount, line.currency);
+      return {
+        date: entry.at,
+        entry_id: entry.id,
+        type: entry.type,
+        request_id: entry.reqId,
+        customer: entry.customer,
+        account: line.account,
+        currency: line.currency,
+        debit: line.side === "debit" ? amount : "",
+        credit: line.side === "credit" ? amount : "",
+        usd_equivalent: line.usd,
+        hbar_usd_rate: entry.hbarUsdRate,
+        tx_hash: entry.txHash,
+        memo: entry.memo,
+      };
+    })
+  );
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns = LEDGER_CSV_COLUMNS) {
+  return [
+    columns.join(","),
+    ...rows.map((row) =>
+      columns.map((column) => csvField(row[column])).join(",")
+    ),
+  ].join("\n");
+}
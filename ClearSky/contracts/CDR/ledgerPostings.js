@@ -0,0 +1,191 @@
+import { ACCOUNTS, postEntry, transfer, usdToMicros } from "./ledger.js";
+import { isComponentRefund } from "./refunds.js";
+
+/**
+ * The relayer's postings to the double-entry ledger (ledger.js), one per
+ * money movement: a request's payment, what its retirement cost, the
+ * revenue once it is retired, refunds, treasury sweeps and gas.
+ *
+ * Postings never hold up a request; one that fails is logged loudly so
+ * finance can post it by hand. `weiPerTinybar` converts receipt fees, which
+ * JSON-RPC reports in weibars.
+ */
+export function createLedgerPostings({
+  store,
+  priceOracle,
+  weiPerTinybar = 10n ** 10n,
+  refundMethod = null,
+}) {
+  function postLedgerEntry(entry) {
+    try {
+      postEntry(store, entry);
+    } catch (err) {
+      console.error(`❌ Ledger entry ${entry.id} not posted:`, err.message);
+    }
+  }
+
+  // HBAR/USD for entries not tied to a request's own rate, null if unknown
+  async function currentHbarUsdRate() {
+    try {
+      return (await priceOracle.getPrice()).price;
+    } catch {
+      return null;
+    }
+  }
+
+  // Gas for a transaction the relayer (or treasury) account sent
+  function postNetworkFee(receipt, { payer = ACCOUNTS.relayer, ...entry }) {
+    const feeTinybars = receipt.fee / weiPerTinybar;
+    if (feeTinybars === 0n) return;
+    postLedgerEntry({
+      ...entry,
+      id: `fee:${receipt.hash}`,
+      type: "network_fee",
+      txHash: receipt.hash,
+      lines: transfer({
+        debit: ACCOUNTS.networkFees,
+        credit: payer,
+        currency: "HBAR",
+        amount: feeTinybars,
+      }),
+    });
+  }
+
+  return {
+    postLedgerEntry,
+    currentHbarUsdRate,
+    postNetworkFee,
+
+    // The HBAR a request paid, held as a customer deposit until it is retired
+    postPayment(request, hbarUsdRate) {
+      postLedgerEntry({
+        id: `payment:${request.eventKey}`,
+        type: "payment",
+        reqId: request.reqId,
+        eventKey: request.eventKey,
+        customer: request.user,
+        txHash: request.txHash,
+        hbarUsdRate,
+        memo: `Offset request ${request.reqId}`,
+        lines: transfer({
+          debit: ACCOUNTS.offsetContract,
+          credit: ACCOUNTS.customerDeposits,
+          currency: "HBAR",
+          amount: request.hbarAmount,
+        }),
+      });
+    },
+
+    // USD spent on one Carbonmark retirement (the quoted cost when known)
+    postRetirementCost(request, component, record) {
+      const costUsd =
+        record && record.quote && record.quote.cost_usdc !== undefined
+          ? Number(record.quote.cost_usdc)
+          : component.tonnes * component.pricePerTonne;
+      postLedgerEntry({
+        id: `retirement:${component.orderId}`,
+        type: "carbonmark_retirement",
+        reqId: request.reqId,
+        eventKey: request.eventKey,
+        // Pooled batches are not any one customer's
+        customer: request.kind === "batch" ? null : request.user,
+        memo: `Carbonmark order ${component.orderId}: ${component.tonnes} t of ${component.projectId}`,
+        lines: transfer({
+          debit: ACCOUNTS.retirementCost,
+          credit: ACCOUNTS.carbonmarkBalance,
+          currency: "USD",
+          amount: usdToMicros(costUsd),
+        }),
+      });
+    },
+
+    // A customer's deposit is earned once their offset is retired, less the
+    // share of basket components refunded instead
+    postRevenue(request) {
+      const refunded = (request.components || [])
+        .filter((component) => component.refundTinybars)
+        .reduce((sum, component) => sum + BigInt(component.refundTinybars), 0n);
+      postLedgerEntry({
+        id: `revenue:${request.eventKey}`,
+        type: "revenue",
+        reqId: request.reqId,
+        eventKey: request.eventKey,
+        customer: request.user,
+        txHash: request.txHash,
+        hbarUsdRate: request.hbarUsdRate ?? null,
+        memo: `Offset request ${request.reqId} retired`,
+        lines: transfer({
+          debit: ACCOUNTS.customerDeposits,
+          credit: ACCOUNTS.offsetRevenue,
+          currency: "HBAR",
+          amount: BigInt(request.hbarAmount) - refunded,
+        }),
+      });
+    },
+
+    async postSweep(sweep, receipt) {
+      const hbarUsdRate = await currentHbarUsdRate();
+      postLedgerEntry({
+        id: `sweep:${sweep.id}`,
+        type: "treasury_sweep",
+        txHash: receipt.hash,
+        hbarUsdRate,
+        memo: `Treasury sweep to ${sweep.to}`,
+        lines: transfer({
+          debit: ACCOUNTS.treasury,
+          credit: ACCOUNTS.offsetContract,
+          currency: "HBAR",
+          amount: BigInt(sweep.amountTinybars),
+        }),
+      });
+      postNetworkFee(receipt, {
+        hbarUsdRate,
+        memo: "Treasury sweep transaction",
+      });
+    },
+
+    // A rejected request's HBAR goes back out, from HbarOffset (sweep) or the
+    // treasury wallet. Its payment is posted here if pricing never got to it;
+    // a refunded basket component's request was always priced.
+    async postRefund(refund, tinybars, receipt) {
+      const { eventKey, reqId, user } = refund;
+      const hbarUsdRate = await currentHbarUsdRate();
+      const viaSweep = (refund.method || refundMethod) === "sweep";
+      const source = viaSweep ? ACCOUNTS.offsetContract : ACCOUNTS.treasury;
+      const entry = { reqId, eventKey, customer: user, hbarUsdRate };
+      if (!isComponentRefund(refund)) {
+        postLedgerEntry({
+          ...entry,
+          id: `payment:${eventKey}`,
+          type: "payment",
+          txHash: refund.txHash,
+          memo: `Offset request ${reqId} (rejected)`,
+          lines: transfer({
+            debit: ACCOUNTS.offsetContract,
+            credit: ACCOUNTS.customerDeposits,
+            currency: "HBAR",
+            amount: tinybars,
+          }),
+        });
+      }
+      postLedgerEntry({
+        ...entry,
+        id: `refund:${eventKey}`,
+        type: "refund",
+        txHash: receipt.hash,
+        memo: `Refund for request ${reqId}: ${refund.reason}`,
+        lines: transfer({
+          debit: ACCOUNTS.customerDeposits,
+          credit: source,
+          currency: "HBAR",
+          amount: tinybars,
+        }),
+      });
+      postNetworkFee(receipt, {
+        ...entry,
+        payer: viaSweep ? ACCOUNTS.relayer : ACCOUNTS.treasury,
+        memo: `Refund transaction for request ${reqId}`,
+      });
+    },
+  };
+}
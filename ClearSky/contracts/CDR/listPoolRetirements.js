@@ -0,0 +1,93 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { openRelayerStore } from "./relayerStore.js";
+import { getRelayerPaths } from "./relayerConfig.js";
+import { listPoolRetirements, summarizePools } from "./poolRetirements.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same .env as the relayer (project root, two levels up)
+dotenv.config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * List the retirements backing each pool, from the relayer's journal.
+ *
+ *   node contracts/CDR/listPoolRetirements.js pools [--json]
+ *   node contracts/CDR/listPoolRetirements.js show <poolAddress> [fromDate] [toDate] [--json]
+ *
+ * The pool itself only shows its latest retirement URL; this is the full
+ * history (requestId, tonnes, project, Carbonmark order, URL, date) as
+ * recorded on HbarOffset and journaled by the relayer.
+ */
+function main() {
+  const network = process.env.NETWORK || "testnet";
+  const paths = getRelayerPaths(network);
+  if (!fs.existsSync(paths.stateFile)) {
+    throw new Error(`Relayer state file not found: ${paths.stateFile}`);
+  }
+  const store = openRelayerStore(paths.stateFile);
+  const args = process.argv.slice(2);
+  const json = args.includes("--json");
+  const [command = "pools", pool, from, to] = args.filter(
+    (arg) => arg !== "--json"
+  );
+
+  switch (command) {
+    case "pools": {
+      const pools = summarizePools(store);
+      if (json) {
+        console.log(JSON.stringify(pools, null, 2));
+        return;
+      }
+      if (pools.length === 0) {
+        console.log("✅ No retirements recorded yet");
+        return;
+      }
+      console.log(`🏊 ${pools.length} pool(s) with retirements:\n`);
+      for (const entry of pools) {
+        console.log(
+          `${entry.poolAddress}  ${entry.tonnes} t  ${entry.retirements} retirement(s) from ${entry.requests} request(s)  last ${entry.lastRetiredAt}`
+        );
+        console.log(`    on chain: ${entry.currentUrl || "(not recorded)"}`);
+      }
+      return;
+    }
+
+    case "show": {
+      if (!pool || !/^0x[0-9a-fA-F]{40}$/.test(pool)) {
+        throw new Error(`Not a pool address: ${pool}`);
+      }
+      const records = listPoolRetirements(store, { pool, from, to });
+      if (json) {
+        console.log(JSON.stringify(records, null, 2));
+        return;
+      }
+      if (records.length === 0) {
+        console.log(`✅ No retirements for pool ${pool}`);
+        return;
+      }
+      console.log(`🌱 ${records.length} retirement(s) for pool ${pool}:\n`);
+      for (const record of records) {
+        console.log(
+          `#${record.reqId}  ${record.retiredAt}  ${record.tonnes} t ${record.projectId}  order=${record.orderId}`
+        );
+        console.log(`    url: ${record.retirementUrl}`);
+        console.log(`    tx:  ${record.txHash}`);
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command} (expected pools or show)`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
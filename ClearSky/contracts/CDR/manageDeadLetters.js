@@ -0,0 +1,102 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { openRelayerStore } from "./relayerStore.js";
+import { getRelayerPaths } from "./relayerConfig.js";
+import {
+  listDeadLetters,
+  findRequestKey,
+  queueRedrive,
+} from "./deadLetters.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same .env as the relayer (project root, two levels up)
+dotenv.config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Inspect and re-drive dead-lettered offset requests.
+ *
+ *   node contracts/CDR/manageDeadLetters.js list
+ *   node contracts/CDR/manageDeadLetters.js show <requestId|eventKey>
+ *   node contracts/CDR/manageDeadLetters.js redrive <requestId|eventKey>
+ *   node contracts/CDR/manageDeadLetters.js redrive-all
+ *
+ * Re-drives are handed to the relayer through its inbox file and take effect
+ * on its next poll (or on the next start if it is not running).
+ */
+function main() {
+  const network = process.env.NETWORK || "testnet";
+  const paths = getRelayerPaths(network);
+  if (!fs.existsSync(paths.stateFile)) {
+    throw new Error(`Relayer state file not found: ${paths.stateFile}`);
+  }
+  const store = openRelayerStore(paths.stateFile);
+  const [command = "list", id] = process.argv.slice(2);
+
+  switch (command) {
+    case "list": {
+      const letters = listDeadLetters(store);
+      if (letters.length === 0) {
+        console.log("✅ Dead-letter store is empty");
+        return;
+      }
+      console.log(`💀 ${letters.length} dead-lettered request(s):\n`);
+      for (const letter of letters) {
+        console.log(
+          `#${letter.reqId}  ${letter.failedAt}  step=${letter.failedStep}  attempts=${letter.attempts}  resume=${letter.resumeState}`
+        );
+        console.log(`    key:   ${letter.eventKey}`);
+        console.log(`    error: ${letter.error}`);
+      }
+      return;
+    }
+
+    case "show": {
+      const eventKey = id && findRequestKey(store, id);
+      if (!eventKey) throw new Error(`Request not found: ${id}`);
+      console.log(
+        JSON.stringify(
+          {
+            request: store.get("requests", eventKey),
+            deadLetter: store.get("deadLetters", eventKey),
+          },
+          null,
+          2
+        )
+      );
+      return;
+    }
+
+    case "redrive": {
+      const eventKey = id && findRequestKey(store, id);
+      if (!eventKey || !store.get("deadLetters", eventKey)) {
+        throw new Error(`No dead letter for: ${id}`);
+      }
+      queueRedrive(paths.redriveInbox, eventKey);
+      console.log(`♻️  Queued re-drive of ${eventKey}`);
+      return;
+    }
+
+    case "redrive-all": {
+      const letters = listDeadLetters(store);
+      letters.forEach((letter) =>
+        queueRedrive(paths.redriveInbox, letter.eventKey)
+      );
+      console.log(`♻️  Queued re-drive of ${letters.length} request(s)`);
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,139 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ * Counters and histograms are updated as things happen; gauges are read
+ * through a `collect()` callback at scrape time so they always reflect the
+ * live queue and journal.
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function labelKey(labels) {
+  return JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map((name) => [name, String(labels[name])])
+  );
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) return "";
+  const pairs = names.map(
+    (name) =>
+      `${name}="${String(labels[name])
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return `{${pairs.join(",")}}`;
+}
+
+export function createMetrics() {
+  const families = [];
+
+  function register(family) {
+    families.push(family);
+    return family;
+  }
+
+  function counter(name, help) {
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: "counter",
+      lines: () =>
+        [...series.values()].map(
+          ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+        ),
+    });
+    return {
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+    };
+  }
+
+  // `collect` returns `[{ labels, value }]` (or a bare number)
+  function gauge(name, help, collect) {
+    register({
+      name,
+      help,
+      type: "gauge",
+      lines: () => {
+        const samples = collect();
+        const list =
+          typeof samples === "number"
+            ? [{ labels: {}, value: samples }]
+            : samples;
+        return list
+          .filter(({ value }) => value !== null && value !== undefined)
+          .map(
+            ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+          );
+      },
+    });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: "histogram",
+      lines: () => {
+        const lines = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((le, i) => {
+            lines.push(
+              `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`
+            );
+          });
+          lines.push(
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`
+          );
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      },
+    });
+    return {
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || {
+          labels,
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+    };
+  }
+
+  function render() {
+    return (
+      families
+        .map((family) =>
+          [
+            `# HELP ${family.name} ${family.help}`,
+            `# TYPE ${family.name} ${family.type}`,
+            ...family.lines(),
+          ].join("\n")
+        )
+        .join("\n") + "\n"
+    );
+  }
+
+  return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,32 @@
+import fetch from "node-fetch";
+
+const MIRROR_NODE_URLS = {
+  testnet: "https://testnet.mirrornode.hedera.com",
+  mainnet: "https://mainnet-public.mirrornode.hedera.com",
+};
+
+// Mirror node REST base URL, overridable with MIRROR_NODE_URL
+export function getMirrorNodeUrl(network) {
+  const url = process.env.MIRROR_NODE_URL || MIRROR_NODE_URLS[network];
+  if (!url) {
+    throw new Error(
+      `No mirror node URL for network: ${network}. Set MIRROR_NODE_URL in your .env file.`
+    );
+  }
+  return url.replace(/\/+$/, "");
+}
+
+// GET a mirror node path (e.g. "/api/v1/network/exchangerate") as JSON.
+// Returns null on 404 so callers can tell "not indexed yet" from a failure.
+export async function mirrorNodeGet(baseUrl, urlPath, timeoutMs = 10000) {
+  const res = await fetch(`${baseUrl}${urlPath}`, {
+    headers: { Accept: "application/json" },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (res.status === 404) return null;
+  if (!res.ok)
+    throw new Error(
+      `Mirror node request failed: ${res.status} ${await res.text()}`
+    );
+  return res.json();
+}
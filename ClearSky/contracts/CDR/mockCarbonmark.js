@@ -0,0 +1,343 @@
+import http from "http";
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Local stand-in for the Carbonmark API, for simulation runs and tests.
+ *
+ *   GET  /prices?projectIds=a,b          price listings
+ *   POST /quotes                         { asset_price_source_id, quantity_tonnes }
+ *   POST /orders                         { quote_uuid, beneficiary_name, ... }
+ *   GET  /orders?ids=&quote_uuid=        orders matching either filter
+ *
+ * What happens to each new order is scripted, one behavior per order in the
+ * order they are placed (then "complete"):
+ *   complete     COMPLETED straight away
+ *   slow         PROCESSING for `slowMs`, then COMPLETED
+ *   failed       FAILED
+ *   cancelled    CANCELLED
+ *   missing-id   completes, but the POST /orders response carries no id
+ *
+ * Quotes can be scripted the same way: "price-change" moves the listing's
+ * price by `priceChangeFactor` just before quoting, as if the market moved
+ * between pricing and quoting, and "expired" hands out a quote that POST
+ * /orders then refuses as expired, as if it lapsed in flight. setPrice()
+ * changes a listing outright.
+ *
+ * Scripts are set with script({ orders, quotes, slowMs }) or, when running
+ * standalone, POST /__mock/script with the same body; GET /__mock/state
+ * returns every quote, order and call seen.
+ */
+
+export const ORDER_BEHAVIORS = [
+  "complete",
+  "slow",
+  "failed",
+  "cancelled",
+  "missing-id",
+];
+export const QUOTE_BEHAVIORS = ["normal", "price-change", "expired"];
+
+export const DEFAULT_MOCK_LISTINGS = [
+  {
+    sourceId: "mock-vcs-191",
+    projectId: "VCS-191",
+    purchasePrice: 0.5,
+    supply: 100000,
+    minFillAmount: 0.001,
+    vintage: 2012,
+    country: "India",
+    methodology: "ACM0002",
+  },
+  {
+    sourceId: "mock-vcs-1396",
+    projectId: "VCS-1396",
+    purchasePrice: 0.75,
+    supply: 100000,
+    minFillAmount: 0.001,
+    vintage: 2018,
+    country: "Brazil",
+    methodology: "VM0015",
+  },
+];
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function checkBehaviors(list, known, kind) {
+  for (const behavior of list) {
+    if (!known.includes(behavior)) {
+      throw new Error(
+        `Unknown ${kind} behavior "${behavior}" (expected one of: ${known.join(
+          ", "
+        )})`
+      );
+    }
+  }
+  return [...list];
+}
+
+/**
+ * Start the mock on `port` (0 picks a free one).
+ * @returns {Promise<{url, state, script, setPrice, reset, close}>}
+ */
+export function startMockCarbonmark({
+  port = 0,
+  host = "127.0.0.1",
+  listings = DEFAULT_MOCK_LISTINGS,
+  orders = [],
+  quotes = [],
+  slowMs = 2000,
+  priceChangeFactor = 1.25,
+  quoteTtlMs = 10 * 60 * 1000,
+} = {}) {
+  const state = {
+    listings: listings.map((listing) => ({ ...listing })),
+    quotes: [],
+    orders: [],
+    calls: [],
+  };
+  // Quotes scripted "expired": refused by POST /orders whatever expires_at says
+  const lapsedQuotes = new Set();
+  const script = {
+    orders: checkBehaviors(orders, ORDER_BEHAVIORS, "order"),
+    quotes: checkBehaviors(quotes, QUOTE_BEHAVIORS, "quote"),
+    slowMs,
+  };
+
+  // Status is worked out on every read so "slow" orders finish by themselves
+  function orderView(order) {
+    let status = {
+      failed: "FAILED",
+      cancelled: "CANCELLED",
+    }[order.behavior];
+    if (!status) {
+      status =
+        order.behavior === "slow" &&
+        Date.now() - Date.parse(order.created_at) < order.slowMs
+          ? "PROCESSING"
+          : "COMPLETED";
+    }
+    const { behavior, slowMs: _slowMs, ...fields } = order;
+    return {
+      ...fields,
+      status,
+      ...(status === "COMPLETED"
+        ? {
+            view_retirement_url: `https://carbonmark.example/retirements/${order.id}`,
+            polygonscan_url: `https://polygonscan.com/tx/0x${crypto
+              .createHash("sha256")
+              .update(order.id)
+              .digest("hex")}`,
+          }
+        : {}),
+    };
+  }
+
+  function listingsFor(projectIds) {
+    if (!projectIds) return state.listings;
+    const wanted = projectIds.split(",").map((id) => id.trim().toLowerCase());
+    return state.listings.filter((listing) =>
+      wanted.includes(listing.projectId.toLowerCase())
+    );
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const body = req.method === "POST" ? await readJson(req) : null;
+    const route = `${req.method} ${url.pathname}`;
+
+    if (url.pathname.startsWith("/__mock/")) {
+      if (route === "GET /__mock/state") return sendJson(res, 200, state);
+      if (route === "POST /__mock/script") {
+        api.script(body);
+        return sendJson(res, 200, script);
+      }
+      if (route === "POST /__mock/prices") {
+        api.setPrice(body.sourceId, body.purchasePrice);
+        return sendJson(res, 200, state.listings);
+      }
+      return sendJson(res, 404, { error: "Not found" });
+    }
+
+    state.calls.push({
+      method: req.method,
+      path: url.pathname + url.search,
+      body,
+      at: new Date().toISOString(),
+    });
+    if (!/^Bearer \S+/.test(req.headers.authorization || "")) {
+      return sendJson(res, 401, { error: "Missing API key" });
+    }
+
+    if (route === "GET /prices") {
+      return sendJson(
+        res,
+        200,
+        listingsFor(url.searchParams.get("projectIds"))
+      );
+    }
+
+    if (route === "POST /quotes") {
+      const listing = state.listings.find(
+        (l) => l.sourceId === body.asset_price_source_id
+      );
+      const tonnes = Number(body.quantity_tonnes);
+      if (!listing) {
+        return sendJson(res, 404, { error: "Unknown price source" });
+      }
+      if (!(tonnes > 0) || tonnes < listing.minFillAmount) {
+        return sendJson(res, 400, { error: "Invalid quantity" });
+      }
+      const behavior = script.quotes.shift() || "normal";
+      if (behavior === "price-change") {
+        listing.purchasePrice =
+          Math.round(listing.purchasePrice * priceChangeFactor * 1e6) / 1e6;
+      }
+      const now = Date.now();
+      const quote = {
+        uuid: crypto.randomUUID(),
+        asset_price_source_id: listing.sourceId,
+        project_id: listing.projectId,
+        quantity_tonnes: tonnes,
+        price_per_tonne: listing.purchasePrice,
+        cost_usdc: Math.round(tonnes * listing.purchasePrice * 1e6) / 1e6,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + quoteTtlMs).toISOString(),
+      };
+      state.quotes.push(quote);
+      if (behavior === "expired") lapsedQuotes.add(quote.uuid);
+      return sendJson(res, 200, quote);
+    }
+
+    if (route === "POST /orders") {
+      const quote = state.quotes.find((q) => q.uuid === body.quote_uuid);
+      if (!quote) return sendJson(res, 404, { error: "Unknown quote" });
+      if (
+        lapsedQuotes.has(quote.uuid) ||
+        Date.parse(quote.expires_at) < Date.now()
+      ) {
+        return sendJson(res, 400, { error: "Quote has expired" });
+      }
+      if (state.orders.some((o) => o.quote_uuid === quote.uuid)) {
+        return sendJson(res, 409, { error: "Quote already used" });
+      }
+      const order = {
+        id: `mock-order-${state.orders.length + 1}`,
+        quote_uuid: quote.uuid,
+        project_id: quote.project_id,
+        quantity_tonnes: quote.quantity_tonnes,
+        beneficiary_name: body.beneficiary_name,
+        beneficiary_address: body.beneficiary_address,
+        retirement_message: body.retirement_message,
+        created_at: new Date().toISOString(),
+        behavior: script.orders.shift() || "complete",
+        slowMs: script.slowMs,
+      };
+      state.orders.push(order);
+      const view = orderView(order);
+      if (order.behavior === "missing-id") delete view.id;
+      return sendJson(res, 200, view);
+    }
+
+    if (route === "GET /orders") {
+      const ids = url.searchParams.get("ids");
+      const quoteUuid = url.searchParams.get("quote_uuid");
+      const found = state.orders.filter(
+        (order) =>
+          (!ids || ids.split(",").includes(order.id)) &&
+          (!quoteUuid || order.quote_uuid === quoteUuid)
+      );
+      return sendJson(res, 200, found.map(orderView));
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => sendJson(res, 400, { error: err.message }));
+  });
+
+  const api = {
+    url: null,
+    state,
+
+    // Replace the order / quote behavior queues (and optionally slowMs)
+    script({ orders = [], quotes = [], slowMs: newSlowMs } = {}) {
+      script.orders = checkBehaviors(orders, ORDER_BEHAVIORS, "order");
+      script.quotes = checkBehaviors(quotes, QUOTE_BEHAVIORS, "quote");
+      if (newSlowMs !== undefined) script.slowMs = Number(newSlowMs);
+    },
+
+    setPrice(sourceId, purchasePrice) {
+      const listing = state.listings.find((l) => l.sourceId === sourceId);
+      if (!listing) throw new Error(`Unknown listing: ${sourceId}`);
+      listing.purchasePrice = Number(purchasePrice);
+    },
+
+    // Forget every quote, order and call, and restore the listings
+    reset() {
+      state.listings = listings.map((listing) => ({ ...listing }));
+      state.quotes.length = 0;
+      state.orders.length = 0;
+      state.calls.length = 0;
+      lapsedQuotes.clear();
+      api.script();
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      api.url = `http://${host}:${server.address().port}`;
+      resolve(api);
+    });
+  });
+}
+
+// Behavior lists from the environment, e.g. "slow,failed"
+export function behaviorsFromEnv(value) {
+  return (value || "")
+    .split(",")
+    .map((behavior) => behavior.trim())
+    .filter(Boolean);
+}
+
+if (path.resolve(process.argv[1] || "") === __filename) {
+  startMockCarbonmark({
+    port: Number(process.env.CARBONMARK_MOCK_PORT) || 8547,
+    host: process.env.CARBONMARK_MOCK_HOST || "127.0.0.1",
+    orders: behaviorsFromEnv(process.env.CARBONMARK_MOCK_ORDERS),
+    quotes: behaviorsFromEnv(process.env.CARBONMARK_MOCK_QUOTES),
+    slowMs: Number(process.env.CARBONMARK_MOCK_SLOW_MS) || undefined,
+  })
+    .then((mock) => console.log(`🧪 Mock Carbonmark listening on ${mock.url}`))
+    .catch((err) => {
+      console.error("❌ Mock Carbonmark failed to start:", err.message);
+      process.exit(1);
+    });
+}
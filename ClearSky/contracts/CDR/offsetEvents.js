@@ -0,0 +1,32 @@
+import { RETIREMENT_RECORDED_EVENT } from "./poolRetirements.js";
+
+// The HbarOffset events and functions the relayer and its CLIs use
+export const OFFSET_ABI = [
+  "event OffsetRequested(address indexed user, uint256 hbarAmount, string metadata, address poolAddress, uint256 requestId)",
+  RETIREMENT_RECORDED_EVENT,
+  "function recordRetirement(address poolAddress, uint256 requestId, uint256 componentIndex, string projectId, uint256 microTonnes, string orderId, string retirementUrl)",
+  "function sweep(address to, uint256 amount)",
+  "function getBalance() view returns (uint256)",
+];
+
+// Relayer request record for an OffsetRequested log, or null for any other log
+export function decodeOffsetLog(contractInterface, log) {
+  const decodedLog = contractInterface.parseLog({
+    topics: log.topics,
+    data: log.data,
+  });
+  if (!decodedLog || decodedLog.name !== "OffsetRequested") return null;
+
+  const [user, hbarAmount, metadata, poolAddress, reqId] = decodedLog.args;
+  return {
+    eventKey: `${log.txHash}-${log.logIndex}`,
+    user,
+    hbarAmount: hbarAmount.toString(),
+    metadata,
+    poolAddress,
+    reqId: reqId.toString(),
+    txHash: log.txHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+  };
+}
@@ -0,0 +1,285 @@
+import Ajv2020 from "ajv/dist/2020.js";
+import { ethers } from "ethers";
+import fs from "fs";
+import { RequestRejectedError } from "./relayerErrors.js";
+
+/**
+ * Validation for the metadata string carried by OffsetRequested.
+ *
+ * The canonical shape is described by offsetMetadata.schema.json, which the
+ * metadata is validated against. Senders are not consistent about field
+ * names (testOffset.js writes `beneficiary_name`, the HbarOffset docstring
+ * says `beneficiaryName`), so snake_case aliases are normalized to camelCase
+ * before validating.
+ */
+
+const SCHEMA = JSON.parse(
+  fs.readFileSync(
+    new URL("./offsetMetadata.schema.json", import.meta.url),
+    "utf8"
+  )
+);
+const validateSchema = new Ajv2020({ allErrors: true, verbose: true }).compile(
+  SCHEMA
+);
+
+export const OFFSET_METADATA_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const TOP_LEVEL_ALIASES = {
+  beneficiary_name: "beneficiaryName",
+  beneficiary_address: "beneficiaryAddress",
+  retirement_message: "retirementMessage",
+  project_id: "projectId",
+  project_ids: "projectIds",
+  max_price_per_tonne: "maxPricePerTonne",
+  min_tonnes: "minTonnes",
+  quote_deadline: "quoteDeadline",
+  on_price_breach: "onPriceBreach",
+};
+// Inside criteria, maxPricePerTonne was the listing filter's earlier name; the
+// top-level maxPricePerTonne is the price guard (see priceProtection.js)
+const CRITERIA_ALIASES = {
+  vintage_from: "vintageFrom",
+  vintage_to: "vintageTo",
+  max_listing_price: "maxListingPrice",
+  maxPricePerTonne: "maxListingPrice",
+  max_price_per_tonne: "maxListingPrice",
+};
+
+// Plainer wording for the schema's patterns and alternatives
+const PATTERN_MESSAGES = {
+  [SCHEMA.properties.beneficiaryAddress.pattern]:
+    "must be a 0x-prefixed 20-byte hex address",
+  [SCHEMA.$defs.projectId.pattern]:
+    'must look like "VCS-191" (registry prefix, dash, number)',
+  [SCHEMA.$defs.text.pattern]: "must not be empty",
+};
+const ONE_OF_MESSAGES = new Map([
+  [
+    SCHEMA.properties.quoteDeadline,
+    "must be an ISO 8601 timestamp or unix seconds",
+  ],
+  [SCHEMA.$defs.stringOrList, "must be a string or a list of strings"],
+]);
+
+// Metadata that breaks the schema; `errors` lists every `{ path, message }`
+export class MetadataValidationError extends RequestRejectedError {
+  constructor(errors) {
+    super(
+      `Invalid metadata: ${errors
+        .map(({ path, message }) => (path ? `${path} ${message}` : message))
+        .join("; ")}`
+    );
+    this.name = "MetadataValidationError";
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Rename aliased keys; both spellings with different values is an error
+function renameAliases(object, aliases, path, errors) {
+  const result = { ...object };
+  for (const [alias, name] of Object.entries(aliases)) {
+    if (!(alias in result)) continue;
+    if (name in result && result[name] !== result[alias]) {
+      errors.push({
+        path: `${path}${name}`,
+        message: `conflicts with ${path}${alias}`,
+      });
+    }
+    if (!(name in result)) result[name] = result[alias];
+    delete result[alias];
+  }
+  return result;
+}
+
+// The camelCase form of the metadata, basket entries and criteria included
+function canonicalize(raw, errors) {
+  const selection = (source, path) => {
+    const result = renameAliases(source, TOP_LEVEL_ALIASES, path, errors);
+    if (isPlainObject(result.criteria)) {
+      result.criteria = renameAliases(
+        result.criteria,
+        CRITERIA_ALIASES,
+        `${path}criteria.`,
+        errors
+      );
+    }
+    return result;
+  };
+  const canonical = selection(raw, "");
+  if (Array.isArray(canonical.basket)) {
+    canonical.basket = canonical.basket.map((entry, i) =>
+      isPlainObject(entry) ? selection(entry, `basket[${i}].`) : entry
+    );
+  }
+  return canonical;
+}
+
+// Ajv reports "/basket/0/weight", rejection reasons read "basket[0].weight"
+function errorPath(instancePath, property = null) {
+  const segments = instancePath.split("/").slice(1);
+  if (property !== null) segments.push(property);
+  return segments
+    .map((segment) => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+    .join("")
+    .replace(/^\./, "");
+}
+
+// Schema errors as `{ path, message }`. A failed oneOf is reported once, not
+// with every alternative that did not match.
+function schemaErrors(canonical) {
+  if (validateSchema(canonical)) return [];
+  const alternatives = validateSchema.errors
+    .filter((err) => err.keyword === "oneOf")
+    .map((err) => err.instancePath);
+  return validateSchema.errors
+    .filter(
+      (err) =>
+        err.keyword === "oneOf" ||
+        !alternatives.some(
+          (path) =>
+            err.instancePath === path || err.instancePath.startsWith(`${path}/`)
+        )
+    )
+    .map((err) => {
+      if (err.keyword === "required") {
+        return {
+          path: errorPath(err.instancePath, err.params.missingProperty),
+          message: "is required",
+        };
+      }
+      const message =
+        (err.keyword === "pattern" && PATTERN_MESSAGES[err.params.pattern]) ||
+        (err.keyword === "oneOf" && ONE_OF_MESSAGES.get(err.parentSchema)) ||
+        (err.keyword === "enum" &&
+          `must be one of ${err.params.allowedValues.join(", ")}`) ||
+        err.message;
+      return { path: errorPath(err.instancePath), message };
+    });
+}
+
+// ISO 8601 timestamp or unix seconds, as an ISO string
+function normalizeDeadline(value, path, errors) {
+  const ms = typeof value === "number" ? value * 1000 : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    errors.push({ path, message: "is not a valid date" });
+    return null;
+  }
+  return new Date(ms).toISOString();
+}
+
+// Bounds on what the relayer may buy (see priceProtection.js); null when the
+// request sets none
+function normalizePriceProtection(source, errors) {
+  const { maxPricePerTonne, minTonnes, quoteDeadline } = source;
+  if (
+    maxPricePerTonne === undefined &&
+    minTonnes === undefined &&
+    quoteDeadline === undefined
+  ) {
+    return null;
+  }
+  return {
+    maxPricePerTonne: maxPricePerTonne ?? null,
+    minTonnes: minTonnes ?? null,
+    quoteDeadline:
+      quoteDeadline === undefined
+        ? null
+        : normalizeDeadline(quoteDeadline, "quoteDeadline", errors),
+    onPriceBreach: source.onPriceBreach ?? "refund",
+  };
+}
+
+// The project selection fields shared by the top level and basket entries,
+// with a single projectId turned into a projectIds list
+function normalizeSelection(source, path, errors) {
+  const selection = {};
+  if (source.projectIds !== undefined) {
+    selection.projectIds = source.projectIds;
+  } else if (source.projectId !== undefined) {
+    selection.projectIds = [source.projectId];
+  }
+
+  const { criteria } = source;
+  if (criteria !== undefined) {
+    // The one rule the schema cannot express
+    if (
+      criteria.vintageFrom !== undefined &&
+      criteria.vintageTo !== undefined &&
+      criteria.vintageFrom > criteria.vintageTo
+    ) {
+      errors.push({
+        path: `${path}criteria.vintageFrom`,
+        message: "must not be after vintageTo",
+      });
+    }
+    selection.criteria = criteria;
+  }
+  return selection;
+}
+
+/**
+ * Parse, normalize and validate an OffsetRequested metadata string.
+ *
+ * @returns {object} canonical v1 metadata (camelCase, `projectIds` lists,
+ *   price bounds under `priceProtection`)
+ * @throws {MetadataValidationError} listing every problem found
+ */
+export function parseOffsetMetadata(metadata) {
+  let raw;
+  try {
+    raw = JSON.parse(metadata || "{}");
+  } catch (err) {
+    throw new MetadataValidationError([
+      { path: "", message: `not valid JSON (${err.message})` },
+    ]);
+  }
+  if (!isPlainObject(raw)) {
+    throw new MetadataValidationError([
+      { path: "", message: "must be a JSON object" },
+    ]);
+  }
+
+  const errors = [];
+  const source = canonicalize(raw, errors);
+  const version = source.version ?? OFFSET_METADATA_VERSION;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new MetadataValidationError([
+      {
+        path: "version",
+        message: `${JSON.stringify(
+          version
+        )} is not supported (supported: ${SUPPORTED_VERSIONS.join(", ")})`,
+      },
+    ]);
+  }
+  errors.push(...schemaErrors(source));
+  if (errors.length > 0) throw new MetadataValidationError(errors);
+
+  const normalized = {
+    version,
+    // Any hex casing is accepted (the testOffset.js sample is not
+    // checksummed); the address is stored in its checksummed form
+    beneficiaryAddress: ethers.getAddress(
+      source.beneficiaryAddress.toLowerCase()
+    ),
+    beneficiaryName: source.beneficiaryName,
+    retirementMessage: source.retirementMessage,
+    priceProtection: normalizePriceProtection(source, errors),
+    ...normalizeSelection(source, "", errors),
+  };
+  if (source.basket !== undefined) {
+    normalized.basket = source.basket.map((entry, i) => ({
+      weight: entry.weight,
+      ...normalizeSelection(entry, `basket[${i}].`, errors),
+    }));
+  }
+
+  if (errors.length > 0) throw new MetadataValidationError(errors);
+  return normalized;
+}
@@ -0,0 +1,221 @@
+/**
+ * Persistent mapping from an on-chain requestId to the Carbonmark quote and
+ * order bought for it (the journal's "orders" collection). A request retires
+ * one basket component per order, so records are keyed "<requestId>:<index>";
+ * a plain single-project request has just component 0.
+ *
+ * The order step writes `state: "placing"` before calling POST /orders, so a
+ * crash or timeout mid-call leaves a marker behind. On the next run the
+ * relayer looks the order up by quote instead of buying the retirement again.
+ *
+ *   quoted -> placing -> placed
+ *        \          \-> failed (order FAILED/CANCELLED; a new quote may replace it)
+ *         \-> expired (the quote lapsed before the order; a new quote replaces it)
+ *
+ * Every quote taken for a request is also kept in the "quotes" collection
+ * (keyed by quote uuid) with what became of it, as its audit trail:
+ *
+ *   accepted -> ordered | order_failed | expired
+ *   price_breach (broke the request's price protection, never used)
+ */
+
+export function orderKey(reqId, componentIndex = 0) {
+  return `${reqId}:${componentIndex}`;
+}
+
+export function getOrderRecord(store, key) {
+  return store.get("orders", key);
+}
+
+// Every order record belonging to one on-chain request
+export function listOrderRecords(store, reqId) {
+  return store
+    .list("orders", (record) => record.reqId === String(reqId))
+    .sort((a, b) => a.componentIndex - b.componentIndex);
+}
+
+// When Carbonmark stops honouring the quote (ms), or null if it does not say
+export function quoteExpiresAt(quote) {
+  const ms = quote && quote.expires_at ? Date.parse(quote.expires_at) : NaN;
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// A "quoted" record whose quote is gone, or will be within `marginMs`
+export function isQuoteStale(record, marginMs = 0, now = Date.now()) {
+  const expiresAt = quoteExpiresAt(record.quote);
+  return (
+    record.state === "quoted" &&
+    expiresAt !== null &&
+    expiresAt - marginMs <= now
+  );
+}
+
+// Note a quote in the request's audit trail, whether or not it gets used
+export function logQuoteAttempt(
+  store,
+  { reqId, eventKey, componentIndex },
+  quote,
+  outcome,
+  reason = null
+) {
+  const now = new Date().toISOString();
+  return store.put("quotes", quote.uuid, {
+    uuid: quote.uuid,
+    reqId: String(reqId),
+    eventKey,
+    componentIndex,
+    pricePerTonne: quote.price_per_tonne ?? null,
+    tonnes: quote.quantity_tonnes ?? null,
+    costUsdc: quote.cost_usdc ?? null,
+    expiresAt: quote.expires_at ?? null,
+    quotedAt: now,
+    outcome,
+    reason,
+    updatedAt: now,
+  });
+}
+
+function setQuoteOutcome(store, uuid, outcome, reason = null) {
+  if (!uuid || !store.has("quotes", uuid)) return;
+  store.update("quotes", uuid, {
+    outcome,
+    reason,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// Every quote tried for one on-chain request, oldest first
+export function listQuoteAttempts(store, reqId) {
+  return store
+    .list("quotes", (attempt) => attempt.reqId === String(reqId))
+    .sort(
+      (a, b) =>
+        Date.parse(a.quotedAt) - Date.parse(b.quotedAt) ||
+        a.componentIndex - b.componentIndex
+    );
+}
+
+// Tie a fresh quote to a request component. A failed or expired earlier
+// attempt is kept in `superseded` so the record shows every quote/order pair
+// tried.
+export function recordQuote(
+  store,
+  key,
+  { reqId, eventKey, componentIndex },
+  quote
+) {
+  const existing = getOrderRecord(store, key);
+  const superseded = existing
+    ? [
+        ...(existing.superseded || []),
+        {
+          quoteUuid: existing.quoteUuid,
+          orderId: existing.orderId,
+          state: existing.state,
+          expiresAt: existing.expiresAt ?? null,
+          failureReason: existing.failureReason || null,
+        },
+      ]
+    : [];
+  const now = new Date().toISOString();
+  logQuoteAttempt(
+    store,
+    { reqId, eventKey, componentIndex },
+    quote,
+    "accepted"
+  );
+  return store.put("orders", key, {
+    reqId: String(reqId),
+    eventKey,
+    componentIndex,
+    state: "quoted",
+    quoteUuid: quote.uuid,
+    quote,
+    expiresAt: quote.expires_at ?? null,
+    orderId: null,
+    order: null,
+    superseded,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+export function markOrderPlacing(store, key) {
+  return store.update("orders", key, {
+    state: "placing",
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+export function recordPlacedOrder(store, key, orderId, order) {
+  setQuoteOutcome(store, getOrderRecord(store, key).quoteUuid, "ordered");
+  return store.update("orders", key, {
+    state: "placed",
+    orderId,
+    order,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+export function markOrderFailed(store, key, reason) {
+  setQuoteOutcome(
+    store,
+    getOrderRecord(store, key).quoteUuid,
+    "order_failed",
+    reason
+  );
+  return store.update("orders", key, {
+    state: "failed",
+    failureReason: reason,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// The quote lapsed (or Carbonmark refused it as expired) before any order
+// was placed with it
+export function markQuoteExpired(store, key, reason) {
+  setQuoteOutcome(
+    store,
+    getOrderRecord(store, key).quoteUuid,
+    "expired",
+    reason
+  );
+  return store.update("orders", key, {
+    state: "expired",
+    failureReason: reason,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// The order record (and its key) that Carbonmark order `orderId` belongs to
+export function findOrderRecordByOrderId(store, orderId) {
+  const record = store.list(
+    "orders",
+    (candidate) => String(candidate.orderId) === String(orderId)
+  )[0];
+  return record
+    ? { key: orderKey(record.reqId, record.componentIndex), record }
+    : null;
+}
+
+// Latest status pushed by the Carbonmark webhook, read by the complete step
+export function recordOrderUpdate(store, key, order) {
+  return store.update("orders", key, {
+    lastUpdate: {
+      status: order.status,
+      order,
+      receivedAt: new Date().toISOString(),
+    },
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// The order response structure may vary, check for common fields
+export function extractOrderId(order) {
+  return (
+    order.id ||
+    order.order_id ||
+    (order.quote && order.quote.credential_id) ||
+    null
+  );
+}
@@ -0,0 +1,165 @@
+import { mirrorNodeGet } from "./mirrorNode.js";
+import { RequestDeferredError, RequestRejectedError } from "./relayerErrors.js";
+
+/**
+ * Checks that the transaction behind an OffsetRequested event actually paid
+ * at least `hbarAmount` tinybars to the offset contract or the treasury.
+ *
+ * Two ways to look the payment up:
+ *   - "rpc":    tx.value of the originating transaction (JSON-RPC reports
+ *               weibars on Hedera, 1 tinybar = 1e10 weibar)
+ *   - "mirror": the mirror node contract result `amount` plus any HBAR
+ *               transfers credited to TREASURY_ACCOUNT_ID in the same
+ *               consensus transaction
+ *
+ * One transaction can fund several events, so the amount already claimed
+ * from each tx is tracked in the store's "payments" collection and an event
+ * can never spend HBAR another event already used.
+ */
+export function createPaymentVerifier({
+  provider,
+  store,
+  mirrorNodeUrl,
+  recipients,
+  treasuryAccountId = null,
+  method = "rpc",
+  weiPerTinybar = 10n ** 10n,
+}) {
+  const recipientSet = new Set(
+    recipients.filter(Boolean).map((address) => address.toLowerCase())
+  );
+
+  async function paidViaRpc(txHash) {
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) throw new RequestDeferredError(`Transaction ${txHash} not found`);
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new RequestDeferredError(`Receipt for ${txHash} not available`);
+    }
+    if (receipt.status !== 1) {
+      return { paid: 0n, detail: "transaction reverted" };
+    }
+    if (!tx.to || !recipientSet.has(tx.to.toLowerCase())) {
+      return { paid: 0n, detail: `transaction was sent to ${tx.to}` };
+    }
+    return { paid: tx.value / weiPerTinybar, detail: "tx.value" };
+  }
+
+  async function paidViaMirror(txHash) {
+    const result = await mirrorNodeGet(
+      mirrorNodeUrl,
+      `/api/v1/contracts/results/${txHash}`
+    );
+    if (!result) {
+      throw new RequestDeferredError(
+        `Transaction ${txHash} not indexed by the mirror node yet`
+      );
+    }
+    if (result.result !== "SUCCESS") {
+      return { paid: 0n, detail: `transaction result ${result.result}` };
+    }
+
+    let paid = 0n;
+    if (result.to && recipientSet.has(result.to.toLowerCase())) {
+      paid += BigInt(result.amount || 0);
+    }
+
+    if (treasuryAccountId) {
+      const body = await mirrorNodeGet(
+        mirrorNodeUrl,
+        `/api/v1/transactions?timestamp=${result.timestamp}`
+      );
+      for (const transaction of (body && body.transactions) || []) {
+        for (const transfer of transaction.transfers || []) {
+          if (transfer.account === treasuryAccountId && transfer.amount > 0) {
+            paid += BigInt(transfer.amount);
+          }
+        }
+      }
+    }
+
+    return { paid, detail: "mirror node transfer records" };
+  }
+
+  /**
+   * @returns {Promise<{paidTinybars: string, method: string}>}
+   * @throws {RequestRejectedError} when the request is unfunded or underfunded
+   * @throws {RequestDeferredError} when the payment cannot be looked up yet
+   */
+  async function verify({ eventKey, txHash, hbarAmount }) {
+    const required = BigInt(hbarAmount.toString());
+    const record = store.get("payments", txHash);
+
+    // Already verified on an earlier attempt
+    if (record && record.claims[eventKey] !== undefined) {
+      return { paidTinybars: record.paidTinybars, method: record.method };
+    }
+
+    const { paid, detail } =
+      method === "mirror"
+        ? await paidViaMirror(txHash)
+        : await paidViaRpc(txHash);
+
+    const claims = record ? record.claims : {};
+    const alreadyClaimed = Object.values(claims).reduce(
+      (sum, amount) => sum + BigInt(amount),
+      0n
+    );
+    const available = paid - alreadyClaimed;
+
+    if (paid === 0n) {
+      throw new RequestRejectedError(
+        `Unfunded: no HBAR paid to the offset contract or treasury (${detail})`
+      );
+    }
+    if (available < required) {
+      throw new RequestRejectedError(
+        `Underfunded: requested ${required} tinybars but transaction ${txHash} paid ${paid} (${alreadyClaimed} already claimed by other requests)`
+      );
+    }
+
+    store.put("payments", txHash, {
+      txHash,
+      method,
+      paidTinybars: paid.toString(),
+      claims: { ...claims, [eventKey]: required.toString() },
+    });
+    return { paidTinybars: paid.toString(), method };
+  }
+
+  /**
+   * How much of `txHash` can be refunded for a rejected event: its own claim
+   * if it was verified, otherwise whatever HBAR on the transaction no other
+   * event has claimed. The amount is claimed for the event so the same HBAR
+   * is never refunded (or retired) twice.
+   *
+   * @returns {Promise<string>} tinybars, "0" when nothing was paid
+   */
+  async function claimRefund({ eventKey, txHash }) {
+    const record = store.get("payments", txHash);
+    if (record && record.claims[eventKey] !== undefined) {
+      return record.claims[eventKey];
+    }
+
+    const { paid } =
+      method === "mirror"
+        ? await paidViaMirror(txHash)
+        : await paidViaRpc(txHash);
+    const claims = record ? record.claims : {};
+    const alreadyClaimed = Object.values(claims).reduce(
+      (sum, amount) => sum + BigInt(amount),
+      0n
+    );
+    const available = paid > alreadyClaimed ? paid - alreadyClaimed : 0n;
+
+    store.put("payments", txHash, {
+      txHash,
+      method,
+      paidTinybars: paid.toString(),
+      claims: { ...claims, [eventKey]: available.toString() },
+    });
+    return available.toString();
+  }
+
+  return { verify, claimRefund };
+}
@@ -0,0 +1,123 @@
+/**
+ * Per-pool retirement history, from HbarOffset's RetirementRecorded events.
+ *
+ * The factory only keeps a pool's latest retirement URL on chain
+ * (setPoolRetirementUrl overwrites it), so after writing the URL the relayer
+ * also records every retired component with HbarOffset.recordRetirement.
+ * Every instance journals those events from the chain alongside the
+ * OffsetRequested ones (the "poolRetirements" collection), so each of them
+ * holds the whole history, whichever instance made the retirement. A batch
+ * is recorded as its contributors' shares, each under its own request.
+ */
+
+export const RETIREMENT_RECORDED_EVENT =
+  "event RetirementRecorded(address indexed poolAddress, uint256 indexed requestId, uint256 componentIndex, string projectId, uint256 microTonnes, string orderId, string retirementUrl, uint256 recordedAt)";
+
+// One record per request component, however often it was recorded
+export function retirementKey({ poolAddress, reqId, componentIndex }) {
+  return `${poolAddress.toLowerCase()}-${reqId}-${componentIndex}`;
+}
+
+// The record behind a RetirementRecorded log, or null for any other log
+export function decodeRetirementLog(contractInterface, log) {
+  const decodedLog = contractInterface.parseLog({
+    topics: log.topics,
+    data: log.data,
+  });
+  if (!decodedLog || decodedLog.name !== "RetirementRecorded") return null;
+
+  const {
+    poolAddress,
+    requestId,
+    componentIndex,
+    projectId,
+    microTonnes,
+    orderId,
+    retirementUrl,
+    recordedAt,
+  } = decodedLog.args;
+  return {
+    poolAddress,
+    reqId: requestId.toString(),
+    componentIndex: Number(componentIndex),
+    projectId,
+    tonnes: Number(microTonnes) / 1e6,
+    orderId,
+    retirementUrl,
+    retiredAt: new Date(Number(recordedAt) * 1000).toISOString(),
+    txHash: log.txHash,
+    blockNumber: log.blockNumber,
+  };
+}
+
+// Journal a decoded record; false when it was already there
+export function journalRetirement(store, record) {
+  const key = retirementKey(record);
+  if (store.has("poolRetirements", key)) return false;
+  store.put("poolRetirements", key, record);
+  return true;
+}
+
+/**
+ * Every retirement backing `pool` (all pools when null), oldest first,
+ * optionally limited to those retired within [from, to] (ISO dates). Each
+ * carries its requester when the request is in the journal.
+ */
+export function listPoolRetirements(
+  store,
+  { pool = null, from = null, to = null } = {}
+) {
+  const wanted = pool ? pool.toLowerCase() : null;
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to ? Date.parse(to) : Infinity;
+
+  return store
+    .list("poolRetirements", (record) => {
+      const at = Date.parse(record.retiredAt);
+      return (
+        (!wanted || record.poolAddress.toLowerCase() === wanted) &&
+        at >= fromMs &&
+        at <= toMs
+      );
+    })
+    .map((record) => {
+      const eventKey = store.get("requestIds", record.reqId);
+      const request = eventKey && store.get("requests", eventKey);
+      return { ...record, user: request ? request.user : null };
+    })
+    .sort(
+      (a, b) =>
+        a.blockNumber - b.blockNumber ||
+        Number(a.reqId) - Number(b.reqId) ||
+        a.componentIndex - b.componentIndex
+    );
+}
+
+// One line per pool: how much is retired behind it and what it shows on chain
+export function summarizePools(store) {
+  const pools = new Map();
+  for (const record of listPoolRetirements(store)) {
+    const key = record.poolAddress.toLowerCase();
+    const pool = pools.get(key) || {
+      poolAddress: record.poolAddress,
+      retirements: 0,
+      tonnes: 0,
+      requests: new Set(),
+      firstRetiredAt: record.retiredAt,
+      lastRetiredAt: null,
+      currentUrl: null,
+    };
+    pool.retirements += 1;
+    pool.tonnes += record.tonnes;
+    pool.requests.add(record.reqId);
+    pool.lastRetiredAt = record.retiredAt;
+    // Recorded right after the URL was written to the pool
+    pool.currentUrl = record.retirementUrl;
+    pools.set(key, pool);
+  }
+  return [...pools.values()].map(({ requests, tonnes, ...pool }) => ({
+    ...pool,
+    requests: requests.size,
+    tonnes: Math.round(tonnes * 1e6) / 1e6,
+  }));
+}
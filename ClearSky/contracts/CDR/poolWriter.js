@@ -0,0 +1,138 @@
+import { ethers } from "ethers";
+
+/**
+ * The relayer's writes about a retired request to the chain: the retirement
+ * URL on its ClearSkyFactory pool, and the retirement itself in the pool's
+ * history on HbarOffset. Both are sent from the relayer account (`signer`);
+ * with `simulate` set they are only logged. `getFactory()` returns the
+ * factory's `{ address, abi }` and is only called when a URL is written.
+ * Each write resolves to its tx hash (null when simulated, or when HbarOffset
+ * predates recordRetirement) and books its gas with
+ * `postNetworkFee(receipt, entry)`.
+ */
+export function createPoolWriter({
+  signer,
+  offsetAddress,
+  offsetAbi,
+  getFactory,
+  simulate = false,
+  postNetworkFee = () => {},
+}) {
+  function requireSigner() {
+    if (!signer) {
+      throw new Error(
+        "No relayer signer (SIGNER_BACKEND / PRIVATE_KEY) configured"
+      );
+    }
+    return signer;
+  }
+
+  // HbarOffset deployments from before the pool history have no
+  // recordRetirement: look for its selector in the deployed code, once
+  let recordsRetirements = null;
+  async function canRecordRetirements(offsetContract) {
+    if (recordsRetirements === null) {
+      const code = await requireSigner().provider.getCode(offsetAddress);
+      const { selector } =
+        offsetContract.interface.getFunction("recordRetirement");
+      recordsRetirements = code.includes(selector.slice(2));
+      if (!recordsRetirements) {
+        console.warn(
+          `⚠️  HbarOffset at ${offsetAddress} has no recordRetirement (deployed before the pool history), pool retirements are not recorded on-chain until it is redeployed`
+        );
+      }
+    }
+    return recordsRetirements;
+  }
+
+  // Ledger fields shared by the gas of both writes
+  function feeEntry(request, memo) {
+    return {
+      reqId: request.reqId,
+      eventKey: request.eventKey,
+      customer: request.user,
+      hbarUsdRate: request.hbarUsdRate ?? null,
+      memo,
+    };
+  }
+
+  return {
+    async updatePoolRetirementUrl(poolAddress, retirementUrl, request) {
+      if (simulate) {
+        console.log(
+          `🧪 Simulation: would set the retirement URL of pool ${poolAddress} to ${retirementUrl}`
+        );
+        return null;
+      }
+      console.log(`\n🔗 Updating retirement URL for pool ${poolAddress}...`);
+
+      const { address: factoryAddress, abi: factoryABI } = getFactory();
+      const factoryContract = new ethers.Contract(
+        factoryAddress,
+        factoryABI,
+        requireSigner()
+      );
+
+      console.log(
+        `📝 Calling setPoolRetirementUrl(${poolAddress}, ${retirementUrl})...`
+      );
+
+      // Call setPoolRetirementUrl
+      const tx = await factoryContract.setPoolRetirementUrl(
+        poolAddress,
+        retirementUrl,
+        {
+          gasLimit: 1_000_000,
+        }
+      );
+
+      console.log(`⏳ Transaction submitted: ${tx.hash}`);
+      console.log(`⏳ Waiting for confirmation...`);
+
+      const receipt = await tx.wait();
+      console.log(`✅ Retirement URL updated in block: ${receipt.blockNumber}`);
+      postNetworkFee(
+        receipt,
+        feeEntry(request, `Retirement URL for pool ${poolAddress}`)
+      );
+      console.log(`🔗 Transaction Hash: ${tx.hash}`);
+      return tx.hash;
+    },
+
+    // Add a retired component to its pool's history on HbarOffset
+    async recordPoolRetirement(request, component) {
+      const { poolAddress } = request;
+      if (simulate) {
+        console.log(
+          `🧪 Simulation: would record ${component.retirementUrl} in the history of pool ${poolAddress}`
+        );
+        return null;
+      }
+      const offsetContract = new ethers.Contract(
+        offsetAddress,
+        offsetAbi,
+        requireSigner()
+      );
+      if (!(await canRecordRetirements(offsetContract))) return null;
+      const tx = await offsetContract.recordRetirement(
+        poolAddress,
+        request.reqId,
+        component.index,
+        component.projectId,
+        Math.round(component.tonnes * 1e6),
+        component.orderId,
+        component.retirementUrl,
+        { gasLimit: 1_000_000 }
+      );
+      const receipt = await tx.wait();
+      console.log(
+        `📚 Retirement recorded in the history of pool ${poolAddress}: ${tx.hash}`
+      );
+      postNetworkFee(
+        receipt,
+        feeEntry(request, `Retirement record for pool ${poolAddress}`)
+      );
+      return tx.hash;
+    },
+  };
+}
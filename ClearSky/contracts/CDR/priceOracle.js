@@ -0,0 +1,161 @@
+import fetch from "node-fetch";
+import { mirrorNodeGet } from "./mirrorNode.js";
+import { RequestDeferredError } from "./relayerErrors.js";
+
+/**
+ * HBAR/USD price oracle for the relayer.
+ *
+ * Each source returns `{ source, price, observedAt, expiresAt? }`. The oracle
+ * drops stale quotes, takes the median of the fresh ones and caches it for a
+ * short time. The static fallback (opt-in, none by default) never takes part
+ * in that median and is only used when no live source could be reached at
+ * all. A source that answered with a stale quote means the market moved on
+ * without us, so then the oracle throws PriceUnavailableError and the caller
+ * defers the request instead of pricing it at a fixed rate.
+ */
+
+export class PriceUnavailableError extends RequestDeferredError {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = "PriceUnavailableError";
+    this.failures = failures;
+  }
+}
+
+// Hedera network exchange rate (the one the network uses for fees).
+// Valid until `current_rate.expiration_time`, which is usually the next hour.
+export function createMirrorNodeRateSource(mirrorNodeUrl) {
+  return {
+    name: "mirror-node",
+    async fetchPrice() {
+      const body = await mirrorNodeGet(
+        mirrorNodeUrl,
+        "/api/v1/network/exchangerate"
+      );
+      const rate = body && body.current_rate;
+      if (!rate || !rate.hbar_equivalent) {
+        throw new Error("Exchange rate missing from mirror node response");
+      }
+      return {
+        source: "mirror-node",
+        price: rate.cent_equivalent / rate.hbar_equivalent / 100,
+        observedAt: Date.now(),
+        expiresAt: rate.expiration_time * 1000,
+      };
+    },
+  };
+}
+
+// Exchange ticker with a `{ "price": "0.1234" }` body (Binance format by default)
+export function createTickerSource(
+  url = "https://api.binance.com/api/v3/ticker/price?symbol=HBARUSDT"
+) {
+  return {
+    name: "cex",
+    async fetchPrice() {
+      const res = await fetch(url, { signal: AbortSignal.timeout(10000) });
+      if (!res.ok)
+        throw new Error(
+          `Ticker fetch failed: ${res.status} ${await res.text()}`
+        );
+      const body = await res.json();
+      return {
+        source: "cex",
+        price: Number(body.price),
+        observedAt: Date.now(),
+      };
+    },
+  };
+}
+
+// Fixed operator-supplied price, only used when every live source is down
+export function createStaticSource(price) {
+  return {
+    name: "static",
+    async fetchPrice() {
+      return { source: "static", price, observedAt: Date.now() };
+    },
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+export function createPriceOracle({
+  sources,
+  fallback = null,
+  maxAgeMs = 5 * 60 * 1000,
+  cacheMs = 60 * 1000,
+}) {
+  let cached = null;
+
+  function isFresh(quote, now) {
+    if (!Number.isFinite(quote.price) || quote.price <= 0) return false;
+    if (quote.expiresAt) return now < quote.expiresAt;
+    return now - quote.observedAt <= maxAgeMs;
+  }
+
+  /**
+   * @returns {Promise<{price: number, quotes: object[], asOf: string}>}
+   * @throws {PriceUnavailableError} when no fresh price can be found
+   */
+  async function getPrice() {
+    const now = Date.now();
+    if (cached && now - cached.fetchedAt <= cacheMs) {
+      return cached.result;
+    }
+
+    const failures = [];
+    let staleQuotes = 0;
+    const settled = await Promise.allSettled(
+      sources.map((source) => source.fetchPrice())
+    );
+    const quotes = [];
+    settled.forEach((outcome, i) => {
+      if (outcome.status === "rejected") {
+        failures.push(`${sources[i].name}: ${outcome.reason.message}`);
+      } else if (!isFresh(outcome.value, now)) {
+        staleQuotes += 1;
+        failures.push(`${sources[i].name}: stale or invalid quote`);
+      } else {
+        quotes.push(outcome.value);
+      }
+    });
+
+    if (quotes.length > 0) {
+      const result = {
+        price: median(quotes.map((q) => q.price)),
+        quotes,
+        asOf: new Date(now).toISOString(),
+      };
+      cached = { fetchedAt: now, result };
+      return result;
+    }
+
+    if (fallback && staleQuotes === 0) {
+      const quote = await fallback.fetchPrice();
+      console.warn(
+        `⚠️  No live HBAR/USD price (${failures.join(
+          "; "
+        )}), using static fallback ${quote.price}`
+      );
+      return {
+        price: quote.price,
+        quotes: [quote],
+        asOf: new Date(now).toISOString(),
+      };
+    }
+
+    throw new PriceUnavailableError(
+      `No fresh HBAR/USD price available (${failures.join("; ")})`,
+      failures
+    );
+  }
+
+  return { getPrice };
+}
@@ -0,0 +1,81 @@
+import { RequestDeferredError, RequestRejectedError } from "./relayerErrors.js";
+
+/**
+ * User price protection for offset requests.
+ *
+ * The HBAR/USD rate and the credit prices can both move between the
+ * OffsetRequested event and the Carbonmark quote, so the metadata may bound
+ * what the relayer buys (see offsetMetadata.js):
+ *
+ *   {
+ *     "maxPricePerTonne": 14,                  // USD, per quoted tonne
+ *     "minTonnes": 2.5,                        // over all basket components
+ *     "quoteDeadline": "2026-01-31T12:00:00Z", // or unix seconds
+ *     "onPriceBreach": "hold"                  // or "refund" (the default)
+ *   }
+ *
+ * The bounds are checked against the selected listings when a request is
+ * priced and again against every fresh quote before anything is ordered. A
+ * breach refunds the request, or with "hold" retries it later until the
+ * deadline (or the relayer's hold limit) passes, and refunds it then.
+ *
+ * `criteria.maxListingPrice` (projectSelection.js) is a different thing: it
+ * only skips expensive listings and never refunds.
+ */
+
+// Why `components` ({ pricePerTonne, tonnes }) break `protection`, if they do
+export function priceBreaches(protection, components, now = Date.now()) {
+  const breaches = [];
+  const { maxPricePerTonne, minTonnes, quoteDeadline } = protection;
+  if (quoteDeadline && now > Date.parse(quoteDeadline)) {
+    breaches.push(`quote deadline ${quoteDeadline} has passed`);
+  }
+  if (maxPricePerTonne) {
+    for (const { pricePerTonne } of components) {
+      if (pricePerTonne > maxPricePerTonne) {
+        breaches.push(
+          `$${pricePerTonne}/t is above maxPricePerTonne $${maxPricePerTonne}/t`
+        );
+      }
+    }
+  }
+  if (minTonnes) {
+    const tonnes =
+      Math.round(components.reduce((sum, c) => sum + c.tonnes, 0) * 1000) /
+      1000;
+    if (tonnes < minTonnes) {
+      breaches.push(`${tonnes} t is below minTonnes ${minTonnes} t`);
+    }
+  }
+  return breaches;
+}
+
+/**
+ * The error to throw for `breaches`: a deferral while a "hold" request may
+ * still wait for better prices, a rejection (and refund) otherwise. Holds
+ * last until the quote deadline, and at most `maxHoldMs` after the request
+ * was received.
+ */
+export function priceBreachError(
+  protection,
+  breaches,
+  { receivedAt, maxHoldMs, retryMs, now = Date.now() }
+) {
+  const reason = `Price protection: ${breaches.join("; ")}`;
+  if (protection.onPriceBreach !== "hold") {
+    return new RequestRejectedError(reason);
+  }
+
+  const holdUntil = Math.min(
+    protection.quoteDeadline ? Date.parse(protection.quoteDeadline) : Infinity,
+    Date.parse(receivedAt) + maxHoldMs
+  );
+  if (now >= holdUntil) {
+    return new RequestRejectedError(
+      `${reason} (held until ${new Date(holdUntil).toISOString()})`
+    );
+  }
+  return new RequestDeferredError(`${reason}; holding for a better price`, {
+    retryAfterMs: Math.min(retryMs, holdUntil - now),
+  });
+}
@@ -0,0 +1,286 @@
+import { RequestRejectedError } from "./relayerErrors.js";
+
+/**
+ * Project-selection policy for offset requests.
+ *
+ * Requests may restrict which credits are acceptable, either with a list of
+ * project ids or with criteria in the metadata:
+ *
+ *   {
+ *     "projectIds": ["VCS-191", "GS-1234"],     // or legacy "projectId"
+ *     "criteria": {
+ *       "registry": "VCS",                      // string or list
+ *       "vintageFrom": 2018, "vintageTo": 2023,
+ *       "country": ["Brazil", "Peru"],          // string or list
+ *       "methodology": "VM0007",                // string or list
+ *       "category": "removal",                  // or "avoidance"
+ *       "maxListingPrice": 12.5                 // USD per tonne
+ *     }
+ *   }
+ *
+ * The relayer then routes to the cheapest Carbonmark listing that matches and
+ * can fill the tonnage the request pays for. A methodology says how credits
+ * are counted, not whether carbon is removed or only kept out of the air, so
+ * that is asked for with `category` and read from the listing's category.
+ */
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// Carbonmark describes categories in prose ("Carbon Removal", "Emission
+// Reduction", ...); only removal vs avoidance matters for selection
+function listingCategory(value) {
+  if (!value) return null;
+  const text = String(value).toLowerCase();
+  if (text.includes("remov")) return "removal";
+  if (text.includes("avoid") || text.includes("reduc")) return "avoidance";
+  return null;
+}
+
+function includesIgnoreCase(list, value) {
+  if (!value) return false;
+  const needle = String(value).toLowerCase();
+  return list.some((item) => item.toLowerCase() === needle);
+}
+
+/**
+ * Carbonmark price listings are not uniform (pool vs listing, nested project
+ * or credit objects), so read each attribute from wherever it is present.
+ */
+export function normalizeListing(price) {
+  const project = price.project || {};
+  const credit = price.credit || {};
+  const projectId =
+    credit.projectId || project.key || project.id || price.projectId || null;
+  const methodologies = (project.methodologies || [])
+    .map((m) => (typeof m === "string" ? m : m.id))
+    .concat(price.methodology ? [price.methodology] : [])
+    .filter(Boolean);
+
+  return {
+    sourceId: price.sourceId,
+    purchasePrice: Number(price.purchasePrice),
+    supply: price.supply !== undefined ? Number(price.supply) : null,
+    minFillAmount: Number(price.minFillAmount) || 0,
+    projectId,
+    registry:
+      credit.standard ||
+      project.registry ||
+      (projectId ? projectId.split("-")[0] : null),
+    vintage: Number(credit.vintage || project.vintage || price.vintage) || null,
+    country:
+      (project.country && (project.country.id || project.country)) ||
+      price.country ||
+      null,
+    methodologies,
+    category: listingCategory(
+      price.category || project.category || credit.category
+    ),
+  };
+}
+
+/**
+ * Build the selection criteria for a request from its metadata, falling back
+ * to `defaultProjectIds` when the request expresses no preference at all.
+ */
+export function parseSelectionCriteria(meta, defaultProjectIds = []) {
+  const criteria = meta.criteria || {};
+  let projectIds = toList(meta.projectIds || meta.projectId);
+
+  const hasCriteria = [
+    "registry",
+    "vintageFrom",
+    "vintageTo",
+    "country",
+    "methodology",
+    "category",
+    "maxListingPrice",
+  ].some((key) => criteria[key] !== undefined && criteria[key] !== null);
+
+  if (!projectIds && !hasCriteria && defaultProjectIds.length > 0) {
+    projectIds = defaultProjectIds;
+  }
+
+  return {
+    projectIds,
+    registries: toList(criteria.registry),
+    vintageFrom: criteria.vintageFrom ? Number(criteria.vintageFrom) : null,
+    vintageTo: criteria.vintageTo ? Number(criteria.vintageTo) : null,
+    countries: toList(criteria.country),
+    methodologies: toList(criteria.methodology),
+    category: criteria.category || null,
+    maxListingPrice: criteria.maxListingPrice
+      ? Number(criteria.maxListingPrice)
+      : null,
+  };
+}
+
+// Returns null when the listing is acceptable, otherwise why it is not
+export function criteriaMismatch(listing, criteria) {
+  if (
+    criteria.projectIds &&
+    !includesIgnoreCase(criteria.projectIds, listing.projectId)
+  ) {
+    return "project not in the accepted list";
+  }
+  if (
+    criteria.registries &&
+    !includesIgnoreCase(criteria.registries, listing.registry)
+  ) {
+    return "registry";
+  }
+  if (
+    criteria.vintageFrom &&
+    (!listing.vintage || listing.vintage < criteria.vintageFrom)
+  ) {
+    return "vintage too old";
+  }
+  if (
+    criteria.vintageTo &&
+    (!listing.vintage || listing.vintage > criteria.vintageTo)
+  ) {
+    return "vintage too recent";
+  }
+  if (
+    criteria.countries &&
+    !includesIgnoreCase(criteria.countries, listing.country)
+  ) {
+    return "country";
+  }
+  if (
+    criteria.methodologies &&
+    !listing.methodologies.some((m) =>
+      includesIgnoreCase(criteria.methodologies, m)
+    )
+  ) {
+    return "methodology";
+  }
+  if (criteria.category && listing.category !== criteria.category) {
+    return "category";
+  }
+  if (
+    criteria.maxListingPrice &&
+    listing.purchasePrice > criteria.maxListingPrice
+  ) {
+    return "price above maxListingPrice";
+  }
+  return null;
+}
+
+// Whole kilograms of CO2 that `usd` buys at `pricePerTonne`
+export function tonnesFor(usd, pricePerTonne) {
+  return Math.floor((usd / pricePerTonne) * 1000) / 1000;
+}
+
+// Funds buy less than 0.001 t (or the listing's minimum fill) of any matching
+// listing. The relayer can still serve these by pooling them into a batch.
+export class BelowMinimumFillError extends RequestRejectedError {
+  constructor(reason) {
+    super(reason);
+    this.name = "BelowMinimumFillError";
+  }
+}
+
+/**
+ * Pick the cheapest listing that matches `criteria` and can fill what `usd`
+ * buys.
+ *
+ * @returns {{listing: object, tonnes: number, candidates: number}}
+ * @throws {BelowMinimumFillError} when funds are too small for every match
+ * @throws {RequestRejectedError} when nothing matches or supply is short
+ */
+export function selectCheapestListing(prices, criteria, usd) {
+  const listings = prices
+    .map(normalizeListing)
+    .filter((l) => l.sourceId && l.purchasePrice > 0);
+  const matching = listings.filter((l) => !criteriaMismatch(l, criteria));
+
+  if (matching.length === 0) {
+    throw new RequestRejectedError(
+      `No Carbonmark listing matches the project criteria (${listings.length} listing(s) checked)`
+    );
+  }
+
+  const fillable = matching
+    .map((listing) => ({
+      listing,
+      tonnes: tonnesFor(usd, listing.purchasePrice),
+    }))
+    .filter(
+      ({ listing, tonnes }) =>
+        tonnes > 0 &&
+        tonnes >= listing.minFillAmount &&
+        (listing.supply === null || listing.supply >= tonnes)
+    )
+    .sort((a, b) => a.listing.purchasePrice - b.listing.purchasePrice);
+
+  if (fillable.length === 0) {
+    const tooSmall = matching.every((listing) => {
+      const tonnes = tonnesFor(usd, listing.purchasePrice);
+      return tonnes <= 0 || tonnes < listing.minFillAmount;
+    });
+    if (tooSmall) {
+      throw new BelowMinimumFillError(
+        `Funds buy less than 0.001 tCO2 or the minimum fill of all ${matching.length} matching listing(s)`
+      );
+    }
+    throw new RequestRejectedError(
+      `None of ${matching.length} matching listing(s) can fill the order: not enough supply where the funds meet the minimum fill`
+    );
+  }
+
+  return { ...fillable[0], candidates: matching.length };
+}
+
+// Upper bound on components so one request cannot fan out into many orders
+const MAX_BASKET_COMPONENTS = 10;
+
+/**
+ * Split a request into weighted components. Metadata may carry a basket:
+ *
+ *   "basket": [
+ *     { "weight": 50, "criteria": { "category": "removal" } },
+ *     { "weight": 50, "projectIds": ["VCS-191"] }
+ *   ]
+ *
+ * Each entry takes the same `projectIds` / `criteria` fields as a plain
+ * request. Without a basket the whole request is a single component.
+ *
+ * @returns {{share: number, criteria: object}[]} shares add up to 1
+ * @throws {RequestRejectedError} when the basket is malformed
+ */
+export function parseBasket(meta, defaultProjectIds = []) {
+  if (meta.basket === undefined || meta.basket === null) {
+    return [
+      { share: 1, criteria: parseSelectionCriteria(meta, defaultProjectIds) },
+    ];
+  }
+
+  if (
+    !Array.isArray(meta.basket) ||
+    meta.basket.length === 0 ||
+    meta.basket.length > MAX_BASKET_COMPONENTS
+  ) {
+    throw new RequestRejectedError(
+      `basket must be an array of 1 to ${MAX_BASKET_COMPONENTS} components`
+    );
+  }
+
+  const weights = meta.basket.map((entry, i) => {
+    const weight = Number(entry && entry.weight);
+    if (!(weight > 0)) {
+      throw new RequestRejectedError(
+        `basket[${i}].weight must be a positive number`
+      );
+    }
+    return weight;
+  });
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return meta.basket.map((entry, i) => ({
+    share: weights[i] / totalWeight,
+    criteria: parseSelectionCriteria(entry, defaultProjectIds),
+  }));
+}
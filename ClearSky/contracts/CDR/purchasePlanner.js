@@ -0,0 +1,112 @@
+import {
+  BelowMinimumFillError,
+  parseBasket,
+  selectCheapestListing,
+} from "./projectSelection.js";
+import { parseOffsetMetadata } from "./offsetMetadata.js";
+import { RequestRejectedError } from "./relayerErrors.js";
+
+/**
+ * What a request buys: its metadata, its HBAR value in USD and the cheapest
+ * matching listing for every basket component. Shared by the price step and
+ * the replay CLI's dry run. A single-component request too small for any
+ * listing comes back with `batchCriteria` (and no components) when batching
+ * is on (`batchMinTonnes` set), unless it sets price bounds: batches do not
+ * honour those.
+ *
+ * `priceOracle` gives the HBAR/USD rate and `getPrices(projectIds)` the
+ * Carbonmark listings; returns planPurchase({ user, hbarAmount, metadata }).
+ */
+export function createPurchasePlanner({
+  priceOracle,
+  getPrices,
+  defaultProjectIds,
+  batchMinTonnes = null,
+}) {
+  async function planPurchase({ user, hbarAmount, metadata }) {
+    const meta = parseOffsetMetadata(metadata);
+    const basket = parseBasket(meta, defaultProjectIds);
+    const beneficiaryName = meta.beneficiaryName || user;
+    const { beneficiaryAddress, retirementMessage = null } = meta;
+
+    const hbar = Number(BigInt(hbarAmount)) / 1e8;
+    const { price, quotes } = await priceOracle.getPrice();
+    const usd = hbar * price;
+    console.log(
+      `HBAR/USD rate: ${price} (${quotes.map((q) => q.source).join(", ")})`
+    );
+    console.log("USD value:", usd);
+
+    const plan = {
+      hbarUsdRate: price,
+      usdValue: usd,
+      beneficiaryName,
+      beneficiaryAddress,
+      retirementMessage,
+      priceProtection: meta.priceProtection,
+    };
+
+    // Listings fetched once per distinct project filter
+    const pricesByQuery = new Map();
+    const components = [];
+    for (const [index, { share, criteria }] of basket.entries()) {
+      const queryKey = criteria.projectIds
+        ? criteria.projectIds.join(",")
+        : "*";
+      if (!pricesByQuery.has(queryKey)) {
+        pricesByQuery.set(queryKey, await getPrices(criteria.projectIds));
+      }
+
+      const componentUsd = usd * share;
+      let selection;
+      try {
+        selection = selectCheapestListing(
+          pricesByQuery.get(queryKey),
+          criteria,
+          componentUsd
+        );
+      } catch (err) {
+        if (
+          err instanceof BelowMinimumFillError &&
+          basket.length === 1 &&
+          batchMinTonnes !== null &&
+          !meta.priceProtection
+        ) {
+          return { ...plan, batchCriteria: criteria };
+        }
+        if (err instanceof RequestRejectedError && basket.length > 1) {
+          throw new RequestRejectedError(`basket[${index}]: ${err.reason}`);
+        }
+        throw err;
+      }
+
+      const { listing, tonnes, candidates } = selection;
+      console.log(
+        `Selected ${listing.projectId} at $${
+          listing.purchasePrice
+        }/t for ${tonnes} t (${Math.round(
+          share * 100
+        )}%, cheapest of ${candidates} matching listing(s))`
+      );
+      components.push({
+        index,
+        share,
+        selectionCriteria: criteria,
+        usdValue: componentUsd,
+        projectId: listing.projectId,
+        priceSourceId: listing.sourceId,
+        pricePerTonne: listing.purchasePrice,
+        tonnes,
+        status: "priced",
+      });
+    }
+
+    const tonnes =
+      Math.round(components.reduce((sum, c) => sum + c.tonnes, 0) * 1000) /
+      1000;
+    console.log("Tonnes:", tonnes);
+    return { ...plan, tonnes, components };
+  }
+
+  return planPurchase;
+}
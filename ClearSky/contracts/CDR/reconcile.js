@@ -0,0 +1,174 @@
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import {
+  loadRelayerEnv,
+  getDeploymentData,
+  getFactoryDeploymentData,
+  createProvider,
+  getCarbonmarkSettings,
+} from "./relayerEnv.js";
+import { OFFSET_ABI, decodeOffsetLog } from "./offsetEvents.js";
+import { createCarbonmarkClient } from "./carbonmarkClient.js";
+import { getRelayerPaths } from "./relayerConfig.js";
+import { openRelayerStore } from "./relayerStore.js";
+import { createRpcLogSource } from "./eventSources.js";
+import { reconcile, summarizeReconciliation } from "./reconciliation.js";
+
+/**
+ * Reconcile HbarOffset events, the Carbonmark orders the relayer placed and
+ * the retirement URLs on ClearSkyFactory pools. Meant to run on a schedule.
+ *
+ *   node contracts/CDR/reconcile.js [--from <block>] [--to <block>]
+ *                                   [--out <file>] [--no-carbonmark]
+ *
+ * The block range defaults to the HbarOffset deployment block (or
+ * RELAYER_START_BLOCK) up to the head. The human summary is printed, the
+ * JSON report goes to --out (by default a timestamped file in the relayer
+ * data dir). --no-carbonmark skips asking Carbonmark about each order.
+ * Exits with 2 when anything does not match, so a scheduler can alert on it.
+ * Unfinished requests younger than RELAYER_RECONCILE_GRACE_MS (default an
+ * hour) are not counted yet.
+ */
+
+loadRelayerEnv();
+const deploymentData = getDeploymentData();
+const CONTRACT_ADDRESS = deploymentData.contractAddress;
+const RELAYER_PATHS = getRelayerPaths(deploymentData.network);
+
+const FACTORY_ABI = ["function isPool(address) view returns (bool)"];
+const POOL_ABI = ["function retirement_url() view returns (string)"];
+
+function parseArgs(argv) {
+  const options = { carbonmark: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--no-carbonmark") options.carbonmark = false;
+    else if (["--from", "--to", "--out"].includes(arg)) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      options[arg.slice(2)] = argv[++i];
+    } else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return options;
+}
+
+function parseBlock(value, name) {
+  const block = Number(value);
+  if (!Number.isInteger(block) || block < 0) {
+    throw new Error(`${name} must be a block number, got: ${value}`);
+  }
+  return block;
+}
+
+async function scanEvents(provider, fromBlock, toBlock) {
+  const contractInterface = new ethers.Interface(OFFSET_ABI);
+  const source = createRpcLogSource({
+    provider,
+    contractAddress: CONTRACT_ADDRESS,
+    topic: contractInterface.getEvent("OffsetRequested").topicHash,
+    maxBlockRange: Number(process.env.RELAYER_MAX_BLOCK_RANGE) || 1000,
+  });
+  const events = [];
+  for await (const batch of source.poll(fromBlock - 1, toBlock)) {
+    for (const log of batch.logs) {
+      const event = decodeOffsetLog(contractInterface, log);
+      if (event) events.push(event);
+    }
+  }
+  return events;
+}
+
+// isPool + retirement_url of every pool the events name (or why it could not
+// be read)
+async function readPoolStates(provider, events) {
+  const factory = new ethers.Contract(
+    getFactoryDeploymentData().factoryAddress,
+    FACTORY_ABI,
+    provider
+  );
+  const pools = [
+    ...new Set(
+      events
+        .map((event) => event.poolAddress)
+        .filter((pool) => pool && pool !== ethers.ZeroAddress)
+        .map((pool) => pool.toLowerCase())
+    ),
+  ];
+  const states = new Map();
+  for (const pool of pools) {
+    try {
+      const isPool = await factory.isPool(pool);
+      const url = isPool
+        ? await new ethers.Contract(pool, POOL_ABI, provider).retirement_url()
+        : null;
+      states.set(pool, { isPool, url });
+    } catch (err) {
+      states.set(pool, { error: err.shortMessage || err.message });
+    }
+  }
+  return states;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(RELAYER_PATHS.stateFile)) {
+    throw new Error(`Relayer state file not found: ${RELAYER_PATHS.stateFile}`);
+  }
+  const store = openRelayerStore(RELAYER_PATHS.stateFile);
+  const provider = createProvider(deploymentData.rpcUrl);
+
+  const fromBlock =
+    options.from !== undefined
+      ? parseBlock(options.from, "--from")
+      : deploymentData.deploymentBlock ??
+        (Number(process.env.RELAYER_START_BLOCK) || 0);
+  const toBlock =
+    options.to !== undefined
+      ? parseBlock(options.to, "--to")
+      : await provider.getBlockNumber();
+  if (fromBlock > toBlock) {
+    throw new Error(`--from ${fromBlock} is after --to ${toBlock}`);
+  }
+
+  const events = await scanEvents(provider, fromBlock, toBlock);
+  const orderIds = store
+    .list("orders", (record) => Boolean(record.orderId))
+    .map((record) => String(record.orderId));
+  const carbonmarkOrders = options.carbonmark
+    ? await createCarbonmarkClient(getCarbonmarkSettings()).getOrders(orderIds)
+    : null;
+  const poolStates = await readPoolStates(provider, events);
+
+  const report = {
+    network: deploymentData.network,
+    contract: CONTRACT_ADDRESS,
+    ...reconcile({
+      store,
+      events,
+      range: { fromBlock, toBlock },
+      carbonmarkOrders,
+      poolStates,
+      graceMs: Number(process.env.RELAYER_RECONCILE_GRACE_MS) || undefined,
+    }),
+  };
+
+  const outFile =
+    options.out ||
+    path.join(
+      RELAYER_PATHS.reconciliationDir,
+      `${report.generatedAt.replace(/[:.]/g, "-")}.json`
+    );
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
+
+  console.log(summarizeReconciliation(report).join("\n"));
+  console.log(`\n📄 Report written to ${outFile}`);
+  return report.mismatchCount === 0 ? 0 : 2;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
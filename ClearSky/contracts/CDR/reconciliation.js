@@ -0,0 +1,316 @@
+import { getBatch } from "./retirementBatches.js";
+import { findRequestKey } from "./deadLetters.js";
+import { listOrderRecords } from "./orderRegistry.js";
+import { summarizePools } from "./poolRetirements.js";
+import { isTerminal } from "./requestStateMachine.js";
+
+/**
+ * Cross-checks the chain, the relayer journal and Carbonmark.
+ *
+ * reconcile() takes the decoded OffsetRequested events of a block range, the
+ * journal, and optionally what Carbonmark reports for each order the relayer
+ * placed (`carbonmarkOrders`: orderId -> order | null) and each pool's state
+ * on chain (`poolStates`: lowercased pool -> { isPool, url } or { error }),
+ * and lists:
+ *
+ *   eventsWithoutOrder      events nothing was bought for (rejected requests,
+ *                           and ones still inside the grace period, excepted)
+ *   ordersWithoutEvent      orders whose request has no event in the range
+ *   urlsNotWritten          completed retirements whose URL never reached
+ *                           the pool
+ *   poolUrlMismatches       pools showing another URL than the last one
+ *                           the relayer wrote
+ *   amountDiscrepancies     event vs journal HBAR, order vs journal tonnes
+ *   orderStatusMismatches   Carbonmark and the journal disagree on an order
+ *
+ * Events and requests are matched by requestId, not by event key: the
+ * journal's event source may number logs differently than the scan here.
+ *
+ * Requests still being worked on are given `graceMs` before they count.
+ */
+
+const MISMATCH_KINDS = [
+  "eventsWithoutOrder",
+  "ordersWithoutEvent",
+  "urlsNotWritten",
+  "poolUrlMismatches",
+  "amountDiscrepancies",
+  "orderStatusMismatches",
+];
+
+// Requests that were settled without buying anything
+const NO_ORDER_STATES = ["rejected", "handled_elsewhere"];
+
+export function reconcile({
+  store,
+  events,
+  range,
+  carbonmarkOrders = null,
+  poolStates = null,
+  graceMs = 60 * 60 * 1000,
+  now = Date.now(),
+}) {
+  const mismatches = Object.fromEntries(MISMATCH_KINDS.map((k) => [k, []]));
+  const eventReqIds = new Set(events.map((event) => String(event.reqId)));
+  const inRange = (request) =>
+    request.blockNumber >= range.fromBlock &&
+    request.blockNumber <= range.toBlock;
+  // Unfinished requests get a while to catch up before they count
+  const settling = (request) =>
+    !isTerminal(request.status) &&
+    now - Date.parse(request.receivedAt) < graceMs;
+
+  // Compacted requests keep no order records, they only finished with one
+  const hasOrder = (request) =>
+    Boolean(request.archivedAt) ||
+    listOrderRecords(store, request.reqId).some((record) => record.orderId);
+
+  for (const event of events) {
+    const eventKey = findRequestKey(store, event.reqId);
+    const request = eventKey && store.get("requests", eventKey);
+    const entry = {
+      reqId: event.reqId,
+      eventKey: event.eventKey,
+      txHash: event.txHash,
+      blockNumber: event.blockNumber,
+      hbarAmount: event.hbarAmount,
+    };
+    if (!request) {
+      mismatches.eventsWithoutOrder.push({
+        ...entry,
+        status: null,
+        reason: "not in the journal",
+      });
+      continue;
+    }
+
+    if (request.hbarAmount !== event.hbarAmount) {
+      mismatches.amountDiscrepancies.push({
+        kind: "hbar_amount",
+        reqId: event.reqId,
+        eventKey: request.eventKey,
+        chain: event.hbarAmount,
+        journal: request.hbarAmount,
+      });
+    }
+
+    if (NO_ORDER_STATES.includes(request.status)) continue;
+    const batch = request.batchId ? getBatch(store, request.batchId) : null;
+    const bought = batch
+      ? Boolean(batch.requestKey) &&
+        hasOrder(store.get("requests", batch.requestKey))
+      : hasOrder(request);
+    if (bought || settling(request)) continue;
+    mismatches.eventsWithoutOrder.push({
+      ...entry,
+      status: request.status,
+      reason:
+        request.status === "failed"
+          ? `dead-lettered: ${request.lastError}`
+          : batch && !batch.requestKey
+          ? `waiting in batch ${batch.id}`
+          : `still ${request.status}`,
+    });
+  }
+
+  const placed = store.list("orders", (record) => Boolean(record.orderId));
+  for (const record of placed) {
+    const request = store.get("requests", record.eventKey);
+    const entry = {
+      orderId: record.orderId,
+      reqId: record.reqId,
+      eventKey: record.eventKey,
+      componentIndex: record.componentIndex,
+    };
+    if (!request) {
+      mismatches.ordersWithoutEvent.push({
+        ...entry,
+        reason: "no request in the journal",
+      });
+      continue;
+    }
+    if (!inRange(request)) continue;
+
+    // A batch order stands for the events of its contributors
+    const sourceReqIds =
+      request.kind === "batch"
+        ? getBatch(store, request.batchId).contributions.map((c) => c.reqId)
+        : [request.reqId];
+    if (!sourceReqIds.some((reqId) => eventReqIds.has(String(reqId)))) {
+      mismatches.ordersWithoutEvent.push({
+        ...entry,
+        reason: `no OffsetRequested event for request ${sourceReqIds.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (!carbonmarkOrders) continue;
+    const component = (request.components || [])[record.componentIndex] || {};
+    const order = carbonmarkOrders.get(String(record.orderId));
+    if (!order) {
+      mismatches.orderStatusMismatches.push({
+        ...entry,
+        carbonmark: null,
+        journal: component.status ?? null,
+        reason: "not found at Carbonmark",
+      });
+      continue;
+    }
+    if (
+      order.quantity_tonnes !== undefined &&
+      Math.abs(Number(order.quantity_tonnes) - component.tonnes) > 1e-9
+    ) {
+      mismatches.amountDiscrepancies.push({
+        kind: "order_tonnes",
+        reqId: record.reqId,
+        eventKey: record.eventKey,
+        orderId: record.orderId,
+        carbonmark: Number(order.quantity_tonnes),
+        journal: component.tonnes,
+      });
+    }
+    const journalDone = component.status === "completed";
+    const carbonmarkDone = order.status === "COMPLETED";
+    const carbonmarkFailed = ["FAILED", "CANCELLED"].includes(order.status);
+    if (
+      (journalDone && !carbonmarkDone) ||
+      (carbonmarkDone && !journalDone && !settling(request)) ||
+      (carbonmarkFailed && record.state !== "failed")
+    ) {
+      mismatches.orderStatusMismatches.push({
+        ...entry,
+        carbonmark: order.status,
+        journal: component.status ?? null,
+        reason: journalDone
+          ? `journal says completed, Carbonmark says ${order.status}`
+          : `Carbonmark says ${order.status}, journal says ${component.status}`,
+      });
+    }
+  }
+
+  const retired = store.list(
+    "requests",
+    (request) =>
+      request.kind !== "batch" &&
+      Boolean(request.poolAddress) &&
+      inRange(request)
+  );
+  for (const request of retired) {
+    if (settling(request)) continue;
+    for (const component of request.components || []) {
+      if (component.status !== "completed" || component.urlTxHash) continue;
+      mismatches.urlsNotWritten.push({
+        reqId: request.reqId,
+        eventKey: request.eventKey,
+        poolAddress: request.poolAddress,
+        orderId: component.orderId,
+        retirementUrl: component.retirementUrl ?? null,
+        status: request.status,
+        reason: component.retirementUrl
+          ? "URL never written to the pool"
+          : "completed without a retirement URL",
+      });
+    }
+  }
+
+  if (poolStates) {
+    for (const pool of summarizePools(store)) {
+      const state = poolStates.get(pool.poolAddress.toLowerCase());
+      if (!state) continue;
+      if (state.error) {
+        mismatches.poolUrlMismatches.push({
+          poolAddress: pool.poolAddress,
+          expected: pool.currentUrl,
+          onChain: null,
+          reason: `could not read the pool: ${state.error}`,
+        });
+      } else if (!state.isPool) {
+        mismatches.poolUrlMismatches.push({
+          poolAddress: pool.poolAddress,
+          expected: pool.currentUrl,
+          onChain: null,
+          reason: "not a ClearSkyFactory pool",
+        });
+      } else if (pool.currentUrl && state.url !== pool.currentUrl) {
+        mismatches.poolUrlMismatches.push({
+          poolAddress: pool.poolAddress,
+          expected: pool.currentUrl,
+          onChain: state.url,
+          reason: "pool shows another URL than the last one written",
+        });
+      }
+    }
+  }
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    blocks: range,
+    checked: {
+      events: events.length,
+      orders: placed.length,
+      carbonmark: Boolean(carbonmarkOrders),
+      pools: poolStates ? poolStates.size : null,
+    },
+    mismatchCount: MISMATCH_KINDS.reduce(
+      (total, kind) => total + mismatches[kind].length,
+      0
+    ),
+    mismatches,
+  };
+}
+
+const SUMMARY_TITLES = {
+  eventsWithoutOrder: "Events with no order",
+  ordersWithoutEvent: "Orders with no event",
+  urlsNotWritten: "Completed retirements whose URL was never written",
+  poolUrlMismatches: "Pools showing an unexpected URL",
+  amountDiscrepancies: "Amount discrepancies",
+  orderStatusMismatches: "Order status mismatches",
+};
+
+function describe(kind, entry) {
+  switch (kind) {
+    case "eventsWithoutOrder":
+      return `#${entry.reqId} (block ${entry.blockNumber}): ${entry.reason}`;
+    case "ordersWithoutEvent":
+      return `order ${entry.orderId} (request ${entry.reqId}): ${entry.reason}`;
+    case "urlsNotWritten":
+      return `#${entry.reqId} order ${entry.orderId} -> pool ${entry.poolAddress}: ${entry.reason}`;
+    case "poolUrlMismatches":
+      return `${entry.poolAddress}: ${entry.reason} (expected ${
+        entry.expected || "-"
+      }, on chain ${entry.onChain || "-"})`;
+    case "amountDiscrepancies":
+      return entry.kind === "hbar_amount"
+        ? `#${entry.reqId}: event paid ${entry.chain} tinybars, journal has ${entry.journal}`
+        : `#${entry.reqId} order ${entry.orderId}: Carbonmark retires ${entry.carbonmark} t, journal has ${entry.journal} t`;
+    default:
+      return `order ${entry.orderId} (request ${entry.reqId}): ${entry.reason}`;
+  }
+}
+
+// Human-readable summary of a reconcile() report, as lines
+export function summarizeReconciliation(report) {
+  const { blocks, checked } = report;
+  const lines = [
+    `🧮 Reconciliation of blocks ${blocks.fromBlock}-${blocks.toBlock} (${report.generatedAt})`,
+    `   ${checked.events} event(s), ${checked.orders} order(s), Carbonmark ${
+      checked.carbonmark ? "checked" : "not checked"
+    }, ${
+      checked.pools === null ? "pools not checked" : `${checked.pools} pool(s)`
+    }`,
+  ];
+  if (report.mismatchCount === 0) {
+    lines.push("✅ Everything matches");
+    return lines;
+  }
+  lines.push(`⚠️  ${report.mismatchCount} mismatch(es):`);
+  for (const kind of MISMATCH_KINDS) {
+    const entries = report.mismatches[kind];
+    if (entries.length === 0) continue;
+    lines.push("", `${SUMMARY_TITLES[kind]} (${entries.length}):`);
+    for (const entry of entries) lines.push(`   ${describe(kind, entry)}`);
+  }
+  return lines;
+}
@@ -0,0 +1,169 @@
+/**
+ * Refunds for offset requests the relayer rejected (the journal's "refunds"
+ * collection, keyed by event key like "requests").
+ *
+ *   queued -> sending -> sent
+ *                    \-> failed (out of attempts; an operator has to look)
+ *   queued -> skipped (nothing was paid, so there is nothing to return)
+ *
+ * A refund is marked "sending" before the transaction is submitted and gets
+ * its tx hash as soon as the node accepts it. A refund found in "sending"
+ * after a restart is settled from its receipt; one without a tx hash may or
+ * may not have gone out, so it is parked as "unknown" rather than sent again.
+ *
+ * A basket component whose order failed is refunded on its own, pro rata,
+ * while the rest of the request goes on: its refund is keyed
+ * "<eventKey>:<componentIndex>" and carries the request's key in
+ * `requestKey`.
+ */
+
+export function queueRefund(store, request, reason) {
+  if (store.has("refunds", request.eventKey)) {
+    return store.get("refunds", request.eventKey);
+  }
+  return store.put("refunds", request.eventKey, {
+    eventKey: request.eventKey,
+    reqId: request.reqId,
+    user: request.user,
+    txHash: request.txHash,
+    requestedTinybars: request.hbarAmount,
+    reason,
+    status: "queued",
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+  });
+}
+
+// A component's share of what its request paid, in tinybars (shares are
+// counted in millionths)
+export function componentRefundTinybars(request, component) {
+  const millionths = BigInt(Math.round(component.share * 1e6));
+  return ((BigInt(request.hbarAmount) * millionths) / 1000000n).toString();
+}
+
+export function queueComponentRefund(store, request, component, reason) {
+  const key = `${request.eventKey}:${component.index}`;
+  if (store.has("refunds", key)) return store.get("refunds", key);
+  return store.put("refunds", key, {
+    eventKey: key,
+    requestKey: request.eventKey,
+    componentIndex: component.index,
+    reqId: request.reqId,
+    user: request.user,
+    txHash: request.txHash,
+    requestedTinybars: componentRefundTinybars(request, component),
+    reason,
+    status: "queued",
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+  });
+}
+
+export const isComponentRefund = (refund) =>
+  refund.componentIndex !== undefined && refund.componentIndex !== null;
+
+export function listRefunds(store, status = null) {
+  return store.list(
+    "refunds",
+    (refund) => status === null || refund.status === status
+  );
+}
+
+// Move a refund to `status`, together with the request (or the basket
+// component) it refunds
+export function setRefundStatus(store, refund, status, fields = {}) {
+  const { eventKey } = refund;
+  const requestKey = refund.requestKey || eventKey;
+  const noted = {
+    refundStatus: status,
+    refundTxHash: status === "sent" ? refund.refundTxHash : null,
+  };
+  store.transaction(() => {
+    store.update("refunds", eventKey, { status, ...fields });
+    const request = store.get("requests", requestKey);
+    if (!request) return;
+    if (!isComponentRefund(refund)) {
+      store.update("requests", requestKey, noted);
+      return;
+    }
+    store.update("requests", requestKey, {
+      components: request.components.map((component) =>
+        component.index === refund.componentIndex
+          ? { ...component, ...noted }
+          : component
+      ),
+    });
+  });
+}
+
+/**
+ * Settle refunds a previous run left in "sending". Confirmed transactions
+ * are marked sent, after `onSent(refund, receipt)` has booked them; reverted
+ * ones moved nothing and go back in the queue; ones without a receipt yet
+ * stay "sending" to be looked at again. Returns each refund with its outcome
+ * (sent, requeued, pending or unknown).
+ */
+export async function recoverInterruptedRefunds(store, { getReceipt, onSent }) {
+  const recovered = [];
+  for (const refund of listRefunds(store, "sending")) {
+    const { refundTxHash } = refund;
+    if (!refundTxHash) {
+      setRefundStatus(store, refund, "unknown");
+      recovered.push({ refund, outcome: "unknown" });
+      continue;
+    }
+
+    const receipt = await getReceipt(refundTxHash);
+    if (!receipt) {
+      recovered.push({ refund, outcome: "pending" });
+    } else if (receipt.status !== 1) {
+      setRefundStatus(store, refund, "queued", {
+        refundTxHash: null,
+        lastError: `Refund transaction ${refundTxHash} reverted`,
+      });
+      recovered.push({ refund, outcome: "requeued" });
+    } else {
+      await onSent(refund, receipt);
+      setRefundStatus(store, refund, "sent", {
+        sentAt: new Date().toISOString(),
+      });
+      recovered.push({ refund, outcome: "sent" });
+    }
+  }
+  return recovered;
+}
+
+/**
+ * Sends refunds either through HbarOffset's owner-only `sweep(to, amount)`
+ * (`method: "sweep"`, `contract` connected to the owner wallet) or as a
+ * plain HBAR transfer from a treasury wallet (`method: "treasury"`).
+ *
+ * Inside the EVM Hedera counts HBAR in tinybars, so `sweep` takes tinybars,
+ * while a JSON-RPC transfer value is in weibars (`weiPerTinybar`).
+ */
+export function createRefundSender({
+  method,
+  contract = null,
+  wallet = null,
+  weiPerTinybar = 10n ** 10n,
+}) {
+  if (method === "sweep" && !contract) {
+    throw new Error("Refunds via sweep need the HbarOffset owner contract");
+  }
+  if (method === "treasury" && !wallet) {
+    throw new Error("Refunds via treasury need a treasury wallet");
+  }
+
+  return {
+    method,
+
+    // Submits the transfer and returns the (unconfirmed) transaction
+    async send(to, tinybars) {
+      const amount = BigInt(tinybars);
+      if (method === "sweep") {
+        return contract.sweep(to, amount);
+      }
+      return wallet.sendTransaction({ to, value: amount * weiPerTinybar });
+    },
+  };
+}
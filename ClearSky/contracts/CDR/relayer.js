@@ -1,522 +1,1298 @@
-import dotenv from "dotenv";
 import { ethers } from "ethers";
-import fetch from "node-fetch";
-import fs from "fs";
+import os from "os";
 import path from "path";
 import { fileURLToPath } from "url";
+import { openRelayerStore } from "./relayerStore.js";
+import { getRelayerPaths } from "./relayerConfig.js";
+import { getMirrorNodeUrl } from "./mirrorNode.js";
+import {
+  loadRelayerEnv,
+  getDeploymentData,
+  loadFactory,
+  createProvider,
+  getCarbonmarkSettings,
+  buildPriceOracle,
+  getPlannerSettings,
+} from "./relayerEnv.js";
+import { OFFSET_ABI, decodeOffsetLog } from "./offsetEvents.js";
+import { createPurchasePlanner } from "./purchasePlanner.js";
+import { createPaymentVerifier } from "./paymentVerifier.js";
+import {
+  isTerminal,
+  loadRetryPolicy,
+  backoffDelayMs,
+} from "./requestStateMachine.js";
+import {
+  findRequestKey,
+  redriveRequest,
+  takeRedriveQueue,
+} from "./deadLetters.js";
+import {
+  listOrderRecords,
+  listQuoteAttempts,
+  findOrderRecordByOrderId,
+  recordOrderUpdate,
+  extractOrderId,
+} from "./orderRegistry.js";
+import {
+  createRpcLogSource,
+  createMirrorNodeLogSource,
+  getTransactionLogs,
+} from "./eventSources.js";
+import { drainReplayQueue } from "./replayInbox.js";
+import {
+  listRefunds,
+  recoverInterruptedRefunds,
+  createRefundSender,
+  setRefundStatus,
+  isComponentRefund,
+} from "./refunds.js";
+import {
+  reservedForRefunds,
+  planSweep,
+  recordSweep,
+  listSweeps,
+  recoverInterruptedSweeps,
+  hbarToTinybars,
+  formatHbar,
+} from "./treasurySweeps.js";
+import {
+  decodeRetirementLog,
+  journalRetirement,
+  listPoolRetirements,
+  summarizePools,
+} from "./poolRetirements.js";
+import {
+  markRunning,
+  markStopped,
+  orderForResume,
+} from "./relayerLifecycle.js";
+import { createMetrics } from "./metrics.js";
+import { startAdminServer } from "./adminServer.js";
+import { loadSigner, hasSignerConfig } from "../../signerBackends.js";
+import { startWebhookServer } from "./carbonmarkWebhook.js";
+import { startMockCarbonmark, behaviorsFromEnv } from "./mockCarbonmark.js";
+import { createHcsReceiptPublisher, publishReceipts } from "./hcsReceipts.js";
+import { createMemoryLeaseStore, createFileLeaseStore } from "./leaseStore.js";
+import { createCarbonmarkClient } from "./carbonmarkClient.js";
+import { createLedgerPostings } from "./ledgerPostings.js";
+import { createPoolWriter } from "./poolWriter.js";
+import { createBatchPooling } from "./batchPooling.js";
+import { createRequestSteps } from "./requestSteps.js";
+import { createRequestProcessor } from "./requestProcessor.js";
+import { createRequestQueue } from "./requestQueue.js";
+import { compactJournal } from "./journalCompaction.js";
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Load .env file from project root (two levels up from this file)
-const envPath = path.join(__dirname, "../../.env");
-const envResult = dotenv.config({ path: envPath });
-
-if (envResult.error) {
-  console.warn(`⚠️  Warning: Could not load .env file from ${envPath}`);
-  console.warn(`   Error: ${envResult.error.message}`);
-  console.warn(`   Make sure the .env file exists in the project root.`);
-} else {
-  console.log(`✅ Loaded .env file from: ${envPath}`);
-}
 
-// Load deployment data from JSON
-function getDeploymentData() {
-  const deploymentPath = path.join(
-    __dirname,
-    "../../clearsky-cdr-deployment.json"
-  );
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error(`Deployment file not found: ${deploymentPath}`);
-  }
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+loadRelayerEnv();
+const deploymentData = getDeploymentData();
+const HEDERA_RPC_URL = deploymentData.rpcUrl;
+const CONTRACT_ADDRESS = deploymentData.contractAddress;
 
-  // Determine network from environment or default to testnet
-  const network = process.env.NETWORK || "testnet";
-  const networkData = deployment[network];
+// RELAYER_SIMULATION=true runs against the local Carbonmark stand-in
+// (mockCarbonmark.js) so nothing real is bought; see getCarbonmarkSettings
+const {
+  simulation: SIMULATION,
+  mockPort: CARBONMARK_MOCK_PORT,
+  apiKey: CARBONMARK_API_KEY,
+  baseUrl: CARBONMARK_BASE,
+} = getCarbonmarkSettings();
+// Relayer state (block cursor + request journal) lives here so that a
+// restart resumes where the previous run stopped
+const RELAYER_PATHS = getRelayerPaths(deploymentData.network);
+
+const MIRROR_NODE_URL = getMirrorNodeUrl(deploymentData.network);
+
+// HBAR/USD price sources, e.g. HBAR_PRICE_SOURCES=mirror-node,cex
+const priceOracle = buildPriceOracle(MIRROR_NODE_URL);
+
+// JSON-RPC values (tx value, gas price) are in weibars, the EVM counts tinybars
+const WEI_PER_TINYBAR = BigInt(process.env.RELAYER_WEI_PER_TINYBAR || 1e10);
+
+// How long to wait before retrying a deferred request (no fresh price yet,
+// payment not visible yet, ...)
+const DEFER_RETRY_MS = Number(process.env.RELAYER_DEFER_RETRY_MS) || 60000;
+
+// How the HBAR payment behind each request is checked: rpc | mirror | off
+const PAYMENT_VERIFICATION = process.env.PAYMENT_VERIFICATION || "rpc";
+
+// Default projects and the batch minimum (RELAYER_DEFAULT_PROJECT_IDS,
+// RELAYER_BATCH_MIN_TONNES); see getPlannerSettings
+const PLANNER_SETTINGS = getPlannerSettings();
+const BATCH_MIN_TONNES = PLANNER_SETTINGS.batchMinTonnes;
+// An open batch is flushed after RELAYER_BATCH_MAX_AGE_MS (default 24 hours):
+// sealed below the minimum tonnage, or refunded if it cannot be filled at all
+const BATCH_MAX_AGE_MS =
+  Number(process.env.RELAYER_BATCH_MAX_AGE_MS) || 24 * 60 * 60 * 1000;
+
+// Requests whose metadata asks to hold on a price breach are re-checked every
+// RELAYER_PRICE_HOLD_RETRY_MS, and refunded once RELAYER_PRICE_HOLD_MAX_MS
+// after they arrived if their own quoteDeadline has not ended the hold first
+const PRICE_HOLD_RETRY_MS =
+  Number(process.env.RELAYER_PRICE_HOLD_RETRY_MS) || 600000;
+const PRICE_HOLD_MAX_MS =
+  Number(process.env.RELAYER_PRICE_HOLD_MAX_MS) || 24 * 60 * 60 * 1000;
+
+// Quotes expiring within RELAYER_QUOTE_EXPIRY_MARGIN_MS are replaced rather
+// than reused; a component whose quote expires more than
+// RELAYER_MAX_REQUOTES times is dead-lettered
+const QUOTE_EXPIRY_MARGIN_MS =
+  Number(process.env.RELAYER_QUOTE_EXPIRY_MARGIN_MS) || 30000;
+const MAX_REQUOTES = Number(process.env.RELAYER_MAX_REQUOTES) || 5;
+
+// How rejected requests are refunded: sweep (HbarOffset owner) | treasury | off
+const REFUND_METHOD = process.env.RELAYER_REFUND_METHOD || "sweep";
+const REFUND_MAX_ATTEMPTS =
+  Number(process.env.RELAYER_REFUND_MAX_ATTEMPTS) || 5;
+
+// Every RELAYER_TREASURY_SWEEP_MS, HbarOffset's balance above a float of
+// RELAYER_TREASURY_FLOAT_HBAR is swept to TREASURY_ADDRESS, less whatever
+// pending refunds still need. Unset leaves the balance where it is.
+const TREASURY_SWEEP_MS = Number(process.env.RELAYER_TREASURY_SWEEP_MS) || null;
+const TREASURY_FLOAT_TINYBARS = hbarToTinybars(
+  process.env.RELAYER_TREASURY_FLOAT_HBAR ?? 100
+);
+const TREASURY_MIN_SWEEP_TINYBARS = hbarToTinybars(
+  process.env.RELAYER_TREASURY_MIN_SWEEP_HBAR ?? 10
+);
+
+// Carbonmark order status: pushed to a signed webhook when
+// CARBONMARK_WEBHOOK_SECRET is set, and swept every RELAYER_ORDER_SWEEP_MS
+// for orders still open. Without a webhook, fresh orders are also polled
+// every RELAYER_ORDER_POLL_MS for their first RELAYER_ORDER_FAST_POLL_WINDOW_MS.
+const WEBHOOK_SECRET = process.env.CARBONMARK_WEBHOOK_SECRET || null;
+const ORDER_SWEEP_MS = Number(process.env.RELAYER_ORDER_SWEEP_MS) || 300000;
+const ORDER_POLL_MS = Number(process.env.RELAYER_ORDER_POLL_MS) || 10000;
+const ORDER_FAST_POLL_WINDOW_MS =
+  Number(process.env.RELAYER_ORDER_FAST_POLL_WINDOW_MS) || 120000;
+
+// Chain ids of local dev nodes (Hardhat), where simulation may write
+const LOCAL_CHAIN_IDS = [1337, 31337];
+
+// How often the event source is polled for new OffsetRequested logs
+const POLL_INTERVAL_MS = Number(process.env.RELAYER_POLL_INTERVAL_MS) || 5000;
+
+// Where OffsetRequested logs are read from: rpc (eth_getLogs) | mirror
+const EVENT_SOURCE = process.env.RELAYER_EVENT_SOURCE || "rpc";
+
+// Per-step exponential-backoff retry settings
+const RETRY_POLICY = loadRetryPolicy();
+
+// How many requests are processed at once. Requests from the same user or for
+// the same pool never overlap and start in the order they arrived.
+const CONCURRENCY = Math.max(1, Number(process.env.RELAYER_CONCURRENCY) || 1);
+
+// On SIGTERM / SIGINT, running requests get this long to reach the end of
+// their current step before the relayer exits anyway
+const SHUTDOWN_TIMEOUT_MS =
+  Number(process.env.RELAYER_SHUTDOWN_TIMEOUT_MS) || 30000;
+
+// Requests finished longer ago than RELAYER_JOURNAL_RETENTION_DAYS are moved
+// to the archive file, leaving a summary in the journal; "off" keeps them all
+const JOURNAL_RETENTION_MS =
+  process.env.RELAYER_JOURNAL_RETENTION_DAYS === "off"
+    ? null
+    : (Number(process.env.RELAYER_JOURNAL_RETENTION_DAYS) || 30) * 86400000;
+const JOURNAL_COMPACTION_MS = 6 * 60 * 60 * 1000;
+
+// Leases that keep several relayer instances (each with its own journal) off
+// each other's requests: in memory for a single instance, or files in
+// RELAYER_LEASE_DIR on a volume every instance mounts
+const LEASE_DIR = process.env.RELAYER_LEASE_DIR || null;
+const LEASE_TTL_MS = Number(process.env.RELAYER_LEASE_TTL_MS) || 60000;
+
+// Admin API (health, requests, retry, /metrics); RELAYER_ADMIN_PORT=off disables it
+const ADMIN_PORT = process.env.RELAYER_ADMIN_PORT || "8080";
+
+// Prometheus metrics, served on the admin API's /metrics
+const metrics = createMetrics();
+const carbonmarkLatency = metrics.histogram(
+  "relayer_carbonmark_request_duration_seconds",
+  "Carbonmark API call latency by operation"
+);
+const tonnesRetired = metrics.counter(
+  "relayer_tonnes_retired_total",
+  "Tonnes of CO2 retired through Carbonmark"
+);
+tonnesRetired.inc({}, 0);
+const stepFailures = metrics.counter(
+  "relayer_step_failures_total",
+  "Failed request step attempts by step"
+);
+const expiredQuotes = metrics.counter(
+  "relayer_expired_quotes_total",
+  "Carbonmark quotes that expired before they were ordered"
+);
+expiredQuotes.inc({}, 0);
+
+const carbonmark = createCarbonmarkClient({
+  baseUrl: CARBONMARK_BASE,
+  apiKey: CARBONMARK_API_KEY,
+  observe: (operation, seconds) =>
+    carbonmarkLatency.observe({ operation }, seconds),
+});
+
+const planPurchase = createPurchasePlanner({
+  ...PLANNER_SETTINGS,
+  priceOracle,
+  getPrices: carbonmark.getPrices,
+});
 
-  if (!networkData) {
-    throw new Error(`Deployment data not found for network: ${network}`);
-  }
+async function main() {
+  console.log(`🌐 Network: ${deploymentData.network}`);
+  console.log(`🔗 RPC URL: ${HEDERA_RPC_URL}`);
+  console.log(`📦 Contract Address: ${CONTRACT_ADDRESS}`);
+  console.log(`🔑 Carbonmark API Key: ${CARBONMARK_API_KEY || "NOT SET"}`);
 
-  if (!networkData.hbarOffset || !networkData.hbarOffset.address) {
-    throw new Error(`Contract address not found for network: ${network}`);
-  }
+  const provider = createProvider(HEDERA_RPC_URL);
 
-  // Get RPC URL from environment variables based on network
-  const rpcUrl =
-    network === "testnet"
-      ? process.env.HEDERA_TESTNET_RPC_URL
-      : process.env.HEDERA_MAINNET_RPC_URL;
+  // Verify connection
+  let chainId;
+  try {
+    const network = await provider.getNetwork();
+    chainId = Number(network.chainId);
+    console.log(`✅ Connected to network (Chain ID: ${network.chainId})`);
+  } catch (error) {
+    console.error(`❌ Failed to connect to RPC: ${HEDERA_RPC_URL}`);
+    console.error(`Error: ${error.message}`);
+    throw error;
+  }
 
-  if (!rpcUrl) {
-    throw new Error(
-      `RPC URL not set in environment. Set ${
-        network === "testnet"
-          ? "HEDERA_TESTNET_RPC_URL"
-          : "HEDERA_MAINNET_RPC_URL"
-      } in your .env file.`
+  // In simulation, chain writes (pool URLs, refunds) only go to a local dev
+  // chain; against a real network they are logged and skipped
+  const simulateChainWrites = SIMULATION && !LOCAL_CHAIN_IDS.includes(chainId);
+  if (SIMULATION) {
+    const { hostname } = new URL(CARBONMARK_BASE);
+    if (!["127.0.0.1", "localhost", "[::1]"].includes(hostname)) {
+      throw new Error(
+        `RELAYER_SIMULATION only talks to a local Carbonmark stand-in, not ${CARBONMARK_BASE}`
+      );
+    }
+    if (!process.env.CARBONMARK_API_URL) {
+      await startMockCarbonmark({
+        port: CARBONMARK_MOCK_PORT,
+        orders: behaviorsFromEnv(process.env.CARBONMARK_MOCK_ORDERS),
+        quotes: behaviorsFromEnv(process.env.CARBONMARK_MOCK_QUOTES),
+        slowMs: Number(process.env.CARBONMARK_MOCK_SLOW_MS) || undefined,
+      });
+    }
+    console.log(
+      `🧪 Simulation mode: Carbonmark is ${CARBONMARK_BASE}${
+        simulateChainWrites ? ", chain writes are skipped" : ""
+      }`
     );
   }
 
-  return {
-    contractAddress: networkData.hbarOffset.address,
-    rpcUrl: rpcUrl,
-    network: network,
-  };
-}
+  const contract = new ethers.Contract(CONTRACT_ADDRESS, OFFSET_ABI, provider);
 
-// Load factory deployment data
-function getFactoryDeploymentData() {
-  const factoryDeploymentPath = path.join(
-    __dirname,
-    "../../clearsky-factory-deployment.json"
-  );
-  if (!fs.existsSync(factoryDeploymentPath)) {
-    throw new Error(
-      `Factory deployment file not found: ${factoryDeploymentPath}`
+  // Persistent journal: cursor + one record per OffsetRequested event
+  const store = openRelayerStore(RELAYER_PATHS.stateFile);
+  console.log(`💾 Relayer state file: ${store.filePath}`);
+  const ledger = createLedgerPostings({
+    store,
+    priceOracle,
+    weiPerTinybar: WEI_PER_TINYBAR,
+    refundMethod: REFUND_METHOD,
+  });
+
+  // Lease owner name, kept in the journal so a restarted relayer still owns
+  // the leases of the requests it was working on
+  const instanceId =
+    process.env.RELAYER_INSTANCE_ID ||
+    store.get("settings", "instanceId")?.value ||
+    store.put("settings", "instanceId", {
+      value: `${os.hostname()}-${process.pid}`,
+    }).value;
+  const previousRun = markRunning(store, { instanceId });
+  if (previousRun && previousRun.state === "running") {
+    console.warn(
+      `⚠️  The previous run (pid ${previousRun.pid}, started ${previousRun.startedAt}) did not shut down cleanly, resuming from the journal`
     );
   }
-  const deployment = JSON.parse(fs.readFileSync(factoryDeploymentPath, "utf8"));
+  const leases = LEASE_DIR
+    ? createFileLeaseStore({
+        dir: LEASE_DIR,
+        owner: instanceId,
+        ttlMs: LEASE_TTL_MS,
+      })
+    : createMemoryLeaseStore({ owner: instanceId, ttlMs: LEASE_TTL_MS });
+  console.log(
+    `🪪 Instance ${instanceId}, ${leases.name} leases, concurrency ${CONCURRENCY}`
+  );
 
-  // Determine network from environment or default to testnet
-  const network = process.env.NETWORK || "testnet";
+  const paymentVerifier =
+    PAYMENT_VERIFICATION === "off"
+      ? null
+      : createPaymentVerifier({
+          provider,
+          store,
+          mirrorNodeUrl: MIRROR_NODE_URL,
+          recipients: [CONTRACT_ADDRESS, process.env.TREASURY_ADDRESS],
+          treasuryAccountId: process.env.TREASURY_ACCOUNT_ID || null,
+          method: PAYMENT_VERIFICATION,
+          weiPerTinybar: WEI_PER_TINYBAR,
+        });
+  if (!paymentVerifier) {
+    console.warn("⚠️  Payment verification is OFF (PAYMENT_VERIFICATION=off)");
+  } else if (!deploymentData.requestOffsetPayable) {
+    console.warn(
+      `⚠️  HbarOffset at ${CONTRACT_ADDRESS} predates payable requestOffset: its requests carry no HBAR and are rejected. Redeploy it (node deployCDR.js, see Setup.md)`
+    );
+  }
 
-  // Factory deployment JSON structure may vary, try to get factory address
-  let factoryAddress;
-  if (deployment.factory && deployment.factory.contractAddress) {
-    factoryAddress = deployment.factory.contractAddress;
-  } else if (deployment[network] && deployment[network].factory) {
-    factoryAddress =
-      deployment[network].factory.address ||
-      deployment[network].factory.contractAddress;
+  // Relayer account: records pool URLs, signs sweep refunds. Loaded up front
+  // so a keystore passphrase is asked for once, at startup.
+  async function loadOptionalSigner(prefix = "") {
+    return hasSignerConfig({ prefix })
+      ? loadSigner(provider, { prefix })
+      : null;
+  }
+  const relayerSigner = await loadOptionalSigner();
+  if (relayerSigner) {
+    console.log(`🔑 Relayer account: ${relayerSigner.address}`);
   } else {
+    console.warn(
+      "⚠️  No signer configured (SIGNER_BACKEND / PRIVATE_KEY), pool URLs cannot be recorded"
+    );
+  }
+  // Sealed batches retire to this address. Checked up front, so no request
+  // joins a batch that could never be retired.
+  const batchBeneficiary =
+    process.env.RELAYER_BATCH_BENEFICIARY_ADDRESS ||
+    (relayerSigner && relayerSigner.address) ||
+    null;
+  if (batchBeneficiary && !ethers.isAddress(batchBeneficiary)) {
     throw new Error(
-      `Factory address not found in deployment file for network: ${network}`
+      `RELAYER_BATCH_BENEFICIARY_ADDRESS is not an address: ${batchBeneficiary}`
+    );
+  }
+  if (BATCH_MIN_TONNES !== null && !batchBeneficiary) {
+    console.warn(
+      "⚠️  No RELAYER_BATCH_BENEFICIARY_ADDRESS and no relayer signer, sub-minimum requests are rejected instead of batched"
     );
   }
 
-  return {
-    factoryAddress: factoryAddress,
-    network: network,
-  };
-}
+  // Retirement receipts go to this HCS topic when HCS_RECEIPT_TOPIC_ID is set
+  // (never for simulated retirements)
+  const hcsPublisher =
+    process.env.HCS_RECEIPT_TOPIC_ID && !SIMULATION
+      ? createHcsReceiptPublisher({
+          network: deploymentData.network,
+          topicId: process.env.HCS_RECEIPT_TOPIC_ID,
+          operatorId: process.env.OPERATOR_ID,
+          operatorKey: process.env.OPERATOR_KEY,
+        })
+      : null;
+  if (hcsPublisher) {
+    console.log(
+      `🧾 Publishing retirement receipts to HCS topic ${hcsPublisher.topicId}`
+    );
+  }
 
-const deploymentData = getDeploymentData();
-const HEDERA_RPC_URL = deploymentData.rpcUrl;
-const CONTRACT_ADDRESS = deploymentData.contractAddress;
-const CARBONMARK_API_KEY = process.env.CARBONMARK_API_KEY;
-const CARBONMARK_BASE = "https://v17.api.carbonmark.com";
-const CARBONMARK_HEADERS = {
-  Accept: "application/json",
-  "Content-Type": "application/json",
-  Authorization: `Bearer ${CARBONMARK_API_KEY}`,
-};
-
-const OFFSET_ABI = [
-  "event OffsetRequested(address indexed user, uint256 hbarAmount, string metadata, address poolAddress, uint256 requestId)",
-];
-
-async function getHbarUsdPrice() {
-  // TODO: Replace with a real price feed or API call
-  return 0.08; // $0.08 per HBAR (placeholder)
-}
+  // Refunds for rejected requests; they stay queued while no sender is set up.
+  // Ones a previous run left mid-send are settled by processRefunds.
+  const refundSender = await buildRefundSender();
 
-async function getCarbonPrice(projectId) {
-  const url = `${CARBONMARK_BASE}/prices?projectIds=${encodeURIComponent(
-    projectId
-  )}`;
-  const res = await fetch(url, { headers: CARBONMARK_HEADERS });
-  if (!res.ok)
-    throw new Error(`Price fetch failed: ${res.status} ${await res.text()}`);
-  const arr = await res.json();
-  if (!Array.isArray(arr) || arr.length === 0)
-    throw new Error(`No price for project ${projectId}`);
-  return arr[0]; // Use first/cheapest option
-}
+  // Treasury sweeps, signed by the relayer (HbarOffset owner) account. Ones
+  // a previous run left mid-send are settled by sweepTreasury.
+  const treasuryContract = buildTreasuryContract();
 
-async function createQuote(asset_price_source_id, tonnes) {
-  const res = await fetch(`${CARBONMARK_BASE}/quotes`, {
-    method: "POST",
-    headers: CARBONMARK_HEADERS,
-    body: JSON.stringify({
-      asset_price_source_id,
-      quantity_tonnes: tonnes,
-    }),
+  console.log(
+    `👂 Polling for offset requests on contract: ${CONTRACT_ADDRESS}`
+  );
+
+  // Set by SIGTERM / SIGINT: nothing new starts, and running requests stop
+  // at their next step boundary
+  let stopping = false;
+
+  // Get event topic from contract interface
+  const eventTopic = contract.interface.getEvent("OffsetRequested").topicHash;
+  // Pool retirement history is journaled from the chain along with requests
+  const watchedTopics = [
+    eventTopic,
+    contract.interface.getEvent("RetirementRecorded").topicHash,
+  ];
+
+  const eventSource =
+    EVENT_SOURCE === "mirror"
+      ? createMirrorNodeLogSource({
+          mirrorNodeUrl: MIRROR_NODE_URL,
+          contractAddress: CONTRACT_ADDRESS,
+          topic: watchedTopics,
+          windowSeconds:
+            Number(process.env.RELAYER_MIRROR_WINDOW_SECONDS) || undefined,
+          startTimestamp: process.env.RELAYER_START_TIMESTAMP || null,
+        })
+      : createRpcLogSource({
+          provider,
+          contractAddress: CONTRACT_ADDRESS,
+          topic: watchedTopics,
+          maxBlockRange: Number(process.env.RELAYER_MAX_BLOCK_RANGE) || 1000,
+          startBlock: process.env.RELAYER_START_BLOCK
+            ? Number(process.env.RELAYER_START_BLOCK)
+            : null,
+        });
+  console.log(`📡 Event source: ${eventSource.name}`);
+
+  let cursor = store.getCursor(eventSource.name);
+  if (cursor === null) {
+    cursor = await eventSource.initialCursor();
+    store.setCursor(eventSource.name, cursor);
+    console.log(`📍 No checkpoint found, starting after ${cursor}`);
+  } else {
+    console.log(`📍 Resuming from checkpoint: ${cursor}`);
+  }
+
+  // Requests run one step at a time off the queue, under their lease
+  const queue = createRequestQueue({
+    store,
+    leases,
+    contractAddress: CONTRACT_ADDRESS,
+    concurrency: CONCURRENCY,
+    leaseTtlMs: LEASE_TTL_MS,
+    run: (eventKey) => processor.processRequest(eventKey),
+  });
+  const { enqueue, enqueueLater } = queue;
+
+  const batches = createBatchPooling({
+    store,
+    getPrices: carbonmark.getPrices,
+    minTonnes: BATCH_MIN_TONNES,
+    maxAgeMs: BATCH_MAX_AGE_MS,
+    beneficiary: batchBeneficiary,
+    beneficiaryName: process.env.RELAYER_BATCH_BENEFICIARY_NAME || undefined,
+    enqueue,
+    postRevenue: ledger.postRevenue,
   });
-  if (!res.ok)
-    throw new Error(`Quote failed: ${res.status} ${await res.text()}`);
-  return res.json();
-}
 
-async function createOrder(
-  quoteUuid,
-  beneficiaryName,
-  beneficiaryAddress,
-  message
-) {
-  const res = await fetch(`${CARBONMARK_BASE}/orders`, {
-    method: "POST",
-    headers: CARBONMARK_HEADERS,
-    body: JSON.stringify({
-      quote_uuid: quoteUuid,
-      beneficiary_name: beneficiaryName,
-      beneficiary_address: beneficiaryAddress,
-      retirement_message: message,
-      consumption_metadata: null, // Set to null (required by Carbonmark API)
-    }),
+  const poolWriter = createPoolWriter({
+    signer: relayerSigner,
+    offsetAddress: CONTRACT_ADDRESS,
+    offsetAbi: OFFSET_ABI,
+    getFactory: loadFactory,
+    simulate: simulateChainWrites,
+    postNetworkFee: ledger.postNetworkFee,
   });
-  if (!res.ok)
-    throw new Error(`Order failed: ${res.status} ${await res.text()}`);
-  return res.json();
-}
 
-async function checkOrderStatus(orderId, quoteUuid) {
-  const url = `${CARBONMARK_BASE}/orders?ids=${orderId}&quote_uuid=${quoteUuid}`;
-  const res = await fetch(url, { headers: CARBONMARK_HEADERS });
-  if (!res.ok)
-    throw new Error(
-      `Order status check failed: ${res.status} ${await res.text()}`
-    );
-  const orders = await res.json();
-  return Array.isArray(orders) && orders.length > 0 ? orders[0] : null;
-}
+  const steps = createRequestSteps({
+    store,
+    carbonmark,
+    paymentVerifier,
+    planPurchase,
+    batches,
+    ledger,
+    poolWriter,
+    hcsReceipts: Boolean(hcsPublisher),
+    quoteExpiryMarginMs: QUOTE_EXPIRY_MARGIN_MS,
+    maxRequotes: MAX_REQUOTES,
+    priceHoldRetryMs: PRICE_HOLD_RETRY_MS,
+    priceHoldMaxMs: PRICE_HOLD_MAX_MS,
+    webhookEnabled: Boolean(WEBHOOK_SECRET),
+    orderPollMs: ORDER_POLL_MS,
+    orderFastPollWindowMs: ORDER_FAST_POLL_WINDOW_MS,
+    orderSweepMs: ORDER_SWEEP_MS,
+    tonnesRetired,
+    expiredQuotes,
+  });
 
-async function waitForOrderCompletion(orderId, quoteUuid, maxAttempts = 60) {
-  console.log(`⏳ Waiting for order ${orderId} to complete...`);
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    await new Promise((resolve) => setTimeout(resolve, 2000)); // Wait 2 seconds between checks
+  const processor = createRequestProcessor({
+    store,
+    steps,
+    retryPolicy: RETRY_POLICY,
+    deferRetryMs: DEFER_RETRY_MS,
+    scheduleRetry: enqueueLater,
+    syncLease: queue.syncLease,
+    isStopping: () => stopping,
+    stepFailures,
+  });
 
-    const order = await checkOrderStatus(orderId, quoteUuid);
-    if (!order) {
-      console.log(
-        `   Attempt ${attempt}/${maxAttempts}: Order not found yet...`
-      );
-      continue;
+  // A Carbonmark webhook delivery (signature and replay already checked)
+  function handleOrderWebhook(order) {
+    const orderId = extractOrderId(order);
+    const match = orderId && findOrderRecordByOrderId(store, orderId);
+    if (!match) {
+      console.warn(`⚠️  Webhook for unknown order ${orderId}, ignored`);
+      return { status: 202, body: { accepted: false, orderId } };
     }
 
+    recordOrderUpdate(store, match.key, order);
+    const { eventKey, reqId } = match.record;
     console.log(
-      `   Attempt ${attempt}/${maxAttempts}: Status = ${order.status}`
+      `📬 Webhook: order ${orderId} (request ${reqId}) is ${order.status}`
     );
 
-    if (order.status === "COMPLETED") {
-      console.log(`✅ Order completed!`);
-      if (order.view_retirement_url) {
-        console.log(`🔗 View Retirement: ${order.view_retirement_url}`);
-      }
-      if (order.polygonscan_url) {
-        console.log(`🔗 PolygonScan: ${order.polygonscan_url}`);
-      }
-      return order;
+    // A late completion of an order we had given up on still gets its
+    // retirement URL recorded
+    const letter = store.get("deadLetters", eventKey);
+    if (
+      letter &&
+      letter.resumeState === "ordered" &&
+      order.status === "COMPLETED"
+    ) {
+      console.log(`♻️  Late completion, re-driving request ${reqId}`);
+      redriveRequest(store, eventKey);
     }
 
-    if (order.status === "FAILED" || order.status === "CANCELLED") {
-      throw new Error(`Order ${order.status.toLowerCase()}: ${orderId}`);
-    }
+    const request = store.get("requests", eventKey);
+    if (request && !isTerminal(request.status)) enqueue(eventKey);
+    return { status: 200, body: { accepted: true, orderId, reqId } };
   }
 
-  throw new Error(`Order did not complete within ${maxAttempts * 2} seconds`);
-}
-
-async function main() {
-  console.log(`🌐 Network: ${deploymentData.network}`);
-  console.log(`🔗 RPC URL: ${HEDERA_RPC_URL}`);
-  console.log(`📦 Contract Address: ${CONTRACT_ADDRESS}`);
-  console.log(`🔑 Carbonmark API Key: ${CARBONMARK_API_KEY || "NOT SET"}`);
-
-  const provider = new ethers.JsonRpcProvider(HEDERA_RPC_URL, undefined, {
-    // Disable ENS for Hedera networks
-    ensAddress: null,
-    nameResolver: null,
-  });
-
-  // Verify connection
-  try {
-    const network = await provider.getNetwork();
-    console.log(`✅ Connected to network (Chain ID: ${network.chainId})`);
-  } catch (error) {
-    console.error(`❌ Failed to connect to RPC: ${HEDERA_RPC_URL}`);
-    console.error(`Error: ${error.message}`);
-    throw error;
+  async function buildRefundSender() {
+    if (REFUND_METHOD === "off") {
+      console.warn("⚠️  Refunds are OFF (RELAYER_REFUND_METHOD=off)");
+      return null;
+    }
+    // sweep is signed by the relayer (HbarOffset owner) account, treasury
+    // refunds by the TREASURY_-prefixed signer
+    const prefix = REFUND_METHOD === "treasury" ? "TREASURY_" : "";
+    const wallet =
+      prefix === "" ? relayerSigner : await loadOptionalSigner(prefix);
+    if (!wallet) {
+      console.warn(
+        `⚠️  No ${prefix}SIGNER_BACKEND / ${prefix}PRIVATE_KEY, refunds will stay queued`
+      );
+      return null;
+    }
+    return createRefundSender({
+      method: REFUND_METHOD,
+      contract:
+        REFUND_METHOD === "sweep"
+          ? new ethers.Contract(CONTRACT_ADDRESS, OFFSET_ABI, wallet)
+          : null,
+      wallet,
+      weiPerTinybar: WEI_PER_TINYBAR,
+    });
   }
 
-  const contract = new ethers.Contract(CONTRACT_ADDRESS, OFFSET_ABI, provider);
-  console.log(
-    `👂 Polling for offset requests on contract: ${CONTRACT_ADDRESS}`
-  );
-
-  // Track processed events to avoid duplicates
-  const processedEvents = new Set();
-  let lastProcessedBlock = await provider.getBlockNumber();
-
-  // Queue for processing requests sequentially
-  const requestQueue = [];
-  let isProcessing = false;
-
-  // Get event topic from contract interface
-  const eventTopic = contract.interface.getEvent("OffsetRequested").topicHash;
-
-  async function handleOffsetRequest(
-    user,
-    hbarAmount,
-    metadata,
-    poolAddress,
-    reqId,
-    txHash
-  ) {
+  // Return the HBAR behind rejected requests, one refund at a time
+  let isRefunding = false;
+  async function processRefunds() {
+    if (isRefunding || isSweeping || simulateChainWrites) return;
+    isRefunding = true;
     try {
-      console.log("\n=== New Offset Request ===");
-      console.log("User:", user);
-
-      const tiny = BigInt(hbarAmount.toString());
-      const hbar = Number(tiny) / 1e8;
-      console.log(`HBAR Amount: ${hbar} HBAR (${tiny.toString()} tinybars)`);
-
-      console.log("Metadata:", metadata);
-      console.log("Pool Address:", poolAddress);
-      console.log("Request ID:", reqId.toString());
-      console.log("Transaction Hash:", txHash);
-      const price = await getHbarUsdPrice();
-      const usd = hbar * price;
-      console.log("USD value:", usd);
-
-      const meta = JSON.parse(metadata ?? "{}");
-      const project = meta.projectId || "VCS-191"; // default or frontend-provided
-      const beneficiaryName = meta.beneficiary_name || user;
-      const beneficiaryAddress = meta.beneficiary_address;
-      if (!beneficiaryAddress) {
-        throw new Error("beneficiary_address required in metadata");
+      // Nothing is mid-send between runs of this loop, so any refund still
+      // "sending" was interrupted by a previous run
+      await settleInterruptedRefunds();
+      if (!refundSender) return;
+      const due = listRefunds(store, "queued").filter(
+        (refund) =>
+          !refund.nextAttemptAt ||
+          Date.parse(refund.nextAttemptAt) <= Date.now()
+      );
+      for (const refund of due) {
+        if (stopping) break;
+        await sendRefund(refund);
       }
+    } finally {
+      isRefunding = false;
+    }
+  }
 
-      const priceInfo = await getCarbonPrice(project);
-      console.log("Price info:", priceInfo);
+  async function settleInterruptedRefunds() {
+    const recovered = await recoverInterruptedRefunds(store, {
+      getReceipt: (txHash) => provider.getTransactionReceipt(txHash),
+      onSent: (refund, receipt) =>
+        ledger.postRefund(refund, refund.amountTinybars, receipt),
+    });
+    for (const { refund, outcome } of recovered) {
+      if (outcome === "sent") {
+        console.log(
+          `✅ Refund for request ${refund.reqId} was sent before the restart: ${refund.refundTxHash}`
+        );
+      } else if (outcome === "requeued") {
+        console.warn(
+          `⚠️  Refund for request ${refund.reqId} reverted before the restart, queued again`
+        );
+      } else if (outcome === "unknown") {
+        console.warn(
+          `⚠️  Refund for request ${refund.reqId} was interrupted before it had a tx hash, check it by hand before re-queueing`
+        );
+      }
+    }
+  }
 
-      const tonnes = Math.floor((usd / priceInfo.purchasePrice) * 1000) / 1000;
-      if (tonnes <= 0) {
-        console.warn("Not enough funds to buy even 0.001 tCO2. Skipping.");
+  async function sendRefund(refund) {
+    const { eventKey, reqId, user } = refund;
+    let submitted = false;
+    try {
+      // Only what the request actually paid (and nobody else claimed) goes
+      // back; a basket component's share was verified when it was priced
+      const tinybars =
+        paymentVerifier && !isComponentRefund(refund)
+          ? await paymentVerifier.claimRefund({
+              eventKey,
+              txHash: refund.txHash,
+            })
+          : refund.requestedTinybars;
+
+      if (BigInt(tinybars) === 0n) {
+        console.log(`↩️  Nothing paid for request ${reqId}, refund skipped`);
+        setRefundStatus(store, refund, "skipped");
         return;
       }
-      console.log("Tonnes:", tonnes);
 
-      const quote = await createQuote(priceInfo.sourceId, tonnes);
-      console.log("Quote:", quote);
+      console.log(
+        `↩️  Refunding ${tinybars} tinybars to ${user} for request ${reqId} (${refundSender.method})...`
+      );
+      store.update("refunds", eventKey, {
+        status: "sending",
+        amountTinybars: tinybars,
+        method: refundSender.method,
+      });
+      const tx = await refundSender.send(user, tinybars);
+      submitted = true;
+      store.update("refunds", eventKey, { refundTxHash: tx.hash });
+
+      const receipt = await tx.wait();
+      console.log(`✅ Refund for request ${reqId} sent: ${tx.hash}`);
+      await ledger.postRefund(refund, tinybars, receipt);
+      setRefundStatus(store, { ...refund, refundTxHash: tx.hash }, "sent", {
+        sentAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      const attempts = (refund.attempts || 0) + 1;
+      // Never resend a refund whose transaction reached the network
+      const giveUp = submitted || attempts >= REFUND_MAX_ATTEMPTS;
+      const delayMs = backoffDelayMs(
+        { baseDelayMs: 60000, maxDelayMs: 60 * 60 * 1000 },
+        attempts
+      );
+      console.error(
+        `❌ Refund for request ${reqId} failed (attempt ${attempts}/${REFUND_MAX_ATTEMPTS}):`,
+        err.message
+      );
+      setRefundStatus(store, refund, giveUp ? "failed" : "queued", {
+        attempts,
+        lastError: err.message,
+        nextAttemptAt: giveUp
+          ? null
+          : new Date(Date.now() + delayMs).toISOString(),
+      });
+    }
+  }
 
-      const order = await createOrder(
-        quote.uuid,
-        beneficiaryName,
-        beneficiaryAddress,
-        `HBAR offset for user ${user}, request ${reqId}`
+  function buildTreasuryContract() {
+    if (!TREASURY_SWEEP_MS) return null;
+    const treasury = process.env.TREASURY_ADDRESS;
+    if (!treasury || !ethers.isAddress(treasury)) {
+      console.warn(
+        "⚠️  RELAYER_TREASURY_SWEEP_MS is set but TREASURY_ADDRESS is not a valid address, treasury sweeps are OFF"
       );
-      console.log("Order created:", order);
-
-      // Extract order ID from the response
-      // The order response structure may vary, check for common fields
-      const orderId =
-        order.id ||
-        order.order_id ||
-        (order.quote && order.quote.credential_id) ||
-        null;
-
-      if (orderId) {
-        console.log(`📋 Order ID: ${orderId}`);
-        // Wait for order completion
-        try {
-          const completedOrder = await waitForOrderCompletion(
-            orderId,
-            quote.uuid
-          );
-          console.log("✅ Retirement completed successfully!");
-
-          // Update pool retirement URL if available
-          if (
-            completedOrder &&
-            completedOrder.view_retirement_url &&
-            poolAddress
-          ) {
-            await updatePoolRetirementUrl(
-              poolAddress,
-              completedOrder.view_retirement_url
-            );
-          }
-        } catch (err) {
-          console.error("Error waiting for order completion:", err);
-        }
-      } else {
-        console.warn(
-          "⚠️  Could not extract order ID from response, skipping status check"
+      return null;
+    }
+    if (treasury.toLowerCase() === CONTRACT_ADDRESS.toLowerCase()) {
+      throw new Error("TREASURY_ADDRESS must not be the HbarOffset contract");
+    }
+    if (!relayerSigner) {
+      console.warn(
+        "⚠️  Treasury sweeps need the relayer signer (HbarOffset owner), treasury sweeps are OFF"
+      );
+      return null;
+    }
+    console.log(
+      `🏦 Sweeping HbarOffset above ${formatHbar(
+        TREASURY_FLOAT_TINYBARS
+      )} HBAR to ${treasury} every ${TREASURY_SWEEP_MS / 1000}s`
+    );
+    return new ethers.Contract(CONTRACT_ADDRESS, OFFSET_ABI, relayerSigner);
+  }
+
+  // Archive requests that finished before the retention window
+  function compactFinishedRequests() {
+    try {
+      const compacted = compactJournal(store, {
+        archiveFile: RELAYER_PATHS.archiveFile,
+        retentionMs: JOURNAL_RETENTION_MS,
+      });
+      if (compacted > 0) {
+        console.log(
+          `🗜️  Archived ${compacted} finished request(s) to ${RELAYER_PATHS.archiveFile}`
         );
-        console.warn("   Order response keys:", Object.keys(order));
       }
     } catch (err) {
-      console.error("Error handling offset request:", err);
+      console.error("❌ Journal compaction failed:", err.message);
     }
   }
 
-  // Function to update pool retirement URL in factory
-  async function updatePoolRetirementUrl(poolAddress, retirementUrl) {
+  // Publish the retirement receipts record_url queued, one at a time
+  let isPublishing = false;
+  async function publishPendingReceipts() {
+    if (isPublishing || !hcsPublisher) return;
+    isPublishing = true;
     try {
-      console.log(`\n🔗 Updating retirement URL for pool ${poolAddress}...`);
+      await publishReceipts(store, hcsPublisher, {
+        isStopping: () => stopping,
+      });
+    } catch (err) {
+      console.error("❌ Error publishing HCS receipts:", err.message);
+    } finally {
+      isPublishing = false;
+    }
+  }
 
-      // Get factory deployment data
-      const factoryData = getFactoryDeploymentData();
-      const factoryAddress = factoryData.factoryAddress;
+  // Move the balance above the float to the treasury. Never runs alongside a
+  // refund: both spend the contract's balance from the same account.
+  let isSweeping = false;
+  async function sweepTreasury() {
+    if (isSweeping || isRefunding || simulateChainWrites) return;
+    isSweeping = true;
+    let sweep = null;
+    try {
+      // A sweep still pending has not left the balance yet
+      if (!(await settleInterruptedSweeps()) || !treasuryContract) return;
+
+      const balanceTinybars = await treasuryContract.getBalance();
+      // Refunds are only paid from the contract unless a treasury wallet
+      // sends them
+      const reservedTinybars =
+        REFUND_METHOD === "treasury" ? 0n : reservedForRefunds(store);
+      const amount = planSweep({
+        balanceTinybars,
+        floatTinybars: TREASURY_FLOAT_TINYBARS,
+        reservedTinybars,
+        minSweepTinybars: TREASURY_MIN_SWEEP_TINYBARS,
+      });
+      if (amount === 0n) return;
+
+      const to = ethers.getAddress(process.env.TREASURY_ADDRESS);
+      sweep = recordSweep(store, {
+        to,
+        amountTinybars: amount.toString(),
+        balanceTinybars: balanceTinybars.toString(),
+        floatTinybars: TREASURY_FLOAT_TINYBARS.toString(),
+        reservedTinybars: reservedTinybars.toString(),
+      });
+      const tx = await treasuryContract.sweep(to, amount);
+      store.update("treasurySweeps", sweep.id, { txHash: tx.hash });
 
-      // Load factory contract ABI
-      const factoryArtifactPath = path.join(
-        __dirname,
-        "../../artifacts/contracts/ClearSkyFactory.sol/ClearSkyFactory.json"
+      const receipt = await tx.wait();
+      await ledger.postSweep(sweep, receipt);
+      store.update("treasurySweeps", sweep.id, {
+        status: "sent",
+        blockNumber: receipt.blockNumber,
+        sentAt: new Date().toISOString(),
+      });
+      console.log(
+        `🏦 Swept ${formatHbar(
+          amount
+        )} HBAR to treasury ${to} (balance ${formatHbar(
+          balanceTinybars
+        )}, kept ${formatHbar(TREASURY_FLOAT_TINYBARS)} float + ${formatHbar(
+          reservedTinybars
+        )} for refunds): ${tx.hash}`
       );
+    } catch (err) {
+      console.error("❌ Treasury sweep failed:", err.message);
+      if (sweep) {
+        store.update("treasurySweeps", sweep.id, {
+          status: "failed",
+          lastError: err.message,
+        });
+      }
+    } finally {
+      isSweeping = false;
+    }
+  }
 
-      if (!fs.existsSync(factoryArtifactPath)) {
-        throw new Error(
-          "Factory contract artifacts not found. Run 'npx hardhat compile' first."
+  /**
+   * Settle sweeps interrupted mid-send by a previous run. False while one of
+   * them is still pending.
+   */
+  async function settleInterruptedSweeps() {
+    const recovered = await recoverInterruptedSweeps(store, {
+      getReceipt: (txHash) => provider.getTransactionReceipt(txHash),
+      onSent: ledger.postSweep,
+    });
+    for (const { sweep, outcome } of recovered) {
+      if (outcome === "sent") {
+        console.log(
+          `🏦 Treasury sweep ${sweep.id} was sent before the restart: ${sweep.txHash}`
+        );
+      } else if (outcome === "failed") {
+        console.warn(
+          `⚠️  Treasury sweep ${sweep.id} reverted before the restart: ${sweep.txHash}`
+        );
+      } else if (outcome === "unknown") {
+        console.warn(
+          `⚠️  Treasury sweep ${sweep.id} was interrupted before it had a tx hash, check the treasury balance by hand`
         );
       }
+    }
+    return recovered.every(({ outcome }) => outcome !== "pending");
+  }
 
-      const factoryArtifact = JSON.parse(
-        fs.readFileSync(factoryArtifactPath, "utf8")
-      );
-      const { abi: factoryABI } = factoryArtifact;
+  // Pick up dead letters an operator asked to re-drive (manageDeadLetters.js)
+  function drainRedriveInbox() {
+    for (const id of takeRedriveQueue(RELAYER_PATHS.redriveInbox)) {
+      const eventKey = findRequestKey(store, id);
+      if (!eventKey || !store.has("deadLetters", eventKey)) {
+        console.warn(`⚠️  Re-drive ignored, no dead letter for: ${id}`);
+        continue;
+      }
+      retryRequest(eventKey);
+    }
+  }
 
-      // Get private key from .env
-      const privateKey = process.env.PRIVATE_KEY;
-      if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
+  // Journal the OffsetRequested logs not seen before and return their keys;
+  // RetirementRecorded logs go to the pool history
+  function journalLogs(logs) {
+    return store.transaction(() => {
+      const keys = [];
+
+      for (const log of logs) {
+        const retirement = decodeRetirementLog(contract.interface, log);
+        if (retirement) {
+          journalRetirement(store, retirement);
+          continue;
+        }
+        const decoded = decodeOffsetLog(contract.interface, log);
+        // Sources may number logs differently; the on-chain requestId is
+        // what makes a request unique
+        if (
+          !decoded ||
+          store.has("requests", decoded.eventKey) ||
+          store.has("requestIds", decoded.reqId)
+        ) {
+          continue;
+        }
+
+        const receivedAt = new Date().toISOString();
+        store.put("requests", decoded.eventKey, {
+          ...decoded,
+          status: "received",
+          receivedAt,
+          attempts: 0,
+          history: [{ status: "received", at: receivedAt }],
+        });
+        store.put("requestIds", decoded.reqId, decoded.eventKey);
+        keys.push(decoded.eventKey);
       }
+      return keys;
+    });
+  }
 
-      // Create wallet and contract instance
-      const wallet = new ethers.Wallet(privateKey, provider);
-      const factoryContract = new ethers.Contract(
-        factoryAddress,
-        factoryABI,
-        wallet
-      );
+  // Journal one batch of logs and advance the cursor in one atomic write, so
+  // every event is either stored durably or re-fetched after a crash.
+  // Returns the keys of the requests that are new.
+  function journalBatch(batch) {
+    return store.transaction(() => {
+      const keys = journalLogs(batch.logs);
+      store.setCursor(eventSource.name, batch.cursor);
+      return keys;
+    });
+  }
+
+  // Carry out replays queued by replayRequests.js: backfill a block range or
+  // a transaction's logs, or re-process a journaled request
+  async function drainReplayInbox() {
+    await drainReplayQueue(RELAYER_PATHS.replayInbox, store, runReplay);
+  }
 
+  async function runReplay(command) {
+    if (command.type === "blocks") {
+      const source = createRpcLogSource({
+        provider,
+        contractAddress: CONTRACT_ADDRESS,
+        topic: watchedTopics,
+        maxBlockRange: Number(process.env.RELAYER_MAX_BLOCK_RANGE) || 1000,
+      });
+      let found = 0;
+      for await (const batch of source.poll(
+        command.fromBlock - 1,
+        command.toBlock
+      )) {
+        const keys = journalLogs(batch.logs);
+        found += keys.length;
+        keys.forEach(enqueue);
+      }
       console.log(
-        `📝 Calling setPoolRetirementUrl(${poolAddress}, ${retirementUrl})...`
+        `⏪ Replayed blocks ${command.fromBlock}-${command.toBlock}: ${found} new request(s)`
       );
-
-      // Call setPoolRetirementUrl
-      const tx = await factoryContract.setPoolRetirementUrl(
-        poolAddress,
-        retirementUrl,
-        {
-          gasLimit: 1_000_000,
-        }
+    } else if (command.type === "tx") {
+      const logs = await getTransactionLogs({
+        provider,
+        contractAddress: CONTRACT_ADDRESS,
+        topic: eventTopic,
+        txHash: command.txHash,
+      });
+      // Requests already journaled are found by requestId: the event
+      // source that journaled them may have numbered the logs differently
+      const journaled = [];
+      const unseen = [];
+      for (const log of logs) {
+        const decoded = decodeOffsetLog(contract.interface, log);
+        const eventKey = decoded && findRequestKey(store, decoded.reqId);
+        if (eventKey) journaled.push(eventKey);
+        else unseen.push(log);
+      }
+      const keys = journalLogs(unseen);
+      keys.forEach(enqueue);
+      console.log(
+        `⏪ Replayed tx ${command.txHash}: ${keys.length} new request(s)`
       );
-
-      console.log(`⏳ Transaction submitted: ${tx.hash}`);
-      console.log(`⏳ Waiting for confirmation...`);
-
-      const receipt = await tx.wait();
-      console.log(`✅ Retirement URL updated in block: ${receipt.blockNumber}`);
-      console.log(`🔗 Transaction Hash: ${tx.hash}`);
-    } catch (err) {
-      console.error("❌ Error updating pool retirement URL:", err);
-      // Don't throw - this is not critical for the offset process
+      journaled.forEach(replayRequest);
+    } else if (command.type === "request") {
+      replayRequest(command.id);
+    } else {
+      console.warn(`⚠️  Unknown replay command: ${JSON.stringify(command)}`);
     }
   }
 
-  // Process queue sequentially
-  async function processQueue() {
-    if (isProcessing || requestQueue.length === 0) {
-      return;
+  function replayRequest(id) {
+    const { status, body } = retryRequest(id);
+    if (status === 202) {
+      console.log(`⏪ Re-processing request ${body.request.reqId}`);
+    } else {
+      console.warn(`⚠️  Replay of ${id} skipped: ${body.error}`);
     }
+  }
 
-    isProcessing = true;
-    const request = requestQueue.shift();
+  // Chain head and last block fully scanned, for the lag metric
+  let chainHead = null;
+  let scannedBlock = eventSource.name === "rpc" ? cursor : null;
 
+  // Poll for new events
+  let isPolling = false;
+  async function pollForEvents() {
+    // A slow catch-up must not overlap with the next interval tick
+    if (isPolling || stopping) return;
+    isPolling = true;
     try {
-      await handleOffsetRequest(
-        request.user,
-        request.hbarAmount,
-        request.metadata,
-        request.poolAddress,
-        request.reqId,
-        request.txHash
-      );
+      drainRedriveInbox();
+      await drainReplayInbox();
+
+      const head = await provider.getBlockNumber();
+      chainHead = head;
+
+      for await (const batch of eventSource.poll(cursor)) {
+        journalBatch(batch).forEach(enqueue);
+        cursor = batch.cursor;
+        if (eventSource.name === "rpc") scannedBlock = cursor;
+      }
+      // The mirror cursor is a timestamp; once a poll has drained it we have
+      // seen everything up to (roughly) the head read above
+      if (eventSource.name !== "rpc") scannedBlock = head;
     } catch (err) {
-      console.error("Error processing request from queue:", err);
+      console.error("Error polling for events:", err);
     } finally {
-      isProcessing = false;
-      // Process next item in queue
-      if (requestQueue.length > 0) {
-        setImmediate(processQueue);
-      }
+      isPolling = false;
     }
   }
 
-  // Poll for new events
-  async function pollForEvents() {
-    try {
-      const currentBlock = await provider.getBlockNumber();
+  // Retry a request now: re-drive it if dead-lettered, otherwise cut its
+  // backoff short. Shared by the admin API.
+  function retryRequest(id) {
+    const eventKey = findRequestKey(store, id);
+    if (!eventKey) {
+      return { status: 404, body: { error: `Request not found: ${id}` } };
+    }
+    if (store.has("deadLetters", eventKey)) {
+      const request = redriveRequest(store, eventKey);
+      console.log(
+        `♻️  Re-driving request ${request.reqId} from "${request.status}"`
+      );
+      enqueue(eventKey);
+      return { status: 202, body: { redriven: true, request } };
+    }
+    const request = store.get("requests", eventKey);
+    if (isTerminal(request.status)) {
+      return {
+        status: 409,
+        body: {
+          error: `Request ${request.reqId} is already ${request.status}`,
+        },
+      };
+    }
+    enqueue(eventKey);
+    return { status: 202, body: { redriven: false, request } };
+  }
 
-      // Only query if there are new blocks
-      if (currentBlock > lastProcessedBlock) {
-        // Query events from the last processed block to current block
-        const fromBlock = lastProcessedBlock + 1;
-        const toBlock = currentBlock;
+  metrics.gauge(
+    "relayer_queue_depth",
+    "Requests waiting in the in-memory queue",
+    () => queue.queued().length
+  );
+  metrics.gauge(
+    "relayer_in_flight",
+    "Requests being processed right now",
+    () => queue.running().length
+  );
+  metrics.gauge(
+    "relayer_leases_held",
+    "Request leases this instance holds",
+    () => queue.leasesHeld()
+  );
+  metrics.gauge(
+    "relayer_block_lag",
+    "Blocks between the chain head and the last block scanned for events",
+    () =>
+      chainHead === null || scannedBlock === null
+        ? []
+        : [{ labels: {}, value: Math.max(0, chainHead - scannedBlock) }]
+  );
+  metrics.gauge("relayer_requests", "Journaled requests by status", () => {
+    const counts = {};
+    for (const request of store.list("requests")) {
+      counts[request.status] = (counts[request.status] || 0) + 1;
+    }
+    return Object.entries(counts).map(([status, value]) => ({
+      labels: { status },
+      value,
+    }));
+  });
+  metrics.gauge(
+    "relayer_dead_letters",
+    "Requests waiting in the dead-letter store",
+    () => store.list("deadLetters").length
+  );
+  metrics.gauge("relayer_refunds", "Refunds by status", () => {
+    const counts = {};
+    for (const refund of listRefunds(store)) {
+      counts[refund.status] = (counts[refund.status] || 0) + 1;
+    }
+    return Object.entries(counts).map(([status, value]) => ({
+      labels: { status },
+      value,
+    }));
+  });
 
-        console.log(`🔍 Checking blocks ${fromBlock} to ${toBlock}...`);
+  metrics.gauge("relayer_treasury_sweeps", "Treasury sweeps by status", () => {
+    const counts = {};
+    for (const sweep of listSweeps(store)) {
+      counts[sweep.status] = (counts[sweep.status] || 0) + 1;
+    }
+    return Object.entries(counts).map(([status, value]) => ({
+      labels: { status },
+      value,
+    }));
+  });
 
-        const filter = {
-          address: CONTRACT_ADDRESS,
-          topics: [eventTopic],
-          fromBlock: fromBlock,
-          toBlock: toBlock,
+  // Listening servers, closed on shutdown
+  const servers = [];
+
+  if (ADMIN_PORT !== "off") {
+    const adminServer = startAdminServer({
+      port: Number(ADMIN_PORT),
+      host: process.env.RELAYER_ADMIN_HOST || "127.0.0.1",
+      token: process.env.RELAYER_ADMIN_TOKEN || null,
+      health: () => ({
+        status: "ok",
+        network: deploymentData.network,
+        contract: CONTRACT_ADDRESS,
+        eventSource: eventSource.name,
+        cursor,
+        chainHead,
+        lagBlocks:
+          chainHead === null || scannedBlock === null
+            ? null
+            : Math.max(0, chainHead - scannedBlock),
+        queueDepth: queue.queued().length,
+        processing: queue.running().length,
+        concurrency: CONCURRENCY,
+        instanceId,
+        leases: { store: leases.name, held: queue.leasesHeld() },
+        deadLetters: store.list("deadLetters").length,
+        uptimeSeconds: Math.round(process.uptime()),
+      }),
+      listRequests: ({ status, user, limit }) =>
+        store
+          .list(
+            "requests",
+            (request) =>
+              (!status || request.status === status) &&
+              (!user || request.user.toLowerCase() === user.toLowerCase())
+          )
+          .sort(
+            (a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex
+          )
+          .slice(0, limit)
+          .map((request) => ({
+            eventKey: request.eventKey,
+            reqId: request.reqId,
+            status: request.status,
+            user: request.user,
+            poolAddress: request.poolAddress,
+            hbarAmount: request.hbarAmount,
+            tonnes: request.tonnes ?? null,
+            projectId: request.projectId ?? null,
+            orderIds: (request.components || []).map((c) => c.orderId),
+            retirementUrls: (request.components || []).map(
+              (c) => c.retirementUrl
+            ),
+            lastError: request.lastError ?? request.rejectionReason ?? null,
+            refundStatus: request.refundStatus ?? null,
+            receivedAt: request.receivedAt,
+          })),
+      getRequest: (id) => {
+        const eventKey = findRequestKey(store, id);
+        if (!eventKey) return null;
+        const request = store.get("requests", eventKey);
+        return {
+          ...request,
+          orders: listOrderRecords(store, request.reqId),
+          quotes: listQuoteAttempts(store, request.reqId),
+          deadLetter: store.get("deadLetters", eventKey),
+          refund: store.get("refunds", eventKey),
         };
+      },
+      retryRequest,
+      listSweeps: (range) => listSweeps(store, range),
+      listPools: () => summarizePools(store),
+      listPoolRetirements: (query) => listPoolRetirements(store, query),
+      renderMetrics: () => metrics.render(),
+    });
+    servers.push(adminServer);
+  }
 
-        const logs = await provider.getLogs(filter);
-
-        for (const log of logs) {
-          // Create a unique key for this event
-          const eventKey = `${log.transactionHash}-${log.logIndex}`;
-
-          if (processedEvents.has(eventKey)) {
-            continue; // Skip already processed events
-          }
-
-          // Decode the event
-          const decodedLog = contract.interface.parseLog({
-            topics: log.topics,
-            data: log.data,
-          });
-
-          if (decodedLog && decodedLog.name === "OffsetRequested") {
-            const [user, hbarAmount, metadata, poolAddress, reqId] =
-              decodedLog.args;
-
-            // Add to queue instead of processing immediately
-            requestQueue.push({
-              user,
-              hbarAmount,
-              metadata,
-              poolAddress,
-              reqId,
-              txHash: log.transactionHash,
-            });
-            processedEvents.add(eventKey);
-
-            // Trigger queue processing if not already processing
-            if (!isProcessing) {
-              setImmediate(processQueue);
-            }
-          }
-        }
+  if (WEBHOOK_SECRET) {
+    const webhookServer = startWebhookServer({
+      port: Number(process.env.RELAYER_WEBHOOK_PORT) || 8081,
+      host: process.env.RELAYER_WEBHOOK_HOST || "0.0.0.0",
+      path: process.env.RELAYER_WEBHOOK_PATH || "/webhooks/carbonmark",
+      secret: WEBHOOK_SECRET,
+      store,
+      toleranceMs:
+        Number(process.env.RELAYER_WEBHOOK_TOLERANCE_MS) || undefined,
+      onOrderUpdate: handleOrderWebhook,
+    });
+    servers.push(webhookServer);
+  } else {
+    console.warn(
+      "⚠️  CARBONMARK_WEBHOOK_SECRET not set, order status is polled only"
+    );
+  }
 
-        lastProcessedBlock = currentBlock;
+  // Resume requests left unfinished by the previous run, honouring any
+  // backoff that was still pending. After a clean shutdown the requests it
+  // checkpointed go first, in the order they were queued.
+  const checkpoint =
+    previousRun && previousRun.state === "stopped" ? previousRun : null;
+  if (checkpoint) {
+    console.log(
+      `♻️  Previous run stopped on ${checkpoint.signal} at ${checkpoint.stoppedAt} with ${checkpoint.queue.length} request(s) queued`
+    );
+    for (const eventKey of checkpoint.interrupted) {
+      const request = store.get("requests", eventKey);
+      if (request && !isTerminal(request.status)) {
+        console.warn(
+          `⚠️  Request ${request.reqId} was stopped mid-step at "${request.status}", resuming it from there`
+        );
       }
-    } catch (err) {
-      console.error("Error polling for events:", err);
+    }
+  }
+  const byBlock = store
+    .list("requests", (request) => !isTerminal(request.status))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map((request) => request.eventKey);
+  const unfinished = orderForResume(
+    byBlock,
+    checkpoint ? checkpoint.queue : []
+  ).map((eventKey) => store.get("requests", eventKey));
+  if (unfinished.length > 0) {
+    console.log(`♻️  Resuming ${unfinished.length} unfinished request(s)`);
+    for (const request of unfinished) {
+      const waitMs = request.nextAttemptAt
+        ? Date.parse(request.nextAttemptAt) - Date.now()
+        : 0;
+      if (waitMs > 0) enqueueLater(request.eventKey, waitMs);
+      else enqueue(request.eventKey);
     }
   }
 
   // Start polling every 5 seconds
-  console.log("🔄 Starting event polling (every 5 seconds)...");
-  setInterval(pollForEvents, 5000);
+  console.log(
+    `🔄 Starting event polling (every ${POLL_INTERVAL_MS / 1000} seconds)...`
+  );
+  const intervals = [
+    setInterval(pollForEvents, POLL_INTERVAL_MS),
+    setInterval(processRefunds, 5000),
+    setInterval(queue.renewLeases, Math.max(1000, LEASE_TTL_MS / 3)),
+  ];
+  // Also settles sweeps a previous run left mid-send, with sweeping off too
+  sweepTreasury();
+  if (treasuryContract) {
+    intervals.push(setInterval(sweepTreasury, TREASURY_SWEEP_MS));
+  }
+  if (hcsPublisher) {
+    intervals.push(setInterval(publishPendingReceipts, 5000));
+  }
+  if (BATCH_MIN_TONNES !== null) {
+    intervals.push(
+      setInterval(
+        () => stopping || batches.flushAgedBatches(),
+        Math.max(1000, Math.min(60000, BATCH_MAX_AGE_MS / 4))
+      )
+    );
+  }
+  if (JOURNAL_RETENTION_MS !== null) {
+    compactFinishedRequests();
+    intervals.push(setInterval(compactFinishedRequests, JOURNAL_COMPACTION_MS));
+  }
+
+  // Stop intake, let running requests reach a step boundary (and refunds or
+  // sweeps finish sending), then checkpoint the queue and exit. A second
+  // signal exits straight away; the journal still has every request.
+  async function shutdown(signal) {
+    if (stopping) {
+      console.warn(`⚠️  ${signal} again, exiting without waiting`);
+      process.exit(1);
+    }
+    stopping = true;
+    queue.stop();
+    const running = queue.running();
+    console.log(
+      `🛑 ${signal} received: stopping intake, waiting up to ${
+        SHUTDOWN_TIMEOUT_MS / 1000
+      }s for ${running.length} running request(s)`
+    );
+    intervals.forEach(clearInterval);
+    servers.forEach((server) => server.close());
+
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+    while (
+      (queue.running().length > 0 ||
+        isPolling ||
+        isRefunding ||
+        isSweeping ||
+        isPublishing) &&
+      Date.now() < deadline
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    const interrupted = queue.running();
+    const checkpointed = [...running, ...queue.queued()].filter((eventKey) => {
+      const request = store.get("requests", eventKey);
+      return request && !isTerminal(request.status);
+    });
+    markStopped(store, {
+      instanceId,
+      signal,
+      queue: checkpointed,
+      interrupted,
+    });
+    if (interrupted.length > 0) {
+      console.warn(
+        `⚠️  ${interrupted.length} request(s) still mid-step after ${
+          SHUTDOWN_TIMEOUT_MS / 1000
+        }s, the next start resumes them from their last saved state`
+      );
+    }
+    console.log(
+      `💾 Checkpointed ${checkpointed.length} queued request(s), relayer stopped`
+    );
+    process.exit(0);
+  }
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
 
   // Poll immediately
   await pollForEvents();
 }
 
-main().catch(console.error);
+// Only run when started directly; replayRequests.js imports the helpers above
+if (path.resolve(process.argv[1] || "") === __filename) {
+  main().catch(console.error);
+}
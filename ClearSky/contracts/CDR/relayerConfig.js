@@ -0,0 +1,22 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where the relayer keeps its journal and inbox files for a network
+export function getRelayerPaths(network) {
+  const dataDir =
+    process.env.RELAYER_DATA_DIR || path.join(__dirname, "../../.relayer");
+  return {
+    dataDir,
+    stateFile:
+      process.env.RELAYER_STATE_FILE ||
+      path.join(dataDir, `state-${network}.json`),
+    // Finished requests compacted out of the journal, one JSON object per line
+    archiveFile: path.join(dataDir, `archive-${network}.jsonl`),
+    redriveInbox: path.join(dataDir, `redrive-${network}.txt`),
+    replayInbox: path.join(dataDir, `replay-${network}.jsonl`),
+    reconciliationDir: path.join(dataDir, `reconciliation-${network}`),
+  };
+}
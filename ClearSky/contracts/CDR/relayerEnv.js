@@ -0,0 +1,204 @@
+import dotenv from "dotenv";
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  createPriceOracle,
+  createMirrorNodeRateSource,
+  createTickerSource,
+  createStaticSource,
+} from "./priceOracle.js";
+
+/**
+ * Settings the relayer and its CLIs (replayRequests.js, reconcile.js) share:
+ * the .env file, the deployment files, the RPC provider, Carbonmark and the
+ * HBAR/USD price sources. Importing this module does nothing; each entry
+ * point calls loadRelayerEnv() first and builds what it needs.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load .env file from project root (two levels up from this file)
+export function loadRelayerEnv() {
+  const envPath = path.join(__dirname, "../../.env");
+  const envResult = dotenv.config({ path: envPath });
+
+  if (envResult.error) {
+    console.warn(`⚠️  Warning: Could not load .env file from ${envPath}`);
+    console.warn(`   Error: ${envResult.error.message}`);
+    console.warn(`   Make sure the .env file exists in the project root.`);
+  } else {
+    console.log(`✅ Loaded .env file from: ${envPath}`);
+  }
+}
+
+// Load deployment data from JSON (CDR_DEPLOYMENT_FILE overrides the path)
+export function getDeploymentData() {
+  const deploymentPath =
+    process.env.CDR_DEPLOYMENT_FILE ||
+    path.join(__dirname, "../../clearsky-cdr-deployment.json");
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`Deployment file not found: ${deploymentPath}`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+
+  // Determine network from environment or default to testnet
+  const network = process.env.NETWORK || "testnet";
+  const networkData = deployment[network];
+
+  if (!networkData) {
+    throw new Error(`Deployment data not found for network: ${network}`);
+  }
+
+  if (!networkData.hbarOffset || !networkData.hbarOffset.address) {
+    throw new Error(`Contract address not found for network: ${network}`);
+  }
+
+  // Get RPC URL from environment variables based on network
+  const rpcUrl =
+    network === "testnet"
+      ? process.env.HEDERA_TESTNET_RPC_URL
+      : process.env.HEDERA_MAINNET_RPC_URL;
+
+  if (!rpcUrl) {
+    throw new Error(
+      `RPC URL not set in environment. Set ${
+        network === "testnet"
+          ? "HEDERA_TESTNET_RPC_URL"
+          : "HEDERA_MAINNET_RPC_URL"
+      } in your .env file.`
+    );
+  }
+
+  return {
+    contractAddress: networkData.hbarOffset.address,
+    deploymentBlock: networkData.deploymentBlock ?? null,
+    // Deployments from before payable requestOffset are marked false
+    requestOffsetPayable: networkData.hbarOffset.requestOffsetPayable !== false,
+    rpcUrl: rpcUrl,
+    network: network,
+  };
+}
+
+// Load factory deployment data (FACTORY_DEPLOYMENT_FILE overrides the path)
+export function getFactoryDeploymentData() {
+  const factoryDeploymentPath =
+    process.env.FACTORY_DEPLOYMENT_FILE ||
+    path.join(__dirname, "../../clearsky-factory-deployment.json");
+  if (!fs.existsSync(factoryDeploymentPath)) {
+    throw new Error(
+      `Factory deployment file not found: ${factoryDeploymentPath}`
+    );
+  }
+  const deployment = JSON.parse(fs.readFileSync(factoryDeploymentPath, "utf8"));
+
+  // Determine network from environment or default to testnet
+  const network = process.env.NETWORK || "testnet";
+
+  // Factory deployment JSON structure may vary, try to get factory address
+  let factoryAddress;
+  if (deployment.factory && deployment.factory.contractAddress) {
+    factoryAddress = deployment.factory.contractAddress;
+  } else if (deployment[network] && deployment[network].factory) {
+    factoryAddress =
+      deployment[network].factory.address ||
+      deployment[network].factory.contractAddress;
+  } else {
+    throw new Error(
+      `Factory address not found in deployment file for network: ${network}`
+    );
+  }
+
+  return {
+    factoryAddress: factoryAddress,
+    network: network,
+  };
+}
+
+// ClearSkyFactory's address and ABI, for the pools' retirement URLs
+export function loadFactory() {
+  const { factoryAddress } = getFactoryDeploymentData();
+  const factoryArtifactPath = path.join(
+    __dirname,
+    "../../artifacts/contracts/ClearSkyFactory.sol/ClearSkyFactory.json"
+  );
+  if (!fs.existsSync(factoryArtifactPath)) {
+    throw new Error(
+      "Factory contract artifacts not found. Run 'npx hardhat compile' first."
+    );
+  }
+  const { abi } = JSON.parse(fs.readFileSync(factoryArtifactPath, "utf8"));
+  return { address: factoryAddress, abi };
+}
+
+// JSON-RPC provider for a deployment's network
+export function createProvider(rpcUrl) {
+  return new ethers.JsonRpcProvider(rpcUrl, undefined, {
+    // Disable ENS for Hedera networks
+    ensAddress: null,
+    nameResolver: null,
+  });
+}
+
+// RELAYER_SIMULATION=true runs against the local Carbonmark stand-in
+// (mockCarbonmark.js) so nothing real is bought. Unless CARBONMARK_API_URL
+// points at one already running, the relayer starts it itself on
+// CARBONMARK_MOCK_PORT.
+export function getCarbonmarkSettings() {
+  const simulation = process.env.RELAYER_SIMULATION === "true";
+  const mockPort = Number(process.env.CARBONMARK_MOCK_PORT) || 8547;
+  return {
+    simulation,
+    mockPort,
+    apiKey:
+      process.env.CARBONMARK_API_KEY || (simulation ? "simulation" : undefined),
+    baseUrl:
+      process.env.CARBONMARK_API_URL ||
+      (simulation
+        ? `http://127.0.0.1:${mockPort}`
+        : "https://v17.api.carbonmark.com"),
+  };
+}
+
+// HBAR/USD price sources, e.g. HBAR_PRICE_SOURCES=mirror-node,cex
+export function buildPriceOracle(mirrorNodeUrl) {
+  const available = {
+    "mirror-node": () => createMirrorNodeRateSource(mirrorNodeUrl),
+    cex: () => createTickerSource(process.env.HBAR_PRICE_TICKER_URL),
+  };
+  const names = (process.env.HBAR_PRICE_SOURCES || "mirror-node,cex")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const sources = names.map((name) => {
+    if (!available[name]) throw new Error(`Unknown HBAR price source: ${name}`);
+    return available[name]();
+  });
+
+  const fallbackPrice = Number(process.env.HBAR_USD_FALLBACK_PRICE);
+  return createPriceOracle({
+    sources,
+    fallback: fallbackPrice > 0 ? createStaticSource(fallbackPrice) : null,
+    maxAgeMs: Number(process.env.HBAR_PRICE_MAX_AGE_MS) || undefined,
+    cacheMs: Number(process.env.HBAR_PRICE_CACHE_MS) || undefined,
+  });
+}
+
+// How requests are planned (see purchasePlanner.js)
+export function getPlannerSettings() {
+  return {
+    // Projects used when a request names neither projects nor criteria
+    defaultProjectIds: (process.env.RELAYER_DEFAULT_PROJECT_IDS || "VCS-191")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean),
+    // Requests too small to retire alone are pooled until the batch buys at
+    // least this many tonnes; RELAYER_BATCH_MIN_TONNES=off rejects them instead
+    batchMinTonnes:
+      process.env.RELAYER_BATCH_MIN_TONNES === "off"
+        ? null
+        : Number(process.env.RELAYER_BATCH_MIN_TONNES) || 1,
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Errors the relayer queue treats specially instead of just logging.
+ */
+
+// The request can never be fulfilled as sent; record `reason` and stop
+export class RequestRejectedError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = "RequestRejectedError";
+    this.reason = reason;
+  }
+}
+
+// A dependency is not ready yet (no price, tx not indexed, ...); retry later,
+// after `retryAfterMs` when given or the relayer's default deferral otherwise
+export class RequestDeferredError extends Error {
+  constructor(message, { retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "RequestDeferredError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// A step failed in a way that retrying it cannot fix, so the request goes to
+// the dead-letter store right away. `resumeState` is where a re-drive should
+// restart; by default it is the state the failing step started from.
+export class StepFailedError extends Error {
+  constructor(message, { resumeState = null } = {}) {
+    super(message);
+    this.name = "StepFailedError";
+    this.resumeState = resumeState;
+  }
+}
+
+// Carbonmark will not take an order on this quote any more (it lapsed, or
+// POST /orders said so); the component needs a fresh quote, not a retry
+export class QuoteExpiredError extends Error {
+  constructor(message, { quoteUuid = null } = {}) {
+    super(message);
+    this.name = "QuoteExpiredError";
+    this.quoteUuid = quoteUuid;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Run marker and shutdown checkpoint of the relayer, kept in the journal's
+ * "settings" collection under "lifecycle".
+ *
+ *   running -> stopped
+ *
+ * A starting relayer marks itself running. A graceful shutdown (SIGTERM /
+ * SIGINT) replaces the marker with a checkpoint of the requests that were
+ * queued or running, in queue order, which the next start resumes first.
+ * Finding the marker still "running" at startup means the previous run
+ * crashed or was killed; its requests are then resumed from the journal
+ * alone.
+ */
+
+const LIFECYCLE_KEY = "lifecycle";
+
+// Mark this run as started; returns what the previous run left behind
+// (null on a fresh journal)
+export function markRunning(store, { instanceId, pid = process.pid }) {
+  const previous = store.get("settings", LIFECYCLE_KEY) || null;
+  store.put("settings", LIFECYCLE_KEY, {
+    state: "running",
+    instanceId,
+    pid,
+    startedAt: new Date().toISOString(),
+  });
+  return previous;
+}
+
+/**
+ * Record a clean stop. `queue` lists the event keys still to run, in the
+ * order they should resume; `interrupted` the ones that were still inside a
+ * step when the shutdown timeout ran out.
+ */
+export function markStopped(
+  store,
+  { instanceId, signal, queue = [], interrupted = [] }
+) {
+  const current = store.get("settings", LIFECYCLE_KEY) || {};
+  return store.put("settings", LIFECYCLE_KEY, {
+    ...current,
+    state: "stopped",
+    instanceId,
+    signal,
+    stoppedAt: new Date().toISOString(),
+    queue: [...new Set(queue)],
+    interrupted,
+  });
+}
+
+// Event keys first in `checkpointQueue` order, then the rest as given
+export function orderForResume(eventKeys, checkpointQueue = []) {
+  const rank = new Map(checkpointQueue.map((key, i) => [key, i]));
+  return [...eventKeys].sort((a, b) => {
+    const ra = rank.has(a) ? rank.get(a) : Infinity;
+    const rb = rank.has(b) ? rank.get(b) : Infinity;
+    return ra === rb ? 0 : ra < rb ? -1 : 1;
+  });
+}
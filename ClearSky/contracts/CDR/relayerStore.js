@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Durable JSON journal for the HbarOffset relayer.
+ *
+ * Holds one cursor per event source (block number, mirror node timestamp)
+ * and one record per collection entry (requests, orders, ...). Every write
+ * replaces the file atomically (write and fsync a temp file, rename it over
+ * the journal, fsync the directory) so a crash or power loss never leaves a
+ * half-written journal behind. journalCompaction.js keeps it from growing
+ * without bound.
+ */
+
+// Make a rename durable. Not every platform can fsync a directory (Windows
+// cannot open one), and there the rename is as durable as it gets.
+function syncDirectory(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, "r");
+    fs.fsyncSync(fd);
+  } catch {
+    // best effort
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+export function openRelayerStore(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let state = { version: 1, cursors: {}, collections: {} };
+  if (fs.existsSync(filePath)) {
+    state = { ...state, ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+  }
+  // Journals written before event sources existed only had a block cursor
+  if (state.lastProcessedBlock !== undefined) {
+    state.cursors = { rpc: state.lastProcessedBlock, ...state.cursors };
+    delete state.lastProcessedBlock;
+  }
+
+  // When > 0 we are inside transaction() and persisting is deferred
+  let batchDepth = 0;
+
+  function persist() {
+    if (batchDepth > 0) return;
+    const tmpPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify(state, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+    syncDirectory(path.dirname(filePath));
+  }
+
+  function collection(name) {
+    if (!state.collections[name]) state.collections[name] = {};
+    return state.collections[name];
+  }
+
+  return {
+    filePath,
+
+    getCursor(source) {
+      return state.cursors[source] ?? null;
+    },
+
+    setCursor(source, value) {
+      state.cursors[source] = value;
+      persist();
+    },
+
+    get(name, key) {
+      return collection(name)[key] || null;
+    },
+
+    has(name, key) {
+      return Object.prototype.hasOwnProperty.call(collection(name), key);
+    },
+
+    put(name, key, value) {
+      collection(name)[key] = value;
+      persist();
+      return value;
+    },
+
+    // Shallow-merge fields into an existing record (or create it)
+    update(name, key, fields) {
+      const current = collection(name)[key] || {};
+      collection(name)[key] = { ...current, ...fields };
+      persist();
+      return collection(name)[key];
+    },
+
+    remove(name, key) {
+      delete collection(name)[key];
+      persist();
+    },
+
+    list(name, predicate = () => true) {
+      return Object.values(collection(name)).filter(predicate);
+    },
+
+    // Group several writes into a single atomic file replacement. When `fn`
+    // throws, its writes are undone and the journal on disk is left as it was.
+    transaction(fn) {
+      const snapshot = structuredClone(state);
+      batchDepth += 1;
+      let result;
+      try {
+        result = fn();
+      } catch (err) {
+        state = snapshot;
+        throw err;
+      } finally {
+        batchDepth -= 1;
+      }
+      persist();
+      return result;
+    },
+  };
+}
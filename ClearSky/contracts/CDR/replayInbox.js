@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import fs from "fs";
+
+/**
+ * Replay commands handed from replayRequests.js to the running relayer, one
+ * JSON object per line:
+ *
+ *   { "type": "blocks", "fromBlock": 100, "toBlock": 200 }
+ *   { "type": "tx", "txHash": "0x..." }
+ *   { "type": "request", "id": "12" }
+ *
+ * queueReplay() also gives each command a unique "commandId", which the
+ * relayer journals once it has handled the command.
+ *
+ * Like the re-drive inbox, this keeps the relayer the only writer of its
+ * journal; it drains the file on every poll.
+ */
+
+export function queueReplay(inboxPath, command) {
+  fs.appendFileSync(
+    inboxPath,
+    `${JSON.stringify({ commandId: crypto.randomUUID(), ...command })}\n`
+  );
+}
+
+// Claim the queued commands: the inbox is renamed first so concurrent
+// appends land in a fresh file instead of being lost. A claimed file left
+// behind by a crash is handed back before the inbox is claimed again.
+function claimReplayQueue(inboxPath) {
+  const claimedPath = `${inboxPath}.processing`;
+  if (!fs.existsSync(claimedPath)) {
+    if (!fs.existsSync(inboxPath)) return null;
+    fs.renameSync(inboxPath, claimedPath);
+  }
+  const commands = fs
+    .readFileSync(claimedPath, "utf8")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        const command = JSON.parse(line);
+        // Commands queued without an id are named by their content
+        const commandId =
+          command.commandId ||
+          crypto.createHash("sha256").update(line).digest("hex").slice(0, 16);
+        return [{ ...command, commandId }];
+      } catch {
+        console.warn(`⚠️  Ignoring malformed replay command: ${line}`);
+        return [];
+      }
+    });
+  return { claimedPath, commands };
+}
+
+/**
+ * Run every queued command through `handle(command)`. Each handled command's
+ * commandId is journaled in the store's "replays" collection before the next one
+ * runs, and the claimed file is only deleted once all of them are, so a
+ * crash part-way hands the rest back on the next drain without running the
+ * handled ones again. Failures are logged and count as handled.
+ */
+export async function drainReplayQueue(inboxPath, store, handle) {
+  const claimed = claimReplayQueue(inboxPath);
+  if (!claimed) return 0;
+  let handled = 0;
+  for (const command of claimed.commands) {
+    if (store.has("replays", command.commandId)) continue;
+    try {
+      await handle(command);
+    } catch (err) {
+      console.error(
+        `❌ Replay ${JSON.stringify(command)} failed:`,
+        err.message
+      );
+    }
+    store.put("replays", command.commandId, {
+      commandId: command.commandId,
+      type: command.type,
+      handledAt: new Date().toISOString(),
+    });
+    handled += 1;
+  }
+  fs.unlinkSync(claimed.claimedPath);
+  // Only needed while their file could come back
+  store.transaction(() =>
+    claimed.commands.forEach((command) =>
+      store.remove("replays", command.commandId)
+    )
+  );
+  return handled;
+}
@@ -0,0 +1,242 @@
+import { ethers } from "ethers";
+import {
+  loadRelayerEnv,
+  getDeploymentData,
+  createProvider,
+  getCarbonmarkSettings,
+  buildPriceOracle,
+  getPlannerSettings,
+} from "./relayerEnv.js";
+import { OFFSET_ABI, decodeOffsetLog } from "./offsetEvents.js";
+import { createPurchasePlanner } from "./purchasePlanner.js";
+import { createCarbonmarkClient } from "./carbonmarkClient.js";
+import { getRelayerPaths } from "./relayerConfig.js";
+import { getMirrorNodeUrl } from "./mirrorNode.js";
+import { openRelayerStore } from "./relayerStore.js";
+import { findRequestKey } from "./deadLetters.js";
+import { createRpcLogSource, getTransactionLogs } from "./eventSources.js";
+import { isTerminal } from "./requestStateMachine.js";
+import { RequestRejectedError } from "./relayerErrors.js";
+import { priceBreaches } from "./priceProtection.js";
+import { queueReplay } from "./replayInbox.js";
+
+/**
+ * Replay and backfill offset requests with the relayer's own decoding and
+ * handling.
+ *
+ *   node contracts/CDR/replayRequests.js scan <fromBlock> [toBlock] [--dry-run]
+ *   node contracts/CDR/replayRequests.js tx <txHash> [--dry-run]
+ *   node contracts/CDR/replayRequests.js request <requestId|eventKey> [--dry-run]
+ *
+ * scan journals every OffsetRequested event in the block range (default: up
+ * to the head) that the relayer has not seen; tx does the same for one
+ * transaction and re-processes its requests that are already journaled;
+ * request re-processes one journaled request, re-driving it if it was
+ * dead-lettered. The work goes through the relayer's replay inbox and runs on
+ * its next poll. Requests that already finished are left alone, so nothing is
+ * bought twice.
+ *
+ * --dry-run decodes the same events, prices them the way the price step does
+ * and prints what would be bought, without queueing anything. Payment
+ * verification is skipped.
+ */
+
+loadRelayerEnv();
+const deploymentData = getDeploymentData();
+const CONTRACT_ADDRESS = deploymentData.contractAddress;
+const RELAYER_PATHS = getRelayerPaths(deploymentData.network);
+
+const contractInterface = new ethers.Interface(OFFSET_ABI);
+const eventTopic = contractInterface.getEvent("OffsetRequested").topicHash;
+
+async function scanLogs(provider, fromBlock, toBlock) {
+  const source = createRpcLogSource({
+    provider,
+    contractAddress: CONTRACT_ADDRESS,
+    topic: eventTopic,
+    maxBlockRange: Number(process.env.RELAYER_MAX_BLOCK_RANGE) || 1000,
+  });
+  const logs = [];
+  for await (const batch of source.poll(fromBlock - 1, toBlock)) {
+    logs.push(...batch.logs);
+  }
+  return logs;
+}
+
+function parseBlock(value, name) {
+  const block = Number(value);
+  if (!Number.isInteger(block) || block < 0) {
+    throw new Error(`${name} must be a block number, got: ${value}`);
+  }
+  return block;
+}
+
+// Print what the relayer would do with each request, buying nothing
+async function dryRun(store, requests) {
+  if (requests.length === 0) {
+    console.log("✅ No offset requests found");
+    return;
+  }
+  // Planned the way the relayer's price step plans them
+  const planPurchase = createPurchasePlanner({
+    ...getPlannerSettings(),
+    priceOracle: buildPriceOracle(getMirrorNodeUrl(deploymentData.network)),
+    getPrices: createCarbonmarkClient(getCarbonmarkSettings()).getPrices,
+  });
+
+  for (const request of requests) {
+    console.log(
+      `\n=== Request ${request.reqId} (${request.eventKey}, block ${request.blockNumber}) ===`
+    );
+    const eventKey = findRequestKey(store, request.reqId);
+    const journaled = eventKey && store.get("requests", eventKey);
+    if (journaled && journaled.status !== "received") {
+      const note =
+        journaled.status === "failed"
+          ? "a replay re-drives it from its dead letter"
+          : isTerminal(journaled.status)
+          ? "nothing would be bought"
+          : "the relayer continues it from there";
+      console.log(`📒 Already ${journaled.status} in the journal, ${note}`);
+      continue;
+    }
+    console.log(
+      journaled ? "📒 Journaled, not priced yet" : "🆕 Not in the journal"
+    );
+
+    try {
+      const plan = await planPurchase(request);
+      if (plan.batchCriteria) {
+        console.log(
+          `🧺 Would join a pooled batch ($${plan.usdValue.toFixed(
+            4
+          )} is below the minimum fill)`
+        );
+        continue;
+      }
+      for (const component of plan.components) {
+        console.log(
+          `🛒 Would buy ${component.tonnes} t of ${component.projectId} at $${
+            component.pricePerTonne
+          }/t ($${component.usdValue.toFixed(4)}) for ${plan.beneficiaryName}`
+        );
+      }
+      const breaches = plan.priceProtection
+        ? priceBreaches(plan.priceProtection, plan.components)
+        : [];
+      if (breaches.length > 0) {
+        console.log(
+          `🛡️  Price protection would ${
+            plan.priceProtection.onPriceBreach === "hold" ? "hold" : "refund"
+          } it: ${breaches.join("; ")}`
+        );
+      }
+    } catch (err) {
+      if (err instanceof RequestRejectedError) {
+        console.log(`🚫 Would be rejected and refunded: ${err.reason}`);
+      } else {
+        console.log(`⏸️  Could not be priced right now: ${err.message}`);
+      }
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRunMode = args.includes("--dry-run");
+  const [command, ...params] = args.filter((arg) => arg !== "--dry-run");
+  const store = openRelayerStore(RELAYER_PATHS.stateFile);
+  const inbox = RELAYER_PATHS.replayInbox;
+
+  switch (command) {
+    case "scan": {
+      if (params[0] === undefined) {
+        throw new Error("Usage: scan <fromBlock> [toBlock]");
+      }
+      const provider = createProvider(deploymentData.rpcUrl);
+      const fromBlock = parseBlock(params[0], "fromBlock");
+      const toBlock =
+        params[1] === undefined
+          ? await provider.getBlockNumber()
+          : parseBlock(params[1], "toBlock");
+      if (fromBlock > toBlock) {
+        throw new Error(`fromBlock ${fromBlock} is after toBlock ${toBlock}`);
+      }
+
+      if (dryRunMode) {
+        const logs = await scanLogs(provider, fromBlock, toBlock);
+        return dryRun(
+          store,
+          logs
+            .map((log) => decodeOffsetLog(contractInterface, log))
+            .filter(Boolean)
+        );
+      }
+      queueReplay(inbox, { type: "blocks", fromBlock, toBlock });
+      console.log(`⏪ Queued re-scan of blocks ${fromBlock}-${toBlock}`);
+      return;
+    }
+
+    case "tx": {
+      const txHash = params[0];
+      if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || "")) {
+        throw new Error(`Not a transaction hash: ${txHash}`);
+      }
+      const logs = await getTransactionLogs({
+        provider: createProvider(deploymentData.rpcUrl),
+        contractAddress: CONTRACT_ADDRESS,
+        topic: eventTopic,
+        txHash,
+      });
+      if (logs.length === 0) {
+        throw new Error(`No OffsetRequested events in ${txHash}`);
+      }
+
+      if (dryRunMode) {
+        return dryRun(
+          store,
+          logs
+            .map((log) => decodeOffsetLog(contractInterface, log))
+            .filter(Boolean)
+        );
+      }
+      queueReplay(inbox, { type: "tx", txHash });
+      console.log(
+        `⏪ Queued replay of ${logs.length} request(s) from ${txHash}`
+      );
+      return;
+    }
+
+    case "request": {
+      const eventKey = params[0] && findRequestKey(store, params[0]);
+      if (!eventKey) {
+        throw new Error(
+          `Request not in the journal: ${params[0]} (replay its tx or block range instead)`
+        );
+      }
+      const request = store.get("requests", eventKey);
+
+      if (dryRunMode) return dryRun(store, [request]);
+      if (isTerminal(request.status) && request.status !== "failed") {
+        throw new Error(
+          `Request ${request.reqId} is already ${request.status}, nothing to replay`
+        );
+      }
+      queueReplay(inbox, { type: "request", id: eventKey });
+      console.log(`⏪ Queued re-processing of request ${request.reqId}`);
+      return;
+    }
+
+    default:
+      throw new Error(
+        `Unknown command: ${command} (expected scan, tx or request)`
+      );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
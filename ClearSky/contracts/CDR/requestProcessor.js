@@ -0,0 +1,163 @@
+import {
+  RequestDeferredError,
+  RequestRejectedError,
+  StepFailedError,
+} from "./relayerErrors.js";
+import {
+  REQUEST_STEPS,
+  isTerminal,
+  backoffDelayMs,
+} from "./requestStateMachine.js";
+import { deadLetterRequest } from "./deadLetters.js";
+import { queueRefund } from "./refunds.js";
+
+/**
+ * Drives journaled requests through the step handlers (requestSteps.js),
+ * persisting every transition, and decides what a failed step means:
+ *
+ *   RequestDeferredError  wait `retryAfterMs` (or `deferRetryMs`), no attempt
+ *                         used up
+ *   RequestRejectedError  the request is rejected and its refund queued
+ *   StepFailedError       dead-lettered at once
+ *   anything else         retried with the step's backoff (`retryPolicy`)
+ *                         until its attempts run out, then dead-lettered
+ *
+ * `scheduleRetry(eventKey, delayMs)` puts a request back in the queue later.
+ * `syncLease(eventKey)` reports progress on the request's lease between
+ * steps and is false once the lease is lost; `isStopping()` ends the run at
+ * the next step boundary for a shutdown.
+ */
+export function createRequestProcessor({
+  store,
+  steps,
+  retryPolicy,
+  deferRetryMs = 60000,
+  scheduleRetry,
+  syncLease = async () => true,
+  isStopping = () => false,
+  stepFailures = { inc() {} },
+}) {
+  function handleStepError(request, step, err) {
+    const { eventKey, reqId } = request;
+
+    if (err instanceof RequestDeferredError) {
+      // Waiting on a dependency does not count against the retry budget
+      const delayMs = err.retryAfterMs ?? deferRetryMs;
+      console.warn(
+        `⏸️  Deferring request ${reqId} for ${delayMs / 1000}s: ${err.message}`
+      );
+      store.update("requests", eventKey, {
+        deferredReason: err.message,
+        deferrals: (request.deferrals || 0) + 1,
+        nextAttemptAt: new Date(Date.now() + delayMs).toISOString(),
+      });
+      scheduleRetry(eventKey, delayMs);
+      return;
+    }
+
+    if (err instanceof RequestRejectedError) {
+      console.warn(`🚫 Request ${reqId} rejected: ${err.reason}`);
+      store.transaction(() => {
+        store.update("requests", eventKey, {
+          status: "rejected",
+          rejectionReason: err.reason,
+          validationErrors: err.errors || null,
+          refundStatus: "queued",
+          history: [
+            ...(request.history || []),
+            { status: "rejected", at: new Date().toISOString() },
+          ],
+        });
+        queueRefund(store, request, err.reason);
+      });
+      return;
+    }
+
+    stepFailures.inc({ step });
+    const policy = retryPolicy[step];
+    const attempts = (request.attempts || 0) + 1;
+    const retryable = !(err instanceof StepFailedError);
+
+    if (!retryable || attempts >= policy.maxAttempts) {
+      console.error(
+        `💀 Request ${reqId} failed at step "${step}" after ${attempts} attempt(s), moved to dead-letter store:`,
+        err.message
+      );
+      deadLetterRequest(
+        store,
+        { ...request, attempts },
+        { step, error: err.message, resumeState: err.resumeState }
+      );
+      return;
+    }
+
+    const delayMs = backoffDelayMs(policy, attempts);
+    console.warn(
+      `🔁 Step "${step}" failed for request ${reqId} (attempt ${attempts}/${
+        policy.maxAttempts
+      }), retrying in ${delayMs / 1000}s: ${err.message}`
+    );
+    store.update("requests", eventKey, {
+      attempts,
+      lastError: err.message,
+      nextAttemptAt: new Date(Date.now() + delayMs).toISOString(),
+    });
+    scheduleRetry(eventKey, delayMs);
+  }
+
+  return {
+    handleStepError,
+
+    // Drive a request through its remaining steps
+    async processRequest(eventKey) {
+      let request = store.get("requests", eventKey);
+      if (!request || isTerminal(request.status)) return;
+
+      if (request.status === "received" && !request.attempts) {
+        console.log("\n=== New Offset Request ===");
+        console.log("User:", request.user);
+        console.log(
+          `HBAR Amount: ${Number(BigInt(request.hbarAmount)) / 1e8} HBAR (${
+            request.hbarAmount
+          } tinybars)`
+        );
+        console.log("Metadata:", request.metadata);
+        console.log("Pool Address:", request.poolAddress);
+        console.log("Request ID:", request.reqId);
+        console.log("Transaction Hash:", request.txHash);
+      }
+
+      // "batched" requests wait here until their batch settles them
+      while (REQUEST_STEPS[request.status]) {
+        const { step, next: defaultNext } = REQUEST_STEPS[request.status];
+        try {
+          const { status: next = defaultNext, ...fields } = await steps[step](
+            request
+          );
+          const at = new Date().toISOString();
+          request = store.update("requests", eventKey, {
+            ...fields,
+            status: next,
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: null,
+            deferredReason: null,
+            history: [...(request.history || []), { status: next, at }],
+          });
+          console.log(`➡️  Request ${request.reqId}: ${next}`);
+        } catch (err) {
+          handleStepError(request, step, err);
+          return;
+        }
+        // Other instances must see the new state before the next step runs
+        if (!(await syncLease(eventKey))) return;
+        if (isStopping() && REQUEST_STEPS[request.status]) {
+          console.log(
+            `⏸️  Request ${request.reqId} checkpointed at "${request.status}" for shutdown`
+          );
+          return;
+        }
+      }
+    },
+  };
+}
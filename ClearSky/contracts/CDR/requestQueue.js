@@ -0,0 +1,314 @@
+import { isTerminal } from "./requestStateMachine.js";
+import { deadLetterRequest } from "./deadLetters.js";
+
+// A dead instance's lease is only taken over if it stopped before anything
+// could have been bought; later states need an operator to check Carbonmark
+export const LEASE_TAKEOVER_STATES = ["received", "priced"];
+
+/**
+ * The in-memory run queue of journaled requests, and the leases (from a
+ * leaseStore.js store) that keep several relayer instances off each other's
+ * requests.
+ *
+ * Up to `concurrency` requests run at once through `run(eventKey)`; requests
+ * from the same user or for the same pool (their ordering keys) never
+ * overlap and start in the order they arrived. A request waiting out a
+ * deferral or backoff still holds its ordering keys, so later requests
+ * sharing one wait until it is finished.
+ *
+ * Across instances a request needs two kinds of lease:
+ *   - one per ordering key, held from its first run until it is finished, so
+ *     no other instance runs a request of the same user or pool meanwhile
+ *   - its own lease, carrying the state it reached, which becomes a "done"
+ *     marker once it is finished so no other instance buys it again
+ * A request whose leases are held by another instance is checked again after
+ * `leaseTtlMs`.
+ */
+export function createRequestQueue({
+  store,
+  leases,
+  contractAddress,
+  concurrency = 1,
+  leaseTtlMs,
+  run,
+}) {
+  // Request keys (txHash-logIndex) waiting to run, in arrival order
+  const requestQueue = [];
+  // Arrival order of every unfinished request seen: eventKey -> sequence
+  const arrivals = new Map();
+  let arrivalCount = 0;
+  // Requests running right now: eventKey -> their ordering keys
+  const inFlight = new Map();
+  // Requests waiting out a deferral, backoff or another instance's lease:
+  // eventKey -> their ordering keys
+  const waiting = new Map();
+  // Leases this instance holds: lease key -> eventKey
+  const heldLeases = new Map();
+  // Pending backoff / deferral timers, one per request
+  const retryTimers = new Map();
+  // Set by stop(): nothing new starts
+  let stopping = false;
+
+  function arrival(eventKey) {
+    if (!arrivals.has(eventKey)) arrivals.set(eventKey, (arrivalCount += 1));
+    return arrivals.get(eventKey);
+  }
+
+  function enqueue(eventKey) {
+    clearTimeout(retryTimers.get(eventKey));
+    retryTimers.delete(eventKey);
+    waiting.delete(eventKey);
+    if (!requestQueue.includes(eventKey)) {
+      // A request back from a retry goes ahead of later arrivals
+      const position = requestQueue.findIndex(
+        (queued) => arrival(queued) > arrival(eventKey)
+      );
+      if (position === -1) requestQueue.push(eventKey);
+      else requestQueue.splice(position, 0, eventKey);
+    }
+    setImmediate(processQueue);
+  }
+
+  function enqueueLater(eventKey, delayMs) {
+    arrival(eventKey);
+    clearTimeout(retryTimers.get(eventKey));
+    waiting.set(eventKey, orderingKeys(eventKey));
+    retryTimers.set(
+      eventKey,
+      setTimeout(() => enqueue(eventKey), Math.max(0, delayMs))
+    );
+  }
+
+  // Requests sharing any of these keys never run at the same time
+  function orderingKeys(eventKey) {
+    const request = store.get("requests", eventKey);
+    if (!request) return [];
+    const keys = [`user:${request.user.toLowerCase()}`];
+    if (request.poolAddress) {
+      keys.push(`pool:${request.poolAddress.toLowerCase()}`);
+    }
+    return keys;
+  }
+
+  // Start queued requests until `concurrency` are running. A request is held
+  // back while an earlier one for the same user or pool is running, waiting
+  // to be retried or still queued ahead of it.
+  function processQueue() {
+    if (stopping) return;
+    const busy = new Set([...inFlight.values(), ...waiting.values()].flat());
+    let index = 0;
+    while (index < requestQueue.length && inFlight.size < concurrency) {
+      const eventKey = requestQueue[index];
+      const keys = orderingKeys(eventKey);
+      const blocked = keys.some((key) => busy.has(key));
+      keys.forEach((key) => busy.add(key));
+      if (blocked) {
+        index += 1;
+        continue;
+      }
+
+      requestQueue.splice(index, 1);
+      inFlight.set(eventKey, keys);
+      runRequest(eventKey).finally(() => {
+        inFlight.delete(eventKey);
+        const request = store.get("requests", eventKey);
+        if (!request || isTerminal(request.status)) arrivals.delete(eventKey);
+        setImmediate(processQueue);
+      });
+    }
+  }
+
+  async function runRequest(eventKey) {
+    try {
+      if (await acquireLease(eventKey)) await run(eventKey);
+      await syncLease(eventKey);
+    } catch (err) {
+      console.error("Error processing request from queue:", err);
+    }
+  }
+
+  // On-chain request ids are only unique per contract
+  function requestLeaseKey(request) {
+    return `${contractAddress.toLowerCase()}-${request.reqId}`;
+  }
+
+  function orderingLeaseKeys(eventKey) {
+    return orderingKeys(eventKey).map(
+      (key) => `${contractAddress.toLowerCase()}-${key.replace(":", "-")}`
+    );
+  }
+
+  // Synthetic batch requests only exist in this instance's journal
+  function needsLease(request) {
+    return request && request.kind !== "batch";
+  }
+
+  async function releaseLeases(keys) {
+    for (const key of keys) {
+      await leases.release(key);
+      heldLeases.delete(key);
+    }
+  }
+
+  /**
+   * Take the request's ordering-key leases, all or none, so two instances
+   * each holding one of them can never wait on each other. False when
+   * another instance holds one.
+   */
+  async function acquireOrderingLeases(request) {
+    const taken = [];
+    for (const key of orderingLeaseKeys(request.eventKey).sort()) {
+      if (heldLeases.has(key)) continue;
+      const result = await leases.acquire(key, {
+        state: `request ${request.reqId}`,
+      });
+      if (!result.acquired) {
+        await releaseLeases(taken);
+        console.log(
+          `🔒 Request ${request.reqId} waits for ${key} (held by ${
+            result.lease.owner
+          }), checking again in ${leaseTtlMs / 1000}s`
+        );
+        return false;
+      }
+      heldLeases.set(key, request.eventKey);
+      taken.push(key);
+    }
+    return true;
+  }
+
+  /**
+   * Take the request's leases before working on it. False when another
+   * instance holds one of them (checked again once it could have run out)
+   * or has already finished the request.
+   */
+  async function acquireLease(eventKey) {
+    const request = store.get("requests", eventKey);
+    if (!needsLease(request) || isTerminal(request.status)) return true;
+
+    if (!(await acquireOrderingLeases(request))) {
+      enqueueLater(eventKey, leaseTtlMs);
+      return false;
+    }
+
+    const key = requestLeaseKey(request);
+    if (heldLeases.has(key)) return true;
+
+    const result = await leases.acquire(key, { state: request.status });
+    if (result.acquired) {
+      heldLeases.set(key, eventKey);
+      const { previous } = result;
+      if (previous && !LEASE_TAKEOVER_STATES.includes(previous.state)) {
+        // Keep the lease at the dead owner's state so nobody else resumes it
+        await leases.renew(key, { state: previous.state });
+        const error = `Lease of ${previous.owner} expired at "${previous.state}", check Carbonmark for its order before re-driving`;
+        console.error(`💀 Request ${request.reqId}: ${error}`);
+        deadLetterRequest(store, request, { step: "lease", error });
+        return false;
+      }
+      if (previous) {
+        console.warn(
+          `🔓 Took over request ${request.reqId} from ${previous.owner} (stopped at "${previous.state}")`
+        );
+      }
+      return true;
+    }
+
+    if (result.reason === "done") {
+      console.log(
+        `⏭️  Request ${request.reqId} was handled by ${result.lease.owner}`
+      );
+      store.update("requests", eventKey, {
+        status: "handled_elsewhere",
+        handledBy: result.lease.owner,
+        history: [
+          ...(request.history || []),
+          { status: "handled_elsewhere", at: new Date().toISOString() },
+        ],
+      });
+      return false;
+    }
+
+    // Nothing of it runs here meanwhile, so its ordering keys go back
+    await releaseLeases(heldOrderingLeases(eventKey, key));
+    console.log(
+      `🔒 Request ${request.reqId} is being handled by ${
+        result.lease.owner
+      }, checking again in ${leaseTtlMs / 1000}s`
+    );
+    enqueueLater(eventKey, leaseTtlMs);
+    return false;
+  }
+
+  // Leases this instance holds for the request, other than its own
+  function heldOrderingLeases(eventKey, ownKey) {
+    return [...heldLeases]
+      .filter(([key, holder]) => holder === eventKey && key !== ownKey)
+      .map(([key]) => key);
+  }
+
+  // Report the request's state on its lease and renew its ordering-key
+  // leases; a finished request's lease becomes a permanent done marker and
+  // its ordering keys are freed. False when a lease was lost.
+  async function syncLease(eventKey) {
+    const request = store.get("requests", eventKey);
+    if (!needsLease(request)) return true;
+    const key = requestLeaseKey(request);
+    const ordering = heldOrderingLeases(eventKey, key);
+
+    if (isTerminal(request.status)) await releaseLeases(ordering);
+    if (!heldLeases.has(key)) return false;
+
+    if (request.status === "url_recorded" || request.status === "rejected") {
+      await leases.release(key, { done: true, state: request.status });
+      heldLeases.delete(key);
+      return true;
+    }
+
+    // A failed request's lease keeps the last state it got to, for whoever
+    // checks on it before re-driving
+    const state = request.status === "failed" ? undefined : request.status;
+    let lost = !(await leases.renew(key, { state }));
+    if (!isTerminal(request.status)) {
+      for (const orderingKey of ordering) {
+        if (!(await leases.renew(orderingKey))) lost = true;
+      }
+    }
+    if (!lost) return true;
+
+    console.error(
+      `❌ Lost a lease of request ${request.reqId}, leaving it to its new owner`
+    );
+    [key, ...ordering].forEach((heldKey) => heldLeases.delete(heldKey));
+    return false;
+  }
+
+  return {
+    enqueue,
+    enqueueLater,
+    syncLease,
+
+    // Heartbeat for every lease this instance holds
+    async renewLeases() {
+      for (const eventKey of new Set(heldLeases.values())) {
+        try {
+          await syncLease(eventKey);
+        } catch (err) {
+          console.error("❌ Error renewing lease:", err.message);
+        }
+      }
+    },
+
+    // Start nothing new and drop pending retries; running requests go on
+    stop() {
+      stopping = true;
+      retryTimers.forEach(clearTimeout);
+      retryTimers.clear();
+      waiting.clear();
+    },
+
+    queued: () => [...requestQueue],
+    running: () => [...inFlight.keys()],
+    leasesHeld: () => heldLeases.size,
+  };
+}
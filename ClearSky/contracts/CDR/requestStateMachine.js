@@ -0,0 +1,67 @@
+/**
+ * Offset request lifecycle:
+ *
+ *   received -> priced -> quoted -> ordered -> completed -> url_recorded
+ *
+ * A request can also end as "rejected" (it can never be served as sent) or
+ * "failed" (a step ran out of retries and the request was dead-lettered), or
+ * as "handled_elsewhere" when another relayer instance sharing the lease
+ * store already finished it.
+ *
+ * A request too small to retire alone goes received -> batched instead and
+ * has no step of its own: it waits there until its pooled batch retires and
+ * moves it to "completed" with its share of the retirement.
+ */
+
+// State -> the step that moves a request out of it, and where it lands
+export const REQUEST_STEPS = {
+  received: { step: "price", next: "priced" },
+  priced: { step: "quote", next: "quoted" },
+  quoted: { step: "order", next: "ordered" },
+  ordered: { step: "complete", next: "completed" },
+  completed: { step: "record_url", next: "url_recorded" },
+};
+
+export const TERMINAL_STATES = [
+  "url_recorded",
+  "failed",
+  "rejected",
+  "handled_elsewhere",
+];
+
+export function isTerminal(status) {
+  return TERMINAL_STATES.includes(status);
+}
+
+/**
+ * Exponential-backoff settings. Defaults come from RELAYER_RETRY_MAX_ATTEMPTS,
+ * RELAYER_RETRY_BASE_MS and RELAYER_RETRY_MAX_MS; each step can override them
+ * with e.g. RELAYER_RETRY_ORDER_MAX_ATTEMPTS or RELAYER_RETRY_RECORD_URL_BASE_MS.
+ */
+export function loadRetryPolicy(env = process.env) {
+  const read = (name, fallback) => Number(env[name]) || fallback;
+  const defaults = {
+    maxAttempts: read("RELAYER_RETRY_MAX_ATTEMPTS", 5),
+    baseDelayMs: read("RELAYER_RETRY_BASE_MS", 5000),
+    maxDelayMs: read("RELAYER_RETRY_MAX_MS", 5 * 60 * 1000),
+  };
+
+  const steps = {};
+  for (const { step } of Object.values(REQUEST_STEPS)) {
+    const prefix = `RELAYER_RETRY_${step.toUpperCase()}`;
+    steps[step] = {
+      maxAttempts: read(`${prefix}_MAX_ATTEMPTS`, defaults.maxAttempts),
+      baseDelayMs: read(`${prefix}_BASE_MS`, defaults.baseDelayMs),
+      maxDelayMs: read(`${prefix}_MAX_MS`, defaults.maxDelayMs),
+    };
+  }
+  return steps;
+}
+
+// Delay before retry number `attempt` (1-based): base, 2x base, 4x base, ...
+export function backoffDelayMs(stepPolicy, attempt) {
+  return Math.min(
+    stepPolicy.baseDelayMs * 2 ** (attempt - 1),
+    stepPolicy.maxDelayMs
+  );
+}
@@ -0,0 +1,547 @@
+import {
+  QuoteExpiredError,
+  RequestDeferredError,
+  RequestRejectedError,
+  StepFailedError,
+} from "./relayerErrors.js";
+import {
+  orderKey,
+  getOrderRecord,
+  recordQuote,
+  logQuoteAttempt,
+  listQuoteAttempts,
+  isQuoteStale,
+  markQuoteExpired,
+  markOrderPlacing,
+  recordPlacedOrder,
+  markOrderFailed,
+  extractOrderId,
+} from "./orderRegistry.js";
+import { priceBreachError, priceBreaches } from "./priceProtection.js";
+import { queueReceipt } from "./hcsReceipts.js";
+import { queueComponentRefund } from "./refunds.js";
+
+// Counter stand-in for callers without metrics
+const NO_COUNTER = { inc() {} };
+
+// Persist fields on one basket component and return the fresh request
+export function saveComponent(store, eventKey, index, fields) {
+  const { components } = store.get("requests", eventKey);
+  return store.update("requests", eventKey, {
+    components: components.map((component, i) =>
+      i === index ? { ...component, ...fields } : component
+    ),
+  });
+}
+
+// Components still to be retired: all but the ones refunded instead
+export function liveComponents(request) {
+  return request.components.filter(
+    (component) => component.status !== "refunded"
+  );
+}
+
+// Label for log lines: "request 12" or "request 12 [2/3]"
+export function componentLabel(request, index) {
+  return request.components.length > 1
+    ? `request ${request.reqId} [${index + 1}/${request.components.length}]`
+    : `request ${request.reqId}`;
+}
+
+/**
+ * The step handlers of the request state machine (requestStateMachine.js),
+ * keyed by step name. Each step takes the stored request and returns the
+ * fields to merge into it once the step has succeeded. Steps past "price"
+ * work per basket component and save each component as it progresses, so a
+ * retry only redoes the components that are still outstanding.
+ *
+ * Everything a step talks to is passed in: the journal, the Carbonmark
+ * client (carbonmarkClient.js), the payment verifier (null when off),
+ * `planPurchase(request)`, batch pooling (batchPooling.js), ledger postings
+ * (ledgerPostings.js) and the pool writer (poolWriter.js). With
+ * `hcsReceipts` on, record_url queues a receipt per component for
+ * hcsReceipts.js to publish.
+ */
+export function createRequestSteps({
+  store,
+  carbonmark,
+  paymentVerifier = null,
+  planPurchase,
+  batches,
+  ledger,
+  poolWriter,
+  hcsReceipts = false,
+  quoteExpiryMarginMs = 30000,
+  maxRequotes = 5,
+  priceHoldRetryMs = 600000,
+  priceHoldMaxMs = 24 * 60 * 60 * 1000,
+  webhookEnabled = false,
+  orderPollMs = 10000,
+  orderFastPollWindowMs = 120000,
+  orderSweepMs = 300000,
+  tonnesRetired = NO_COUNTER,
+  expiredQuotes = NO_COUNTER,
+}) {
+  // A failed component of a customer's basket is refunded on its own while
+  // another one can still be retired; the last one standing is not
+  function canRefundComponent(request, component) {
+    const current = store.get("requests", request.eventKey);
+    return (
+      request.kind !== "batch" &&
+      liveComponents(current).some(
+        (other) => other.index !== component.index && other.status !== "failed"
+      )
+    );
+  }
+
+  function refundComponent(request, component, reason) {
+    const refund = store.transaction(() => {
+      markOrderFailed(store, orderKey(request.reqId, component.index), reason);
+      const queued = queueComponentRefund(store, request, component, reason);
+      saveComponent(store, request.eventKey, component.index, {
+        status: "refunded",
+        refundTinybars: queued.requestedTinybars,
+        refundStatus: "queued",
+        refundReason: reason,
+      });
+      return queued;
+    });
+    const label = componentLabel(request, component.index);
+    console.warn(
+      `↩️  ${label}: ${reason}, refunding its share (${refund.requestedTinybars} tinybars)`
+    );
+  }
+
+  function expireQuote(key, reason) {
+    markQuoteExpired(store, key, reason);
+    expiredQuotes.inc();
+  }
+
+  // Without a webhook, orders are checked every `orderPollMs` for the first
+  // `orderFastPollWindowMs` after they were placed; after that (or always,
+  // when Carbonmark pushes status updates) only by the slow sweep
+  function orderCheckDelayMs(request) {
+    const ordered = (request.history || []).findLast(
+      (entry) => entry.status === "ordered"
+    );
+    const sinceOrderedMs = ordered ? Date.now() - Date.parse(ordered.at) : 0;
+    return !webhookEnabled && sinceOrderedMs < orderFastPollWindowMs
+      ? orderPollMs
+      : orderSweepMs;
+  }
+
+  // Throw when `components` ({ pricePerTonne, tonnes }) break the request's
+  // price bounds: a hold defers it, anything else rejects and refunds it
+  function enforcePriceProtection(request, components) {
+    const protection = request.priceProtection;
+    if (!protection) return;
+    const breaches = priceBreaches(protection, components);
+    if (breaches.length === 0) return;
+
+    const err = priceBreachError(protection, breaches, {
+      receivedAt: request.receivedAt,
+      maxHoldMs: priceHoldMaxMs,
+      retryMs: priceHoldRetryMs,
+    });
+    // Re-quoting after a failed order: part of the request is already
+    // bought, so a full refund would be wrong; leave it to an operator
+    const ordered = (request.components || []).filter((c) => c.orderId);
+    if (err instanceof RequestRejectedError && ordered.length > 0) {
+      throw new StepFailedError(
+        `${err.reason}, but ${ordered.length} component(s) are already ordered`
+      );
+    }
+    throw err;
+  }
+
+  // Place (or reconcile) the Carbonmark order for one basket component
+  async function placeComponentOrder(request, component) {
+    const key = orderKey(request.reqId, component.index);
+    const label = componentLabel(request, component.index);
+    const existing = getOrderRecord(store, key);
+
+    if (existing && existing.orderId) {
+      if (component.orderId !== existing.orderId) {
+        console.log(
+          `♻️  ${label} already has order ${existing.orderId}, reconciling`
+        );
+      }
+      return { orderId: existing.orderId, order: null };
+    }
+
+    if (existing && ["placing", "placed"].includes(existing.state)) {
+      // A previous attempt may have created the order before we lost the
+      // response; ask Carbonmark before buying again
+      const found = await carbonmark.findOrderByQuote(existing.quoteUuid);
+      const foundId = found && extractOrderId(found);
+      if (foundId) {
+        console.log(
+          `♻️  Found existing order ${foundId} for quote ${existing.quoteUuid}`
+        );
+        recordPlacedOrder(store, key, foundId, found);
+        return { orderId: foundId, order: found };
+      }
+      if (existing.state === "placed") {
+        throw new StepFailedError(
+          `Order for ${label} was placed but its ID is unknown and it cannot be found by quote ${existing.quoteUuid}`
+        );
+      }
+      console.log(
+        `🔎 No order found for quote ${existing.quoteUuid}, placing it now`
+      );
+    }
+
+    if (existing && existing.state === "expired") {
+      throw new QuoteExpiredError(`Quote ${existing.quoteUuid} has expired`, {
+        quoteUuid: existing.quoteUuid,
+      });
+    }
+    if (existing && isQuoteStale(existing)) {
+      const reason = `Quote ${existing.quoteUuid} expired at ${existing.expiresAt}`;
+      expireQuote(key, reason);
+      throw new QuoteExpiredError(reason, { quoteUuid: existing.quoteUuid });
+    }
+
+    markOrderPlacing(store, key);
+    const parts =
+      request.components.length > 1
+        ? ` (part ${component.index + 1}/${request.components.length})`
+        : "";
+    let order;
+    try {
+      order = await carbonmark.createOrder(
+        component.quoteUuid,
+        request.beneficiaryName,
+        request.beneficiaryAddress,
+        `${
+          request.retirementMessage ||
+          `HBAR offset for user ${request.user}, request ${request.reqId}`
+        }${parts}`
+      );
+    } catch (err) {
+      // Carbonmark refused the order outright, so nothing was bought
+      if (err instanceof QuoteExpiredError) expireQuote(key, err.message);
+      throw err;
+    }
+
+    // Extract order ID from the response
+    const orderId = extractOrderId(order);
+    recordPlacedOrder(store, key, orderId, order);
+    if (!orderId) {
+      throw new StepFailedError(
+        `Could not extract order ID from response (keys: ${Object.keys(
+          order
+        ).join(", ")})`
+      );
+    }
+    console.log(`📋 Order ID for ${label}: ${orderId}`);
+    return { orderId, order };
+  }
+
+  return {
+    // received -> priced: check payment and metadata, work out the tonnage
+    async price(request) {
+      const { hbarAmount, txHash, eventKey } = request;
+
+      // Never spend Carbonmark money on HBAR that was not actually paid
+      if (paymentVerifier) {
+        const payment = await paymentVerifier.verify({
+          eventKey,
+          txHash,
+          hbarAmount,
+        });
+        console.log(
+          `💸 Payment verified: ${payment.paidTinybars} tinybars (${payment.method})`
+        );
+      }
+
+      const { batchCriteria, ...plan } = await planPurchase(request);
+      ledger.postPayment(request, plan.hbarUsdRate);
+      if (batchCriteria) {
+        const batch = await batches.joinBatch(
+          request,
+          batchCriteria,
+          plan.usdValue
+        );
+        return { ...plan, status: "batched", batchId: batch.id, tonnes: 0 };
+      }
+      enforcePriceProtection(
+        { ...request, priceProtection: plan.priceProtection },
+        plan.components
+      );
+      return {
+        ...plan,
+        projectId: plan.components.map((c) => c.projectId).join(", "),
+      };
+    },
+
+    // priced -> quoted (at most one live quote per component). Fresh quotes
+    // are only recorded once they all pass the request's price protection.
+    async quote(request) {
+      const fresh = [];
+      for (const component of liveComponents(request)) {
+        const key = orderKey(request.reqId, component.index);
+        const label = componentLabel(request, component.index);
+        const existing = getOrderRecord(store, key);
+        if (existing && isQuoteStale(existing, quoteExpiryMarginMs)) {
+          console.log(
+            `⌛ Quote ${existing.quoteUuid} for ${label} expires at ${existing.expiresAt}, re-quoting`
+          );
+          expireQuote(key, "expired before it was ordered");
+        } else if (
+          existing &&
+          !["failed", "expired"].includes(existing.state)
+        ) {
+          if (component.quoteUuid !== existing.quoteUuid) {
+            console.log(`♻️  Reusing quote ${existing.quoteUuid} for ${label}`);
+            saveComponent(store, request.eventKey, component.index, {
+              quoteUuid: existing.quoteUuid,
+              status: "quoted",
+            });
+          }
+          continue;
+        }
+
+        const expiries = listQuoteAttempts(store, request.reqId).filter(
+          (attempt) =>
+            attempt.componentIndex === component.index &&
+            attempt.outcome === "expired"
+        ).length;
+        if (expiries > maxRequotes) {
+          throw new StepFailedError(
+            `Quotes for ${label} expired ${expiries} times before they could be ordered`
+          );
+        }
+
+        const quote = await carbonmark.createQuote(
+          component.priceSourceId,
+          component.tonnes
+        );
+        console.log("Quote:", quote);
+        fresh.push({ component, quote });
+      }
+
+      const quotedComponents = liveComponents(request).map((component) => {
+        const entry = fresh.find((f) => f.component === component);
+        return entry
+          ? {
+              pricePerTonne: Number(
+                entry.quote.price_per_tonne ?? component.pricePerTonne
+              ),
+              tonnes: Number(entry.quote.quantity_tonnes ?? component.tonnes),
+            }
+          : component;
+      });
+      try {
+        enforcePriceProtection(request, quotedComponents);
+      } catch (err) {
+        for (const { component, quote } of fresh) {
+          logQuoteAttempt(
+            store,
+            {
+              reqId: request.reqId,
+              eventKey: request.eventKey,
+              componentIndex: component.index,
+            },
+            quote,
+            "price_breach",
+            err.message
+          );
+        }
+        throw err;
+      }
+      for (const { component, quote } of fresh) {
+        const key = orderKey(request.reqId, component.index);
+        recordQuote(
+          store,
+          key,
+          {
+            reqId: request.reqId,
+            eventKey: request.eventKey,
+            componentIndex: component.index,
+          },
+          quote
+        );
+        saveComponent(store, request.eventKey, component.index, {
+          quoteUuid: quote.uuid,
+          orderId: null,
+          status: "quoted",
+        });
+      }
+      return {};
+    },
+
+    // quoted -> ordered (never places a second order for a component).
+    // Components whose quote expired go back to the quote step for a fresh
+    // one, which is checked against the price protection again.
+    async order(request) {
+      let requote = false;
+      for (const component of liveComponents(request)) {
+        let placed;
+        try {
+          placed = await placeComponentOrder(request, component);
+        } catch (err) {
+          if (!(err instanceof QuoteExpiredError)) throw err;
+          console.warn(
+            `⌛ ${componentLabel(request, component.index)}: ${
+              err.message
+            }, re-quoting`
+          );
+          saveComponent(store, request.eventKey, component.index, {
+            quoteUuid: null,
+            status: "expired",
+          });
+          requote = true;
+          continue;
+        }
+        const { orderId, order } = placed;
+        if (component.orderId !== orderId) {
+          saveComponent(store, request.eventKey, component.index, {
+            orderId,
+            status: "ordered",
+          });
+        }
+        if (order) console.log("Order:", order);
+      }
+      return requote ? { status: "priced" } : {};
+    },
+
+    // ordered -> completed (partial completion is kept per component)
+    async complete(request) {
+      let firstError = null;
+      const pending = [];
+
+      for (const component of liveComponents(request)) {
+        if (component.status === "completed") continue;
+
+        const label = componentLabel(request, component.index);
+        const record = getOrderRecord(
+          store,
+          orderKey(request.reqId, component.index)
+        );
+        try {
+          const completedOrder = await carbonmark.checkOrderOutcome(
+            component.orderId,
+            component.quoteUuid,
+            record && record.lastUpdate ? record.lastUpdate.order : null
+          );
+          if (!completedOrder) {
+            pending.push(component.orderId);
+            continue;
+          }
+          console.log(`✅ Retirement completed for ${label}`);
+          tonnesRetired.inc({}, component.tonnes);
+          ledger.postRetirementCost(request, component, record);
+          saveComponent(store, request.eventKey, component.index, {
+            status: "completed",
+            retirementUrl: completedOrder.view_retirement_url || null,
+            polygonscanUrl: completedOrder.polygonscan_url || null,
+            completedAt: new Date().toISOString(),
+          });
+        } catch (err) {
+          // FAILED / CANCELLED in a basket with live siblings: refund this
+          // component's share and go on with the rest
+          if (
+            err instanceof StepFailedError &&
+            canRefundComponent(request, component)
+          ) {
+            refundComponent(request, component, err.message);
+            continue;
+          }
+          // Otherwise free it for a fresh quote and order; completed
+          // siblings are left alone
+          if (err instanceof StepFailedError) {
+            markOrderFailed(
+              store,
+              orderKey(request.reqId, component.index),
+              err.message
+            );
+            saveComponent(store, request.eventKey, component.index, {
+              status: "failed",
+              quoteUuid: null,
+              orderId: null,
+            });
+          }
+          console.error(`❌ ${label}: ${err.message}`);
+          if (!firstError || err instanceof StepFailedError) firstError = err;
+        }
+      }
+      if (firstError) throw firstError;
+      if (pending.length > 0) {
+        // Not a failure: the webhook or the next sweep picks it up again
+        throw new RequestDeferredError(
+          `Waiting for Carbonmark order(s) ${pending.join(", ")}`,
+          { retryAfterMs: orderCheckDelayMs(request) }
+        );
+      }
+
+      const retired = liveComponents(store.get("requests", request.eventKey));
+      const tonnes =
+        Math.round(retired.reduce((sum, c) => sum + c.tonnes, 0) * 1000) / 1000;
+      const retirements = retired.map((c) => ({
+        projectId: c.projectId,
+        tonnes: c.tonnes,
+        orderId: c.orderId,
+        retirementUrl: c.retirementUrl,
+        polygonscanUrl: c.polygonscanUrl,
+      }));
+      console.log(
+        `✅ Request ${request.reqId} fully retired: ${tonnes} t across ${retirements.length} retirement(s)`
+      );
+      retirements.forEach((r) =>
+        console.log(`   🔗 ${r.projectId} ${r.tonnes} t: ${r.retirementUrl}`)
+      );
+      if (request.kind !== "batch") {
+        ledger.postRevenue(store.get("requests", request.eventKey));
+      }
+      return { retirements, tonnes };
+    },
+
+    // completed -> url_recorded
+    async record_url(request) {
+      if (request.kind === "batch") {
+        batches.settleBatch(request);
+        return {};
+      }
+      if (!request.poolAddress) {
+        console.warn("⚠️  No pool address, nothing to record");
+      }
+      for (let component of liveComponents(request)) {
+        const label = componentLabel(request, component.index);
+        if (!component.retirementUrl) {
+          console.warn(`⚠️  No retirement URL for ${label}`);
+        } else if (request.poolAddress && !component.urlTxHash) {
+          const urlTxHash = await poolWriter.updatePoolRetirementUrl(
+            request.poolAddress,
+            component.retirementUrl,
+            request
+          );
+          component = saveComponent(store, request.eventKey, component.index, {
+            urlTxHash,
+          }).components[component.index];
+        }
+        // The pool's history, on HbarOffset for every instance to read
+        if (
+          request.poolAddress &&
+          component.retirementUrl &&
+          !component.recordTxHash
+        ) {
+          const recordTxHash = await poolWriter.recordPoolRetirement(
+            request,
+            component
+          );
+          component = saveComponent(store, request.eventKey, component.index, {
+            recordTxHash,
+          }).components[component.index];
+        }
+
+        // Audit trail on HCS, after the URL so the receipt can point at it;
+        // published in the background, never holding the request up
+        if (hcsReceipts) {
+          queueReceipt(store, request, component);
+        }
+      }
+      return {};
+    },
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Pooled retirements for requests too small to retire on their own (the
+ * journal's "batches" collection).
+ *
+ * Sub-minimum requests with the same selection criteria join one open batch.
+ * Once the batch's combined USD value buys at least the configured tonnage it
+ * is sealed and retired as a single Carbonmark order; each contributor is then
+ * credited a fractional share of that retirement, proportional to the USD it
+ * paid in. A batch still open after the relayer's maximum age is sealed with
+ * whatever it holds, or expires (and its contributors are refunded) when even
+ * that is below the listing's minimum fill.
+ *
+ *   open -> sealed -> retired
+ *   open -> expired
+ */
+
+// Batches only pool requests that would pick from the same listings
+export function batchCriteriaKey(criteria) {
+  return JSON.stringify(criteria);
+}
+
+export function getBatch(store, batchId) {
+  return store.get("batches", batchId);
+}
+
+export function findOpenBatch(store, criteria) {
+  const key = batchCriteriaKey(criteria);
+  return (
+    store.list(
+      "batches",
+      (batch) => batch.status === "open" && batch.criteriaKey === key
+    )[0] || null
+  );
+}
+
+/**
+ * Add a contribution (`{ eventKey, reqId, user, usdValue }`) to the open batch
+ * for `criteria`, opening a new batch if there is none. Adding the same
+ * eventKey twice is a no-op.
+ */
+export function addToBatch(store, criteria, contribution) {
+  return store.transaction(() => {
+    let batch = findOpenBatch(store, criteria);
+    if (!batch) {
+      const id = String(store.list("batches").length + 1);
+      batch = store.put("batches", id, {
+        id,
+        status: "open",
+        criteriaKey: batchCriteriaKey(criteria),
+        criteria,
+        contributions: [],
+        usdTotal: 0,
+        createdAt: new Date().toISOString(),
+      });
+    }
+    if (batch.contributions.some((c) => c.eventKey === contribution.eventKey)) {
+      return batch;
+    }
+    return store.update("batches", batch.id, {
+      contributions: [
+        ...batch.contributions,
+        { ...contribution, joinedAt: new Date().toISOString() },
+      ],
+      usdTotal: batch.usdTotal + contribution.usdValue,
+    });
+  });
+}
+
+export function sealBatch(store, batchId, requestKey) {
+  return store.update("batches", batchId, {
+    status: "sealed",
+    requestKey,
+    sealedAt: new Date().toISOString(),
+  });
+}
+
+export function markBatchExpired(store, batchId, reason) {
+  return store.update("batches", batchId, {
+    status: "expired",
+    expiredReason: reason,
+    expiredAt: new Date().toISOString(),
+  });
+}
+
+export function markBatchRetired(store, batchId) {
+  return store.update("batches", batchId, {
+    status: "retired",
+    retiredAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Each contributor's share of `tonnes` retired by the batch, by USD paid in.
+ * Shares are rounded down to the gram so they never add up to more than was
+ * actually retired.
+ */
+export function contributorShares(batch, tonnes) {
+  return batch.contributions.map((contribution) => {
+    const share = contribution.usdValue / batch.usdTotal;
+    return {
+      ...contribution,
+      share,
+      tonnes: Math.floor(tonnes * share * 1e6) / 1e6,
+    };
+  });
+}
@@ -0,0 +1,162 @@
+/**
+ * Sweeps of HbarOffset's balance to the treasury (the journal's
+ * "treasurySweeps" collection, keyed by sweep id). Finance reconciles
+ * against these records, so every attempt is kept, failed ones included.
+ *
+ *   sending -> sent
+ *          \-> failed
+ *   sending (no tx hash after a restart) -> unknown
+ *
+ * Only what is above the float and not owed to a pending refund, or to a
+ * request that may still end in one, is swept.
+ * The balance is read fresh before every sweep, so a sweep that went out
+ * unnoticed ("unknown") is simply no longer there to be swept again; one
+ * whose transaction is still pending holds off the next sweep.
+ */
+
+// Refunds that may still be paid out of the contract. "failed" and
+// "unknown" ones wait for an operator, who may well resend them.
+export const REFUND_STATES_HOLDING_FUNDS = [
+  "queued",
+  "sending",
+  "unknown",
+  "failed",
+];
+
+// Requests that have not retired anything yet and may still end in a refund:
+// in flight, held by price protection, or waiting in a batch
+export const REQUEST_STATES_HOLDING_FUNDS = [
+  "received",
+  "priced",
+  "quoted",
+  "ordered",
+  "batched",
+];
+
+const TINYBARS_PER_HBAR = 10n ** 8n;
+
+export function hbarToTinybars(hbar) {
+  return BigInt(Math.round(Number(hbar) * 1e8));
+}
+
+export function formatHbar(tinybars) {
+  const value = BigInt(tinybars);
+  const fraction = (value % TINYBARS_PER_HBAR).toString().padStart(8, "0");
+  return `${value / TINYBARS_PER_HBAR}.${fraction}`.replace(/\.?0+$/, "");
+}
+
+// Tinybars still owed to refunds: the claimed amount once known, otherwise
+// everything the request sent. Pending requests count in full, less the
+// basket components already refunded on their own (those are in "refunds").
+export function reservedForRefunds(store) {
+  const refunds = store
+    .list("refunds", (refund) =>
+      REFUND_STATES_HOLDING_FUNDS.includes(refund.status)
+    )
+    .reduce(
+      (total, refund) =>
+        total + BigInt(refund.amountTinybars ?? refund.requestedTinybars ?? 0),
+      0n
+    );
+  // Batches are the relayer's own; their members are counted instead
+  const pending = store
+    .list(
+      "requests",
+      (request) =>
+        request.kind !== "batch" &&
+        REQUEST_STATES_HOLDING_FUNDS.includes(request.status)
+    )
+    .reduce((total, request) => {
+      const refunded = (request.components || []).reduce(
+        (sum, component) => sum + BigInt(component.refundTinybars ?? 0),
+        0n
+      );
+      return total + BigInt(request.hbarAmount ?? 0) - refunded;
+    }, 0n);
+  return refunds + pending;
+}
+
+/**
+ * How much of `balanceTinybars` can go to the treasury: 0n unless at least
+ * `minSweepTinybars` is above the float plus the refund reserve.
+ */
+export function planSweep({
+  balanceTinybars,
+  floatTinybars,
+  reservedTinybars,
+  minSweepTinybars = 1n,
+}) {
+  const keep = BigInt(floatTinybars) + BigInt(reservedTinybars);
+  const excess = BigInt(balanceTinybars) - keep;
+  return excess >= BigInt(minSweepTinybars) && excess > 0n ? excess : 0n;
+}
+
+export function recordSweep(store, fields) {
+  const sweptAt = new Date().toISOString();
+  const id = `sweep-${Date.parse(sweptAt)}`;
+  return store.put("treasurySweeps", id, {
+    id,
+    ...fields,
+    status: "sending",
+    startedAt: sweptAt,
+  });
+}
+
+// Sweeps started within [from, to] (ISO dates), oldest first
+export function listSweeps(
+  store,
+  { from = null, to = null, status = null } = {}
+) {
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to ? Date.parse(to) : Infinity;
+  return store
+    .list("treasurySweeps", (sweep) => {
+      const at = Date.parse(sweep.startedAt);
+      return (
+        at >= fromMs &&
+        at <= toMs &&
+        (status === null || sweep.status === status)
+      );
+    })
+    .sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+}
+
+/**
+ * Settle sweeps a previous run left "sending", from their transaction
+ * receipt, like interrupted refunds: mined ones are marked sent after
+ * `onSent(sweep, receipt)` has booked them, reverted ones failed (nothing
+ * moved), ones without a receipt yet stay "sending", and ones without a tx
+ * hash become "unknown". Returns each sweep with its outcome (sent, failed,
+ * pending or unknown).
+ */
+export async function recoverInterruptedSweeps(store, { getReceipt, onSent }) {
+  const recovered = [];
+  for (const sweep of listSweeps(store, { status: "sending" })) {
+    if (!sweep.txHash) {
+      store.update("treasurySweeps", sweep.id, { status: "unknown" });
+      recovered.push({ sweep, outcome: "unknown" });
+      continue;
+    }
+
+    const receipt = await getReceipt(sweep.txHash);
+    if (!receipt) {
+      recovered.push({ sweep, outcome: "pending" });
+    } else if (receipt.status !== 1) {
+      store.update("treasurySweeps", sweep.id, {
+        status: "failed",
+        blockNumber: receipt.blockNumber,
+        lastError: `Sweep transaction ${sweep.txHash} reverted`,
+      });
+      recovered.push({ sweep, outcome: "failed" });
+    } else {
+      await onSent(sweep, receipt);
+      store.update("treasurySweeps", sweep.id, {
+        status: "sent",
+        blockNumber: receipt.blockNumber,
+        sentAt: new Date().toISOString(),
+      });
+      recovered.push({ sweep, outcome: "sent" });
+    }
+  }
+  return recovered;
+}
@@ -2,6 +2,7 @@ import { ethers } from "ethers";
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
+import { loadSigner } from "./signerBackends.js";
 import { fileURLToPath } from "url";
 
 dotenv.config();
@@ -48,13 +49,8 @@ async function deployCDR() {
       nameResolver: null,
     });
 
-    const privateKey = process.env.PRIVATE_KEY;
-
-    if (!privateKey) {
-      throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const deployer = new ethers.Wallet(privateKey, provider);
+    // PRIVATE_KEY, keystore, Hedera DER key or remote signer (SIGNER_BACKEND)
+    const deployer = await loadSigner(provider);
     console.log(`👤 Deploying with account: ${deployer.address}`);
     const balance = await provider.getBalance(deployer.address);
     console.log(`💰 Account balance: ${ethers.formatEther(balance)} HBAR`);
@@ -150,6 +146,7 @@ async function deployCDR() {
       hbarOffset: {
         address: hbarOffsetAddress,
         owner: owner,
+        requestOffsetPayable: true,
       },
     };
 
@@ -2,6 +2,7 @@ import { ethers } from "ethers";
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
+import { loadSigner } from "./signerBackends.js";
 
 dotenv.config();
 
@@ -20,9 +21,8 @@ async function main() {
       nameResolver: null,
     });
 
-    const priv = process.env.PRIVATE_KEY;
-    if (!priv) throw new Error("Missing PRIVATE_KEY in .env");
-    const wallet = new ethers.Wallet(priv, provider);
+    // PRIVATE_KEY, keystore, Hedera DER key or remote signer (SIGNER_BACKEND)
+    const wallet = await loadSigner(provider);
 
     // Read deployment info to get SeriesVault address
     const deploymentPath = path.join(
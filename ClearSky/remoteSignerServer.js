@@ -0,0 +1,74 @@
+import http from "http";
+import dotenv from "dotenv";
+import { loadSigner } from "./signerBackends.js";
+
+dotenv.config();
+
+/**
+ * Local stand-in for a KMS-style remote signer (SIGNER_BACKEND=remote).
+ *
+ * Loads a key with the usual backends under the REMOTE_SIGNER_KEY_ prefix
+ * (REMOTE_SIGNER_KEY_SIGNER_BACKEND, REMOTE_SIGNER_KEY_PRIVATE_KEY,
+ * REMOTE_SIGNER_KEY_KEYSTORE_PATH, ...) and only ever signs 32-byte digests:
+ *
+ *   GET  /address                  -> { address }
+ *   POST /sign-digest { digest }   -> { signature }
+ *
+ * Listens on REMOTE_SIGNER_HOST:REMOTE_SIGNER_PORT (default 127.0.0.1:8546);
+ * when REMOTE_SIGNER_TOKEN is set, callers need it as a Bearer token.
+ */
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function main() {
+  const wallet = await loadSigner(null, { prefix: "REMOTE_SIGNER_KEY_" });
+  if (!wallet.signingKey) {
+    throw new Error("The remote signer stand-in needs a local key backend");
+  }
+  const token = process.env.REMOTE_SIGNER_TOKEN || null;
+  const port = Number(process.env.REMOTE_SIGNER_PORT) || 8546;
+  const host = process.env.REMOTE_SIGNER_HOST || "127.0.0.1";
+
+  const server = http.createServer((req, res) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return sendJson(res, 401, { error: "Unauthorized" });
+    }
+    if (req.method === "GET" && req.url === "/address") {
+      return sendJson(res, 200, { address: wallet.address });
+    }
+    if (req.method === "POST" && req.url === "/sign-digest") {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        try {
+          const { digest } = JSON.parse(body);
+          if (!/^0x[0-9a-fA-F]{64}$/.test(digest || "")) {
+            return sendJson(res, 400, { error: "digest must be 32 bytes hex" });
+          }
+          console.log(`✍️  Signing digest ${digest}`);
+          sendJson(res, 200, {
+            signature: wallet.signingKey.sign(digest).serialized,
+          });
+        } catch (err) {
+          sendJson(res, 400, { error: err.message });
+        }
+      });
+      return;
+    }
+    sendJson(res, 404, { error: "Not found" });
+  });
+
+  server.listen(port, host, () => {
+    console.log(
+      `🔏 Remote signer for ${wallet.address} on http://${host}:${port}`
+    );
+  });
+}
+
+main().catch((err) => {
+  console.error("❌ Remote signer failed to start:", err.message);
+  process.exit(1);
+});
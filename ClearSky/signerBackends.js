@@ -0,0 +1,219 @@
+import { ethers } from "ethers";
+import { PrivateKey } from "@hashgraph/sdk";
+import fetch from "node-fetch";
+import fs from "fs";
+import readline from "readline";
+
+/**
+ * Shared signer loading for the deploy scripts and the relayer, so raw keys
+ * do not have to live in .env.
+ *
+ * SIGNER_BACKEND picks where the key comes from:
+ *   private-key  PRIVATE_KEY, a hex secp256k1 key (default)
+ *   keystore     KEYSTORE_PATH, an encrypted JSON keystore; the passphrase is
+ *                read from KEYSTORE_PASSPHRASE_FILE or prompted for on the TTY
+ *   hedera-der   HEDERA_DER_KEY, a DER-encoded Hedera ECDSA key (the format
+ *                CreateCSLPToken.js reads from OPERATOR_KEY)
+ *   remote       REMOTE_SIGNER_URL (+ REMOTE_SIGNER_TOKEN), an HTTP service
+ *                that signs 32-byte digests and never reveals the key, like
+ *                a KMS; remoteSignerServer.js is a local stand-in
+ *
+ * A `prefix` reads a second set of variables for another account, e.g. the
+ * relayer's treasury uses TREASURY_SIGNER_BACKEND, TREASURY_PRIVATE_KEY,
+ * TREASURY_KEYSTORE_PATH, ...
+ */
+
+export const SIGNER_BACKENDS = [
+  "private-key",
+  "keystore",
+  "hedera-der",
+  "remote",
+];
+
+/**
+ * Signs through a remote service:
+ *   GET  /address      -> { address }
+ *   POST /sign-digest  { digest } -> { signature }  (65-byte r||s||v hex)
+ * Every signature is checked against the service's address before use.
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+  constructor(url, { token = null, address = null, provider = null } = {}) {
+    super(provider);
+    this.url = url.replace(/\/+$/, "");
+    this.token = token;
+    this.address = address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, {
+      token: this.token,
+      address: this.address,
+      provider,
+    });
+  }
+
+  async request(path, body = null) {
+    const res = await fetch(`${this.url}${path}`, {
+      method: body ? "POST" : "GET",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!res.ok) {
+      throw new Error(
+        `Remote signer ${path} failed: ${res.status} ${await res.text()}`
+      );
+    }
+    return res.json();
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const { address } = await this.request("/address");
+      this.address = ethers.getAddress(address);
+    }
+    return this.address;
+  }
+
+  async signDigest(digest) {
+    const { signature } = await this.request("/sign-digest", { digest });
+    const parsed = ethers.Signature.from(signature);
+    if (ethers.recoverAddress(digest, parsed) !== (await this.getAddress())) {
+      throw new Error("Remote signer returned a signature for another key");
+    }
+    return parsed;
+  }
+
+  // Same preparation as ethers' own Wallet, but the digest is signed remotely
+  async signTransaction(tx) {
+    tx = ethers.copyRequest(tx);
+    if (tx.to) tx.to = await ethers.resolveAddress(tx.to, this.provider);
+    if (tx.from) {
+      const from = await ethers.resolveAddress(tx.from, this.provider);
+      if (from !== (await this.getAddress())) {
+        throw new Error(
+          `Transaction from ${from} cannot be signed by ${this.address}`
+        );
+      }
+      delete tx.from;
+    }
+    const unsigned = ethers.Transaction.from(tx);
+    unsigned.signature = await this.signDigest(unsigned.unsignedHash);
+    return unsigned.serialized;
+  }
+
+  async signMessage(message) {
+    return (await this.signDigest(ethers.hashMessage(message))).serialized;
+  }
+
+  async signTypedData(domain, types, value) {
+    return (
+      await this.signDigest(ethers.TypedDataEncoder.hash(domain, types, value))
+    ).serialized;
+  }
+}
+
+// Read a line from the terminal without echoing it
+function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(
+      new Error(
+        "No TTY to prompt for the keystore passphrase, set KEYSTORE_PASSPHRASE_FILE"
+      )
+    );
+  }
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+    });
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) process.stdout.write(text);
+    };
+  });
+}
+
+function hederaDerToHex(der) {
+  const key = PrivateKey.fromStringDer(der);
+  if (key.type !== "secp256k1") {
+    throw new Error(
+      `HEDERA_DER_KEY is an ${key.type} key; EVM transactions need an ECDSA (secp256k1) key`
+    );
+  }
+  return `0x${key.toStringRaw()}`;
+}
+
+// True when `prefix` has any signer configured (lets callers make one optional)
+export function hasSignerConfig({ env = process.env, prefix = "" } = {}) {
+  return Boolean(
+    env[`${prefix}SIGNER_BACKEND`] ||
+      env[`${prefix}PRIVATE_KEY`] ||
+      env[`${prefix}KEYSTORE_PATH`] ||
+      env[`${prefix}HEDERA_DER_KEY`] ||
+      env[`${prefix}REMOTE_SIGNER_URL`]
+  );
+}
+
+/**
+ * Build the signer selected by `${prefix}SIGNER_BACKEND`, connected to
+ * `provider`. Whatever the backend, the returned signer has `.address`.
+ */
+export async function loadSigner(
+  provider,
+  { env = process.env, prefix = "" } = {}
+) {
+  const read = (name) => env[`${prefix}${name}`];
+  const backend = read("SIGNER_BACKEND") || "private-key";
+
+  if (backend === "private-key") {
+    if (!read("PRIVATE_KEY")) {
+      throw new Error(`Missing ${prefix}PRIVATE_KEY in .env file`);
+    }
+    return new ethers.Wallet(read("PRIVATE_KEY"), provider);
+  }
+
+  if (backend === "keystore") {
+    const keystorePath = read("KEYSTORE_PATH");
+    if (!keystorePath) throw new Error(`Missing ${prefix}KEYSTORE_PATH`);
+    const json = fs.readFileSync(keystorePath, "utf8");
+    const passphraseFile = read("KEYSTORE_PASSPHRASE_FILE");
+    const passphrase = passphraseFile
+      ? fs.readFileSync(passphraseFile, "utf8").replace(/\r?\n$/, "")
+      : await promptHidden(`🔐 Passphrase for ${keystorePath}: `);
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+    return wallet.connect(provider);
+  }
+
+  if (backend === "hedera-der") {
+    if (!read("HEDERA_DER_KEY")) {
+      throw new Error(`Missing ${prefix}HEDERA_DER_KEY`);
+    }
+    return new ethers.Wallet(hederaDerToHex(read("HEDERA_DER_KEY")), provider);
+  }
+
+  if (backend === "remote") {
+    if (!read("REMOTE_SIGNER_URL")) {
+      throw new Error(`Missing ${prefix}REMOTE_SIGNER_URL`);
+    }
+    const signer = new RemoteSigner(read("REMOTE_SIGNER_URL"), {
+      token: read("REMOTE_SIGNER_TOKEN") || null,
+      provider,
+    });
+    await signer.getAddress();
+    return signer;
+  }
+
+  throw new Error(
+    `Unknown ${prefix}SIGNER_BACKEND "${backend}" (expected one of: ${SIGNER_BACKENDS.join(
+      ", "
+    )})`
+  );
+}
@@ -0,0 +1,93 @@
+import { expect } from "chai";
+import fetch from "node-fetch";
+import http from "http";
+import { startAdminServer } from "../contracts/CDR/adminServer.js";
+
+// Send `path` as-is: fetch would re-encode a malformed one
+function rawGet(port, path) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () =>
+          resolve({ status: res.statusCode, body: JSON.parse(body) })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+describe("admin API", function () {
+  let server;
+  let port;
+  const requests = { 7: { reqId: "7", status: "url_recorded" } };
+
+  before(async function () {
+    server = startAdminServer({
+      port: 0,
+      health: async () => ({ status: "ok", queueDepth: 3 }),
+      listRequests: () => Object.values(requests),
+      getRequest: (id) => requests[id] || null,
+      retryRequest: () => ({ status: 202, body: {} }),
+      listSweeps: () => [],
+      listPools: () => [],
+      listPoolRetirements: () => [],
+      renderMetrics: async () =>
+        "# TYPE relayer_in_flight gauge\nrelayer_in_flight 2\n",
+    });
+    await new Promise((resolve) => server.once("listening", resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  it("answers 400 to a malformed path and keeps serving", async function () {
+    const { status, body } = await rawGet(port, "/requests/%E0%A4%A");
+    expect(status).to.equal(400);
+    expect(body.error).to.match(/Malformed URL/);
+
+    const res = await fetch(`http://127.0.0.1:${port}/requests/7`);
+    expect(res.status).to.equal(200);
+    expect((await res.json()).status).to.equal("url_recorded");
+  });
+
+  it("answers 404 to an unknown request", async function () {
+    const { status } = await rawGet(port, "/requests/8");
+    expect(status).to.equal(404);
+  });
+
+  it("serves /health as JSON", async function () {
+    const { status, body } = await rawGet(port, "/health");
+    expect(status).to.equal(200);
+    expect(body).to.deep.equal({ status: "ok", queueDepth: 3 });
+  });
+
+  it("serves /metrics in the Prometheus text format", async function () {
+    const res = await fetch(`http://127.0.0.1:${port}/metrics`);
+    expect(res.status).to.equal(200);
+    expect(res.headers.get("content-type")).to.match(/^text\/plain/);
+    expect(await res.text()).to.match(/^relayer_in_flight 2$/m);
+  });
+
+  it("logs a port already in use instead of crashing", async function () {
+    const errors = [];
+    const originalError = console.error;
+    console.error = (...args) => errors.push(args.join(" "));
+    let second;
+    try {
+      second = startAdminServer({ port, renderMetrics: async () => "" });
+      await new Promise((resolve) => second.once("error", resolve));
+    } finally {
+      console.error = originalError;
+    }
+    expect(second.listening).to.equal(false);
+    expect(errors.join("\n")).to.match(/Admin API .* is unavailable/);
+
+    // The first server is unaffected
+    const { status } = await rawGet(port, "/health");
+    expect(status).to.equal(200);
+  });
+});
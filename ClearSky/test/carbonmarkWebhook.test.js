@@ -0,0 +1,185 @@
+import { expect } from "chai";
+import fetch from "node-fetch";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import {
+  signWebhookPayload,
+  startWebhookServer,
+} from "../contracts/CDR/carbonmarkWebhook.js";
+
+const SECRET = "whsec_test";
+const WEBHOOK_PATH = "/webhooks/carbonmark";
+
+describe("Carbonmark webhook receiver", function () {
+  let workDir;
+  let store;
+  let server;
+  let url;
+  let updates;
+
+  async function startServer() {
+    server = startWebhookServer({
+      port: 0,
+      host: "127.0.0.1",
+      path: WEBHOOK_PATH,
+      secret: SECRET,
+      store,
+      toleranceMs: 60000,
+      onOrderUpdate: async (order) => {
+        updates.push(order);
+        return { status: 200, body: { ok: true } };
+      },
+    });
+    await new Promise((resolve) => server.once("listening", resolve));
+    url = `http://127.0.0.1:${server.address().port}${WEBHOOK_PATH}`;
+  }
+
+  function deliver(body, { secret = SECRET, timestamp, signature } = {}) {
+    const rawBody = JSON.stringify(body);
+    const signedAt = timestamp ?? String(Math.floor(Date.now() / 1000));
+    return fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Carbonmark-Timestamp": signedAt,
+        "X-Carbonmark-Signature":
+          signature ??
+          `sha256=${signWebhookPayload(secret, signedAt, rawBody)}`,
+      },
+      body: rawBody,
+    });
+  }
+
+  beforeEach(async function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-webhook-"));
+    store = openRelayerStore(path.join(workDir, "state.json"));
+    updates = [];
+    await startServer();
+  });
+
+  afterEach(function () {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("passes a correctly signed delivery on", async function () {
+    const res = await deliver({
+      id: "evt-1",
+      type: "order.updated",
+      data: { id: "order-1", status: "COMPLETED" },
+    });
+    expect(res.status).to.equal(200);
+    expect(updates).to.deep.equal([{ id: "order-1", status: "COMPLETED" }]);
+  });
+
+  it("refuses a delivery signed with another secret", async function () {
+    const res = await deliver(
+      { id: "order-1", status: "COMPLETED" },
+      { secret: "not-the-secret" }
+    );
+    expect(res.status).to.equal(401);
+    expect((await res.json()).error).to.equal("signature mismatch");
+    expect(updates).to.have.length(0);
+  });
+
+  it("refuses a delivery whose body was changed after signing", async function () {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = signWebhookPayload(
+      SECRET,
+      timestamp,
+      JSON.stringify({ id: "order-1", status: "FAILED" })
+    );
+    const res = await deliver(
+      { id: "order-1", status: "COMPLETED" },
+      { timestamp, signature }
+    );
+    expect(res.status).to.equal(401);
+    expect(updates).to.have.length(0);
+  });
+
+  it("refuses unsigned and stale deliveries", async function () {
+    const unsigned = await fetch(url, {
+      method: "POST",
+      body: JSON.stringify({ id: "order-1" }),
+    });
+    expect(unsigned.status).to.equal(401);
+    expect((await unsigned.json()).error).to.equal("missing signature headers");
+
+    const stale = await deliver(
+      { id: "order-1", status: "COMPLETED" },
+      { timestamp: String(Math.floor(Date.now() / 1000) - 120) }
+    );
+    expect(stale.status).to.equal(401);
+    expect((await stale.json()).error).to.equal(
+      "timestamp outside the allowed window"
+    );
+    expect(updates).to.have.length(0);
+  });
+
+  it("accepts a delivery once, also across a restart", async function () {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const body = { id: "order-1", status: "COMPLETED" };
+    expect((await deliver(body, { timestamp })).status).to.equal(200);
+    expect((await deliver(body, { timestamp })).status).to.equal(409);
+
+    server.close();
+    store = openRelayerStore(path.join(workDir, "state.json"));
+    await startServer();
+    expect((await deliver(body, { timestamp })).status).to.equal(409);
+    expect(updates).to.have.length(1);
+  });
+
+  it("answers 404 off the webhook route", async function () {
+    const base = url.slice(0, -WEBHOOK_PATH.length);
+    const wrongPath = await fetch(`${base}/webhooks/other`, {
+      method: "POST",
+      body: "{}",
+    });
+    expect(wrongPath.status).to.equal(404);
+    const wrongMethod = await fetch(url);
+    expect(wrongMethod.status).to.equal(404);
+    expect(updates).to.have.length(0);
+  });
+
+  it("answers 400 to a signed body that is not JSON", async function () {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const rawBody = "not json";
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "X-Carbonmark-Timestamp": timestamp,
+        "X-Carbonmark-Signature": signWebhookPayload(
+          SECRET,
+          timestamp,
+          rawBody
+        ),
+      },
+      body: rawBody,
+    });
+    expect(res.status).to.equal(400);
+    expect(updates).to.have.length(0);
+  });
+
+  it("logs a port already in use instead of crashing", async function () {
+    const errors = [];
+    const originalError = console.error;
+    console.error = (...args) => errors.push(args.join(" "));
+    let second;
+    try {
+      second = startWebhookServer({
+        port: server.address().port,
+        host: "127.0.0.1",
+        secret: SECRET,
+        store,
+        onOrderUpdate: async () => ({ status: 200, body: {} }),
+      });
+      await new Promise((resolve) => second.once("error", resolve));
+    } finally {
+      console.error = originalError;
+    }
+    expect(second.listening).to.equal(false);
+    expect(errors.join("\n")).to.match(/webhook .* is unavailable/);
+  });
+});
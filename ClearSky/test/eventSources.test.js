@@ -0,0 +1,186 @@
+import { expect } from "chai";
+import http from "http";
+import {
+  createMirrorNodeLogSource,
+  createRpcLogSource,
+} from "../contracts/CDR/eventSources.js";
+
+const CONTRACT = "0x00000000000000000000000000000000000000a1";
+const TOPIC = `0x${"ab".repeat(32)}`;
+
+async function drain(generator) {
+  const batches = [];
+  for await (const batch of generator) batches.push(batch);
+  return batches;
+}
+
+describe("event sources", function () {
+  describe("rpc", function () {
+    it("splits eth_getLogs into ranges of maxBlockRange blocks", async function () {
+      const ranges = [];
+      const provider = {
+        async getBlockNumber() {
+          return 125;
+        },
+        async getLogs({ fromBlock, toBlock, topics }) {
+          ranges.push([fromBlock, toBlock]);
+          expect(topics).to.deep.equal([TOPIC]);
+          return fromBlock === 111
+            ? [
+                {
+                  transactionHash: "0xtx",
+                  index: 2,
+                  blockNumber: 115,
+                  topics: [TOPIC],
+                  data: "0x",
+                },
+              ]
+            : [];
+        },
+      };
+      const source = createRpcLogSource({
+        provider,
+        contractAddress: CONTRACT,
+        topic: TOPIC,
+        maxBlockRange: 10,
+      });
+
+      const batches = await drain(source.poll(100));
+      expect(ranges).to.deep.equal([
+        [101, 110],
+        [111, 120],
+        [121, 125],
+      ]);
+      expect(batches.map((b) => b.cursor)).to.deep.equal([110, 120, 125]);
+      expect(batches[1].logs).to.deep.equal([
+        {
+          txHash: "0xtx",
+          logIndex: 2,
+          blockNumber: 115,
+          topics: [TOPIC],
+          data: "0x",
+        },
+      ]);
+      // Caught up: nothing to ask for
+      expect(await drain(source.poll(125))).to.deep.equal([]);
+    });
+  });
+
+  describe("mirror node", function () {
+    let server;
+    let baseUrl;
+    let requests;
+    // path -> response body; unknown paths get an empty page
+    let pages;
+
+    before(async function () {
+      server = http.createServer((req, res) => {
+        requests.push(req.url);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(pages[req.url] || { logs: [], links: {} }));
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(function () {
+      server.close();
+    });
+
+    beforeEach(function () {
+      requests = [];
+      pages = {};
+    });
+
+    function log(timestamp, index) {
+      return {
+        transaction_hash: `0xtx${timestamp}`,
+        index,
+        block_number: 7,
+        topics: [TOPIC],
+        data: "0x",
+        timestamp,
+      };
+    }
+
+    function logsPath(from, to, extra = "") {
+      return (
+        `/api/v1/contracts/${CONTRACT}/results/logs?topic0=${TOPIC}` +
+        `&timestamp=gte:${from}&timestamp=lt:${to}&order=asc&limit=2${extra}`
+      );
+    }
+
+    function source(nowSeconds) {
+      return createMirrorNodeLogSource({
+        mirrorNodeUrl: baseUrl,
+        contractAddress: CONTRACT,
+        topic: TOPIC,
+        pageSize: 2,
+        windowSeconds: 100,
+        ingestLagSeconds: 30,
+        now: () => nowSeconds * 1000,
+      });
+    }
+
+    it("reads bounded windows, follows links.next and moves past settled windows", async function () {
+      const next = logsPath("1000.000000000", "1100.000000000", "&index=gt:1");
+      pages[logsPath("1000.000000000", "1100.000000000")] = {
+        logs: [log("1010.000000001", 0), log("1020.000000000", 1)],
+        links: { next },
+      };
+      pages[next] = { logs: [log("1050.000000000", 0)], links: { next: null } };
+
+      const batches = await drain(source(1250).poll("1000.000000000"));
+
+      expect(requests).to.deep.equal([
+        logsPath("1000.000000000", "1100.000000000"),
+        next,
+        logsPath("1100.000000000", "1200.000000000"),
+        logsPath("1200.000000000", "1250.000000001"),
+      ]);
+      expect(batches.map((b) => [b.logs.length, b.cursor])).to.deep.equal([
+        [2, "1020.000000000"],
+        [1, "1050.000000000"],
+        [0, "1100.000000000"],
+        [0, "1200.000000000"],
+      ]);
+      expect(batches[0].logs[0]).to.deep.equal({
+        txHash: "0xtx1010.000000001",
+        logIndex: 0,
+        blockNumber: 7,
+        topics: [TOPIC],
+        data: "0x",
+      });
+    });
+
+    it("keeps the cursor at the last log inside the window the mirror node may still fill", async function () {
+      pages[logsPath("1200.000000000", "1250.000000001")] = {
+        logs: [log("1230.000000000", 0)],
+        links: { next: null },
+      };
+
+      const batches = await drain(source(1250).poll("1200.000000000"));
+      expect(batches.map((b) => b.cursor)).to.deep.equal(["1230.000000000"]);
+    });
+
+    it("stops after maxPagesPerPoll and resumes from the last log", async function () {
+      const limited = createMirrorNodeLogSource({
+        mirrorNodeUrl: baseUrl,
+        contractAddress: CONTRACT,
+        topic: TOPIC,
+        pageSize: 2,
+        windowSeconds: 100,
+        maxPagesPerPoll: 1,
+        now: () => 1250 * 1000,
+      });
+      pages[logsPath("1000.000000000", "1100.000000000")] = {
+        logs: [log("1010.000000000", 0), log("1020.000000000", 1)],
+        links: { next: logsPath("1000.000000000", "1100.000000000", "&p=2") },
+      };
+
+      const batches = await drain(limited.poll("1000.000000000"));
+      expect(requests).to.have.length(1);
+      expect(batches.map((b) => b.cursor)).to.deep.equal(["1020.000000000"]);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import {
+  RECEIPT_SCHEMA,
+  buildRetirementReceipt,
+  listReceipts,
+  publishReceipts,
+  queueReceipt,
+} from "../contracts/CDR/hcsReceipts.js";
+
+const POLYGON_TX = `0x${"ab".repeat(32)}`;
+
+describe("HCS retirement receipts", function () {
+  let workDir;
+  let store;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-receipts-"));
+    store = openRelayerStore(path.join(workDir, "state.json"));
+    store.put("requests", "tx-0", {
+      eventKey: "tx-0",
+      reqId: "5",
+      user: "0xAAA",
+      txHash: "0xoffset",
+      hbarAmount: "1000000000",
+      hbarUsdRate: 0.1,
+      usdValue: 1,
+      poolAddress: "0xPOOL",
+      status: "url_recorded",
+      components: [0, 1].map((index) => ({
+        index,
+        share: 0.5,
+        usdValue: 0.5,
+        projectId: `VCS-${index}`,
+        tonnes: 1,
+        orderId: `order-${index}`,
+        retirementUrl: `https://r/${index}`,
+        polygonscanUrl: `https://polygonscan.com/tx/${POLYGON_TX}`,
+        urlTxHash: `0xurl${index}`,
+        completedAt: "2026-01-01T00:00:00.000Z",
+      })),
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const request = () => store.get("requests", "tx-0");
+
+  // A publisher that fails while `failing` is set
+  function fakePublisher() {
+    const publisher = {
+      failing: false,
+      published: [],
+      async publish(receipt) {
+        if (publisher.failing) throw new Error("HCS unavailable");
+        publisher.published.push(receipt);
+        return {
+          topicId: "0.0.77",
+          sequenceNumber: String(publisher.published.length),
+          transactionId: `0.0.2@${publisher.published.length}`,
+        };
+      },
+    };
+    return publisher;
+  }
+
+  it("builds a receipt keyed by request and component", function () {
+    const receipt = buildRetirementReceipt(request(), request().components[1]);
+    expect(receipt).to.include({
+      schema: RECEIPT_SCHEMA,
+      receiptId: "5:1",
+      requestId: "5",
+      component: 1,
+      components: 2,
+      usdValue: 0.5,
+      carbonmarkOrderId: "order-1",
+      polygonTxHash: POLYGON_TX,
+      poolUrlTxHash: "0xurl1",
+    });
+  });
+
+  it("queues each component's receipt once", function () {
+    queueReceipt(store, request(), request().components[0]);
+    queueReceipt(store, request(), request().components[0]);
+    queueReceipt(store, request(), request().components[1]);
+    expect(listReceipts(store, "queued").map((r) => r.key)).to.deep.equal([
+      "tx-0:0",
+      "tx-0:1",
+    ]);
+  });
+
+  it("publishes queued receipts and notes them on their components", async function () {
+    request().components.forEach((c) => queueReceipt(store, request(), c));
+    const publisher = fakePublisher();
+
+    expect(await publishReceipts(store, publisher)).to.equal(2);
+    expect(publisher.published.map((r) => r.receiptId)).to.deep.equal([
+      "5:0",
+      "5:1",
+    ]);
+    expect(store.get("receipts", "tx-0:1")).to.include({
+      status: "published",
+    });
+    expect(request().components[1].hcsReceipt).to.deep.equal({
+      topicId: "0.0.77",
+      sequenceNumber: "2",
+      transactionId: "0.0.2@2",
+    });
+
+    expect(await publishReceipts(store, publisher)).to.equal(0);
+    expect(publisher.published).to.have.length(2);
+  });
+
+  it("backs off while HCS fails, then gives up after maxAttempts", async function () {
+    queueReceipt(store, request(), request().components[0]);
+    const publisher = fakePublisher();
+    publisher.failing = true;
+    const policy = { maxAttempts: 2, baseDelayMs: 0, maxDelayMs: 0 };
+
+    expect(await publishReceipts(store, publisher, policy)).to.equal(0);
+    expect(store.get("receipts", "tx-0:0")).to.include({
+      status: "queued",
+      attempts: 1,
+      lastError: "HCS unavailable",
+    });
+    // The request itself is untouched
+    expect(request().status).to.equal("url_recorded");
+
+    await publishReceipts(store, publisher, policy);
+    expect(store.get("receipts", "tx-0:0")).to.include({
+      status: "failed",
+      attempts: 2,
+    });
+    publisher.failing = false;
+    expect(await publishReceipts(store, publisher, policy)).to.equal(0);
+  });
+
+  it("waits for a receipt's next attempt", async function () {
+    queueReceipt(store, request(), request().components[0]);
+    const publisher = fakePublisher();
+    publisher.failing = true;
+    await publishReceipts(store, publisher, { baseDelayMs: 60000 });
+
+    publisher.failing = false;
+    expect(await publishReceipts(store, publisher)).to.equal(0);
+    store.update("receipts", "tx-0:0", {
+      nextAttemptAt: new Date(Date.now() - 1).toISOString(),
+    });
+    expect(await publishReceipts(store, publisher)).to.equal(1);
+  });
+
+  it("publishes a receipt whose request was archived meanwhile", async function () {
+    queueReceipt(store, request(), request().components[0]);
+    store.remove("requests", "tx-0");
+
+    expect(await publishReceipts(store, fakePublisher())).to.equal(1);
+    expect(store.has("requests", "tx-0")).to.equal(false);
+  });
+});
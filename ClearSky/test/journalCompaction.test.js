@@ -0,0 +1,128 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import { compactJournal } from "../contracts/CDR/journalCompaction.js";
+import { findRequestKey } from "../contracts/CDR/deadLetters.js";
+
+const DAY_MS = 86400000;
+const NOW = Date.parse("2026-06-01T00:00:00Z");
+
+describe("journal compaction", function () {
+  let workDir;
+  let store;
+  let archiveFile;
+
+  function addRequest(reqId, status, finishedDaysAgo) {
+    const eventKey = `0xtx${reqId}-0`;
+    const at = new Date(NOW - finishedDaysAgo * DAY_MS).toISOString();
+    store.put("requests", eventKey, {
+      eventKey,
+      reqId,
+      user: "0xuser",
+      hbarAmount: "1000",
+      txHash: `0xtx${reqId}`,
+      blockNumber: Number(reqId),
+      logIndex: 0,
+      metadata: "{}",
+      status,
+      receivedAt: at,
+      history: [{ status, at }],
+    });
+    store.put("requestIds", reqId, eventKey);
+    store.put("orders", `${reqId}:0`, { reqId, eventKey, componentIndex: 0 });
+    store.put("quotes", `quote-${reqId}`, { uuid: `quote-${reqId}`, reqId });
+    store.put("payments", `0xtx${reqId}`, { claims: { [eventKey]: "1000" } });
+    return eventKey;
+  }
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-journal-"));
+    store = openRelayerStore(path.join(workDir, "state.json"));
+    archiveFile = path.join(workDir, "archive.jsonl");
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("archives finished requests and leaves a summary behind", function () {
+    const oldKey = addRequest("1", "url_recorded", 40);
+    const recentKey = addRequest("2", "url_recorded", 5);
+    const runningKey = addRequest("3", "ordered", 40);
+
+    const compacted = compactJournal(store, {
+      archiveFile,
+      retentionMs: 30 * DAY_MS,
+      now: NOW,
+    });
+
+    expect(compacted).to.equal(1);
+    const summary = store.get("requests", oldKey);
+    expect(summary.archivedAt).to.equal(new Date(NOW).toISOString());
+    expect(summary.status).to.equal("url_recorded");
+    expect(summary).to.not.have.property("metadata");
+    expect(findRequestKey(store, "1")).to.equal(oldKey);
+    expect(store.get("orders", "1:0")).to.equal(null);
+    expect(store.get("quotes", "quote-1")).to.equal(null);
+    expect(store.get("payments", "0xtx1")).to.equal(null);
+    expect(store.get("orders", "2:0")).to.not.equal(null);
+    expect(store.get("requests", recentKey)).to.not.have.property("archivedAt");
+    expect(store.get("requests", runningKey)).to.not.have.property(
+      "archivedAt"
+    );
+
+    const [line] = fs.readFileSync(archiveFile, "utf8").trim().split("\n");
+    const archived = JSON.parse(line);
+    expect(archived.request.metadata).to.equal("{}");
+    expect(archived.orders).to.have.length(1);
+    expect(archived.quotes).to.have.length(1);
+
+    // The summary survives a reopen and is not archived twice
+    store = openRelayerStore(path.join(workDir, "state.json"));
+    expect(store.get("requests", oldKey).archivedAt).to.be.a("string");
+    expect(
+      compactJournal(store, { archiveFile, retentionMs: 30 * DAY_MS, now: NOW })
+    ).to.equal(0);
+  });
+
+  it("keeps rejected requests until their refund went out", function () {
+    const pendingKey = addRequest("4", "rejected", 40);
+    const refundedKey = addRequest("5", "rejected", 40);
+    store.put("refunds", pendingKey, {
+      eventKey: pendingKey,
+      status: "queued",
+    });
+    store.put("refunds", refundedKey, {
+      eventKey: refundedKey,
+      status: "sent",
+    });
+
+    compactJournal(store, { archiveFile, retentionMs: 30 * DAY_MS, now: NOW });
+
+    expect(store.get("requests", pendingKey)).to.not.have.property(
+      "archivedAt"
+    );
+    expect(store.get("refunds", pendingKey).status).to.equal("queued");
+    expect(store.get("requests", refundedKey).archivedAt).to.be.a("string");
+    expect(store.get("refunds", refundedKey)).to.equal(null);
+  });
+
+  it("drops a shared payment only with the last request it funded", function () {
+    const first = addRequest("6", "url_recorded", 40);
+    const second = addRequest("7", "ordered", 40);
+    store.put("requests", second, {
+      ...store.get("requests", second),
+      txHash: "0xtx6",
+    });
+    store.put("payments", "0xtx6", {
+      claims: { [first]: "1000", [second]: "1000" },
+    });
+
+    compactJournal(store, { archiveFile, retentionMs: 30 * DAY_MS, now: NOW });
+
+    expect(store.get("requests", first).archivedAt).to.be.a("string");
+    expect(store.get("payments", "0xtx6")).to.not.equal(null);
+  });
+});
@@ -0,0 +1,110 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFileLeaseStore } from "../contracts/CDR/leaseStore.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("file leases shared by several instances", function () {
+  let dir;
+  let alpha;
+  let beta;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-leases-"));
+    alpha = createFileLeaseStore({ dir, owner: "alpha", ttlMs: 100 });
+    beta = createFileLeaseStore({ dir, owner: "beta", ttlMs: 100 });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const leaseFile = (key) => path.join(dir, `${key}.lease`);
+
+  it("takes over a dead instance's lease once it expired", async function () {
+    expect(await alpha.acquire("req-1", { state: "priced" })).to.deep.equal({
+      acquired: true,
+      previous: null,
+    });
+    const held = await beta.acquire("req-1");
+    expect(held.acquired).to.equal(false);
+    expect(held.reason).to.equal("held");
+    expect(held.lease.owner).to.equal("alpha");
+
+    await sleep(150);
+    const takeover = await beta.acquire("req-1", { state: "received" });
+    expect(takeover.acquired).to.equal(true);
+    expect(takeover.previous.owner).to.equal("alpha");
+    expect(takeover.previous.state).to.equal("priced");
+
+    // The old owner coming back finds it lost the lease
+    expect(await alpha.renew("req-1", { state: "quoted" })).to.equal(false);
+    const lease = JSON.parse(fs.readFileSync(leaseFile("req-1"), "utf8"));
+    expect(lease.owner).to.equal("beta");
+    expect(lease.state).to.equal("received");
+    expect(lease.version).to.equal(2);
+  });
+
+  it("keeps a renewed lease from being taken over", async function () {
+    await alpha.acquire("req-2", { state: "priced" });
+    for (let i = 0; i < 3; i++) {
+      await sleep(50);
+      expect(await alpha.renew("req-2", { state: "ordered" })).to.equal(true);
+    }
+    expect((await beta.acquire("req-2")).reason).to.equal("held");
+  });
+
+  it("leaves a done marker nobody can take", async function () {
+    await alpha.acquire("req-3");
+    await alpha.release("req-3", { done: true, state: "url_recorded" });
+    await sleep(150);
+    const result = await beta.acquire("req-3");
+    expect(result.acquired).to.equal(false);
+    expect(result.reason).to.equal("done");
+    expect(result.lease.state).to.equal("url_recorded");
+    expect(fs.existsSync(leaseFile("req-3"))).to.equal(false);
+  });
+
+  it("renews only after a takeover in progress finished, and then sees it", async function () {
+    await alpha.acquire("req-4", { state: "priced" });
+    await sleep(150);
+
+    // beta is in the middle of taking the expired lease over
+    const lockFile = `${leaseFile("req-4")}.lock`;
+    fs.writeFileSync(lockFile, "beta", { flag: "wx" });
+    let renewed = null;
+    const renewal = alpha
+      .renew("req-4", { state: "quoted" })
+      .then((result) => (renewed = result));
+    await sleep(100);
+    expect(renewed).to.equal(null);
+
+    fs.writeFileSync(
+      leaseFile("req-4"),
+      JSON.stringify({
+        key: "req-4",
+        owner: "beta",
+        state: "priced",
+        version: 2,
+        expiresAt: Date.now() + 100,
+      })
+    );
+    fs.rmSync(lockFile);
+    expect(await renewal).to.equal(false);
+    const lease = JSON.parse(fs.readFileSync(leaseFile("req-4"), "utf8"));
+    expect(lease.owner).to.equal("beta");
+  });
+
+  it("breaks a lock left behind by a crashed instance", async function () {
+    const lockFile = `${leaseFile("req-5")}.lock`;
+    fs.writeFileSync(lockFile, "crashed");
+    const longAgo = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile, longAgo, longAgo);
+
+    expect((await alpha.acquire("req-5")).acquired).to.equal(true);
+    expect(fs.existsSync(lockFile)).to.equal(false);
+    expect(fs.readdirSync(dir)).to.deep.equal(["req-5.lease"]);
+  });
+});
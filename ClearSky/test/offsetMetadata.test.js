@@ -0,0 +1,118 @@
+import { expect } from "chai";
+import {
+  MetadataValidationError,
+  parseOffsetMetadata,
+} from "../contracts/CDR/offsetMetadata.js";
+
+const ADDRESS = "0x8f3A8f7A3B1c4dE7a1F3B29A2A0C88Ff7b47D912";
+
+function rejection(metadata) {
+  try {
+    parseOffsetMetadata(JSON.stringify(metadata));
+  } catch (err) {
+    expect(err).to.be.instanceOf(MetadataValidationError);
+    return err.errors;
+  }
+  throw new Error("metadata was accepted");
+}
+
+describe("offset metadata schema", function () {
+  it("accepts snake_case aliases and normalizes them", function () {
+    const metadata = parseOffsetMetadata(
+      JSON.stringify({
+        beneficiary_address: ADDRESS.toLowerCase(),
+        beneficiary_name: "Acme",
+        project_id: "VCS-191",
+        quote_deadline: 1800000000,
+        basket: [{ weight: 1, criteria: { vintage_from: 2015 } }],
+      })
+    );
+    expect(metadata.beneficiaryAddress).to.equal(
+      "0x8f3A8f7a3B1c4DE7a1F3B29a2a0c88FF7b47d912"
+    );
+    expect(metadata.beneficiaryName).to.equal("Acme");
+    expect(metadata.projectIds).to.deep.equal(["VCS-191"]);
+    expect(metadata.priceProtection.quoteDeadline).to.equal(
+      "2027-01-15T08:00:00.000Z"
+    );
+    expect(metadata.basket[0].criteria).to.deep.equal({ vintageFrom: 2015 });
+  });
+
+  it("keeps the listing price filter apart from the price guard", function () {
+    const metadata = parseOffsetMetadata(
+      JSON.stringify({
+        beneficiaryAddress: ADDRESS,
+        maxPricePerTonne: 14,
+        criteria: { maxPricePerTonne: 10 },
+        basket: [{ weight: 1, criteria: { max_listing_price: 12 } }],
+      })
+    );
+    expect(metadata.priceProtection.maxPricePerTonne).to.equal(14);
+    expect(metadata.criteria).to.deep.equal({ maxListingPrice: 10 });
+    expect(metadata.basket[0].criteria).to.deep.equal({ maxListingPrice: 12 });
+  });
+
+  it("lists every schema violation with its path", function () {
+    const errors = rejection({
+      beneficiaryAddress: "0x1234",
+      beneficiaryName: " ",
+      projectIds: ["191"],
+      onPriceBreach: "later",
+      basket: [{ weight: 0 }, {}],
+    });
+    expect(errors).to.deep.equal([
+      {
+        path: "beneficiaryAddress",
+        message: "must be a 0x-prefixed 20-byte hex address",
+      },
+      { path: "beneficiaryName", message: "must not be empty" },
+      {
+        path: "projectIds[0]",
+        message: 'must look like "VCS-191" (registry prefix, dash, number)',
+      },
+      { path: "onPriceBreach", message: "must be one of refund, hold" },
+      { path: "basket[0].weight", message: "must be > 0" },
+      { path: "basket[1].weight", message: "is required" },
+    ]);
+  });
+
+  it("reports a failed alternative once", function () {
+    const errors = rejection({
+      beneficiaryAddress: ADDRESS,
+      quoteDeadline: "tomorrow",
+      criteria: { country: ["", "FR"] },
+    });
+    expect(errors).to.deep.equal([
+      {
+        path: "criteria.country",
+        message: "must be a string or a list of strings",
+      },
+      {
+        path: "quoteDeadline",
+        message: "must be an ISO 8601 timestamp or unix seconds",
+      },
+    ]);
+  });
+
+  it("rejects conflicting spellings and inverted vintages", function () {
+    expect(
+      rejection({ beneficiaryAddress: ADDRESS, beneficiary_address: "0x0" })
+    ).to.deep.equal([
+      {
+        path: "beneficiaryAddress",
+        message: "conflicts with beneficiary_address",
+      },
+    ]);
+    expect(
+      rejection({
+        beneficiaryAddress: ADDRESS,
+        criteria: { vintageFrom: 2020, vintageTo: 2010 },
+      })
+    ).to.deep.equal([
+      {
+        path: "criteria.vintageFrom",
+        message: "must not be after vintageTo",
+      },
+    ]);
+  });
+});
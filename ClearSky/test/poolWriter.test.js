@@ -0,0 +1,88 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createPoolWriter } from "../contracts/CDR/poolWriter.js";
+import { OFFSET_ABI } from "../contracts/CDR/offsetEvents.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// HbarOffset as it is deployed today, from before recordRetirement
+const DEPLOYED_OFFSET = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, "fixtures/HbarOffset.deployed.json"),
+    "utf8"
+  )
+);
+
+const POOL = "0x000000000000000000000000000000000000dEaD";
+
+describe("pool writer", function () {
+  let signer;
+  let fees;
+
+  before(async function () {
+    [signer] = await hre.ethers.getSigners();
+  });
+
+  beforeEach(function () {
+    fees = [];
+  });
+
+  function writerFor(offsetAddress) {
+    return createPoolWriter({
+      signer,
+      offsetAddress,
+      offsetAbi: OFFSET_ABI,
+      getFactory: () => {
+        throw new Error("no factory in this test");
+      },
+      postNetworkFee: (receipt, entry) => fees.push(entry.memo),
+    });
+  }
+
+  const request = {
+    reqId: "1",
+    eventKey: "tx-1",
+    user: "0xAAA",
+    poolAddress: POOL,
+  };
+  const component = {
+    index: 0,
+    projectId: "VCS-191",
+    tonnes: 1.5,
+    orderId: "order-1",
+    retirementUrl: "https://r/1",
+  };
+
+  it("skips the pool history on an HbarOffset deployed before it", async function () {
+    const factory = new hre.ethers.ContractFactory(
+      DEPLOYED_OFFSET.abi,
+      DEPLOYED_OFFSET.bytecode,
+      signer
+    );
+    const deployed = await factory.deploy();
+    await deployed.waitForDeployment();
+    const writer = writerFor(await deployed.getAddress());
+
+    expect(await writer.recordPoolRetirement(request, component)).to.equal(
+      null
+    );
+    expect(await writer.recordPoolRetirement(request, component)).to.equal(
+      null
+    );
+    expect(fees).to.deep.equal([]);
+  });
+
+  it("records the retirement on an HbarOffset that has the pool history", async function () {
+    const offset = await hre.ethers.deployContract("HbarOffset");
+    await offset.waitForDeployment();
+    await offset.requestOffset("{}", 1000n, POOL, { value: 1000n });
+    const writer = writerFor(await offset.getAddress());
+
+    const txHash = await writer.recordPoolRetirement(request, component);
+    expect(txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(fees).to.deep.equal([`Retirement record for pool ${POOL}`]);
+  });
+});
@@ -0,0 +1,114 @@
+import { expect } from "chai";
+import {
+  PriceUnavailableError,
+  createPriceOracle,
+  createStaticSource,
+} from "../contracts/CDR/priceOracle.js";
+import { RequestDeferredError } from "../contracts/CDR/relayerErrors.js";
+
+// A source answering `price`, observed `ageMs` ago; counts its calls
+function fixedSource(name, price, { ageMs = 0, fail = false } = {}) {
+  const source = {
+    name,
+    calls: 0,
+    async fetchPrice() {
+      source.calls += 1;
+      if (fail) throw new Error(`${name} is down`);
+      return { source: name, price, observedAt: Date.now() - ageMs };
+    },
+  };
+  return source;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("HBAR/USD price oracle", function () {
+  it("takes the median of the fresh quotes", async function () {
+    const odd = createPriceOracle({
+      sources: [
+        fixedSource("a", 0.1),
+        fixedSource("b", 0.3),
+        fixedSource("c", 0.2),
+      ],
+    });
+    expect((await odd.getPrice()).price).to.equal(0.2);
+
+    const even = createPriceOracle({
+      sources: [
+        fixedSource("a", 0.1),
+        fixedSource("b", 0.3),
+        fixedSource("c", 0.2),
+        fixedSource("d", 0.4),
+      ],
+    });
+    expect((await even.getPrice()).price).to.be.closeTo(0.25, 1e-12);
+  });
+
+  it("leaves stale and failing sources out of the median", async function () {
+    const oracle = createPriceOracle({
+      sources: [
+        fixedSource("fresh", 0.1),
+        fixedSource("stale", 5, { ageMs: 10000 }),
+        fixedSource("down", 0, { fail: true }),
+      ],
+      maxAgeMs: 1000,
+    });
+    const { price, quotes } = await oracle.getPrice();
+    expect(price).to.equal(0.1);
+    expect(quotes.map((q) => q.source)).to.deep.equal(["fresh"]);
+  });
+
+  it("serves the cached median until it is older than cacheMs", async function () {
+    const source = fixedSource("a", 0.1);
+    const oracle = createPriceOracle({ sources: [source], cacheMs: 100 });
+
+    await oracle.getPrice();
+    await oracle.getPrice();
+    expect(source.calls).to.equal(1);
+
+    await sleep(150);
+    await oracle.getPrice();
+    expect(source.calls).to.equal(2);
+  });
+
+  it("defers when every source is stale, even with a static fallback", async function () {
+    const oracle = createPriceOracle({
+      sources: [
+        fixedSource("a", 0.1, { ageMs: 10000 }),
+        fixedSource("b", 0.2, { ageMs: 10000 }),
+      ],
+      fallback: createStaticSource(0.05),
+      maxAgeMs: 1000,
+    });
+    let error;
+    try {
+      await oracle.getPrice();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(PriceUnavailableError);
+    expect(error).to.be.instanceOf(RequestDeferredError);
+    expect(error.failures).to.have.length(2);
+  });
+
+  it("uses the static fallback only when no source can be reached", async function () {
+    const withFallback = createPriceOracle({
+      sources: [fixedSource("a", 0, { fail: true })],
+      fallback: createStaticSource(0.05),
+    });
+    const { price, quotes } = await withFallback.getPrice();
+    expect(price).to.equal(0.05);
+    expect(quotes[0].source).to.equal("static");
+
+    const withoutFallback = createPriceOracle({
+      sources: [fixedSource("a", 0, { fail: true })],
+    });
+    let error;
+    try {
+      await withoutFallback.getPrice();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(PriceUnavailableError);
+  });
+});
@@ -0,0 +1,195 @@
+import { expect } from "chai";
+import {
+  BelowMinimumFillError,
+  normalizeListing,
+  parseBasket,
+  parseSelectionCriteria,
+  selectCheapestListing,
+} from "../contracts/CDR/projectSelection.js";
+import { RequestRejectedError } from "../contracts/CDR/relayerErrors.js";
+
+// Carbonmark /prices entries in the shapes the relayer meets
+const LISTINGS = [
+  {
+    sourceId: "vcs-191",
+    purchasePrice: 0.5,
+    supply: 1000,
+    project: {
+      key: "VCS-191",
+      vintage: "2012",
+      country: { id: "India" },
+      methodologies: [{ id: "ACM0002" }],
+      category: "Emission Reduction",
+    },
+  },
+  {
+    sourceId: "vcs-1396",
+    purchasePrice: 0.75,
+    supply: 1000,
+    project: {
+      key: "VCS-1396",
+      vintage: "2018",
+      country: "Brazil",
+      methodologies: ["VM0015"],
+      category: "Avoided Deforestation",
+    },
+  },
+  {
+    sourceId: "puro-77",
+    purchasePrice: 2,
+    supply: 1000,
+    minFillAmount: 0.5,
+    credit: { projectId: "PURO-77", standard: "PURO", vintage: 2022 },
+    project: { country: "Finland", category: "Carbon Removal" },
+  },
+];
+
+function rejection(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected a rejection");
+}
+
+describe("project selection", function () {
+  it("reads removal vs avoidance from the listing category", function () {
+    expect(LISTINGS.map((l) => normalizeListing(l).category)).to.deep.equal([
+      "avoidance",
+      "avoidance",
+      "removal",
+    ]);
+    expect(normalizeListing({ sourceId: "x" }).category).to.equal(null);
+  });
+
+  it("routes to the cheapest listing that matches the criteria", function () {
+    const any = parseSelectionCriteria({ criteria: { vintageFrom: 2010 } });
+    expect(selectCheapestListing(LISTINGS, any, 10)).to.deep.include({
+      tonnes: 20,
+      candidates: 3,
+    });
+    expect(selectCheapestListing(LISTINGS, any, 10).listing.projectId).to.equal(
+      "VCS-191"
+    );
+
+    const recent = parseSelectionCriteria({
+      criteria: { vintageFrom: 2015, country: ["brazil", "Finland"] },
+    });
+    expect(
+      selectCheapestListing(LISTINGS, recent, 10).listing.projectId
+    ).to.equal("VCS-1396");
+
+    const removal = parseSelectionCriteria({
+      criteria: { category: "removal" },
+    });
+    const { listing, tonnes, candidates } = selectCheapestListing(
+      LISTINGS,
+      removal,
+      10
+    );
+    expect([listing.projectId, tonnes, candidates]).to.deep.equal([
+      "PURO-77",
+      5,
+      1,
+    ]);
+  });
+
+  it("rejects when no listing matches, instead of buying something else", function () {
+    const criteria = parseSelectionCriteria(
+      { criteria: { category: "removal", registry: "VCS" } },
+      ["VCS-191"]
+    );
+    const err = rejection(() => selectCheapestListing(LISTINGS, criteria, 10));
+    expect(err).to.be.instanceOf(RequestRejectedError);
+    expect(err).not.to.be.instanceOf(BelowMinimumFillError);
+    expect(err.message).to.match(/No Carbonmark listing matches/);
+  });
+
+  it("throws BelowMinimumFillError when the funds are under every minimum fill", function () {
+    const removal = parseSelectionCriteria({
+      criteria: { category: "removal" },
+    });
+    // 0.2 t at $2 is below PURO-77's 0.5 t minimum fill
+    expect(
+      rejection(() => selectCheapestListing(LISTINGS, removal, 0.4))
+    ).to.be.instanceOf(BelowMinimumFillError);
+    // Less than a kilogram of anything
+    expect(
+      rejection(() =>
+        selectCheapestListing(LISTINGS, parseSelectionCriteria({}), 0.0001)
+      )
+    ).to.be.instanceOf(BelowMinimumFillError);
+  });
+
+  it("rejects without BelowMinimumFillError when supply is short", function () {
+    const criteria = parseSelectionCriteria({ projectIds: ["VCS-191"] });
+    const err = rejection(() =>
+      selectCheapestListing(LISTINGS, criteria, 1000)
+    );
+    expect(err).to.be.instanceOf(RequestRejectedError);
+    expect(err).not.to.be.instanceOf(BelowMinimumFillError);
+  });
+
+  it("falls back to the default projects only when the request has no preference", function () {
+    expect(parseSelectionCriteria({}, ["VCS-191"]).projectIds).to.deep.equal([
+      "VCS-191",
+    ]);
+    expect(
+      parseSelectionCriteria({ criteria: { category: "removal" } }, ["VCS-191"])
+        .projectIds
+    ).to.equal(null);
+    expect(
+      parseSelectionCriteria({ projectId: "GS-1234" }, ["VCS-191"]).projectIds
+    ).to.deep.equal(["GS-1234"]);
+  });
+
+  describe("basket", function () {
+    it("is a single whole component without one", function () {
+      expect(parseBasket({ projectId: "GS-1234" }, ["VCS-191"])).to.deep.equal([
+        {
+          share: 1,
+          criteria: parseSelectionCriteria({ projectId: "GS-1234" }),
+        },
+      ]);
+    });
+
+    it("turns weights into shares that add up to 1", function () {
+      const basket = parseBasket(
+        {
+          basket: [
+            { weight: 50, criteria: { category: "removal" } },
+            { weight: 30, projectIds: ["VCS-191"] },
+            { weight: 20 },
+          ],
+        },
+        ["VCS-1396"]
+      );
+      expect(basket.map((c) => c.share)).to.deep.equal([0.5, 0.3, 0.2]);
+      expect(basket.reduce((sum, c) => sum + c.share, 0)).to.be.closeTo(
+        1,
+        1e-12
+      );
+      expect(basket[0].criteria).to.include({
+        category: "removal",
+        projectIds: null,
+      });
+      expect(basket[1].criteria.projectIds).to.deep.equal(["VCS-191"]);
+      expect(basket[2].criteria.projectIds).to.deep.equal(["VCS-1396"]);
+    });
+
+    it("rejects a malformed basket", function () {
+      for (const basket of [
+        [],
+        "VCS-191",
+        Array.from({ length: 11 }, () => ({ weight: 1 })),
+        [{ weight: 1 }, { weight: 0 }],
+        [{ weight: 1 }, { weight: "heavy" }],
+      ]) {
+        expect(rejection(() => parseBasket({ basket }))).to.be.instanceOf(
+          RequestRejectedError
+        );
+      }
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { expect } from "chai";
+import { createPurchasePlanner } from "../contracts/CDR/purchasePlanner.js";
+import { RequestRejectedError } from "../contracts/CDR/relayerErrors.js";
+
+const LISTINGS = [
+  {
+    sourceId: "vcs-191",
+    purchasePrice: 0.5,
+    supply: 1000,
+    project: {
+      key: "VCS-191",
+      vintage: "2012",
+      category: "Emission Reduction",
+    },
+  },
+  {
+    sourceId: "vcs-1396",
+    purchasePrice: 0.75,
+    supply: 1000,
+    project: { key: "VCS-1396", vintage: "2018", category: "Avoided" },
+  },
+  {
+    sourceId: "puro-77",
+    purchasePrice: 3,
+    supply: 1000,
+    credit: { projectId: "PURO-77", standard: "PURO", vintage: 2022 },
+    project: { category: "Carbon Removal" },
+  },
+];
+
+const BENEFICIARY = "0x8f3A8f7A3B1c4dE7a1F3B29A2A0C88Ff7b47D912";
+
+// 100 HBAR at $0.10 = $10
+const HUNDRED_HBAR = (100n * 10n ** 8n).toString();
+
+describe("purchase planner", function () {
+  let priceQueries;
+
+  function planner(options = {}) {
+    priceQueries = [];
+    return createPurchasePlanner({
+      priceOracle: {
+        getPrice: async () => ({ price: 0.1, quotes: [{ source: "test" }] }),
+      },
+      getPrices: async (projectIds) => {
+        priceQueries.push(projectIds);
+        return LISTINGS;
+      },
+      defaultProjectIds: ["VCS-191"],
+      batchMinTonnes: 1,
+      ...options,
+    });
+  }
+
+  function request(metadata) {
+    return {
+      user: "0xAAA",
+      hbarAmount: HUNDRED_HBAR,
+      metadata: JSON.stringify({
+        beneficiaryAddress: BENEFICIARY,
+        ...metadata,
+      }),
+    };
+  }
+
+  it("splits a basket by weight into components that add up to the request", async function () {
+    const plan = await planner()(
+      request({
+        basket: [
+          { weight: 3, criteria: { category: "removal" } },
+          { weight: 5, projectIds: ["VCS-1396"] },
+          { weight: 2, projectIds: ["VCS-191"] },
+        ],
+      })
+    );
+
+    expect(plan.usdValue).to.be.closeTo(10, 1e-9);
+    expect(
+      plan.components.map(({ index, share, projectId, tonnes }) => ({
+        index,
+        share,
+        projectId,
+        tonnes,
+      }))
+    ).to.deep.equal([
+      { index: 0, share: 0.3, projectId: "PURO-77", tonnes: 1 },
+      { index: 1, share: 0.5, projectId: "VCS-1396", tonnes: 6.666 },
+      { index: 2, share: 0.2, projectId: "VCS-191", tonnes: 4 },
+    ]);
+    const usd = plan.components.reduce((sum, c) => sum + c.usdValue, 0);
+    expect(usd).to.be.closeTo(plan.usdValue, 1e-9);
+    const tonnes = plan.components.reduce((sum, c) => sum + c.tonnes, 0);
+    expect(plan.tonnes).to.be.closeTo(tonnes, 1e-9);
+    for (const component of plan.components) {
+      expect(component.tonnes * component.pricePerTonne).to.be.at.most(
+        component.usdValue + 1e-9
+      );
+    }
+  });
+
+  it("fetches the listings once per distinct project filter", async function () {
+    await planner()(
+      request({
+        basket: [
+          { weight: 1, projectIds: ["VCS-191"] },
+          { weight: 1, projectIds: ["VCS-191"] },
+          { weight: 1, criteria: { category: "removal" } },
+        ],
+      })
+    );
+    expect(priceQueries).to.deep.equal([["VCS-191"], null]);
+  });
+
+  it("names the basket component no listing matches", async function () {
+    try {
+      await planner()(
+        request({
+          basket: [
+            { weight: 1, projectIds: ["VCS-191"] },
+            { weight: 1, criteria: { registry: "GS" } },
+          ],
+        })
+      );
+      expect.fail("expected a rejection");
+    } catch (err) {
+      expect(err).to.be.instanceOf(RequestRejectedError);
+      expect(err.reason).to.match(/^basket\[1\]: /);
+    }
+  });
+
+  it("pools a single component too small for any listing, unless batching is off", async function () {
+    const tiny = { ...request({}), hbarAmount: "1000" };
+    expect(await planner()(tiny)).to.have.property("batchCriteria");
+
+    try {
+      await planner({ batchMinTonnes: null })(tiny);
+      expect.fail("expected a rejection");
+    } catch (err) {
+      expect(err).to.be.instanceOf(RequestRejectedError);
+    }
+  });
+});
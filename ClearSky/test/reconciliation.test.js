@@ -0,0 +1,160 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import { reconcile } from "../contracts/CDR/reconciliation.js";
+
+const NOW = Date.parse("2026-06-01T00:00:00Z");
+const RANGE = { fromBlock: 100, toBlock: 200 };
+
+describe("reconciliation", function () {
+  let workDir;
+  let store;
+
+  // A request journaled as log `journalIndex` of its transaction
+  function addRequest(reqId, fields = {}, journalIndex = 0) {
+    const eventKey = `0xtx${reqId}-${journalIndex}`;
+    store.put("requests", eventKey, {
+      eventKey,
+      reqId,
+      user: "0xuser",
+      poolAddress: "0xpool",
+      hbarAmount: "1000",
+      txHash: `0xtx${reqId}`,
+      blockNumber: 100 + Number(reqId),
+      logIndex: journalIndex,
+      status: "url_recorded",
+      receivedAt: new Date(NOW - 86400000).toISOString(),
+      components: [
+        { index: 0, status: "completed", tonnes: 2, urlTxHash: "0xurl" },
+      ],
+      ...fields,
+    });
+    store.put("requestIds", reqId, eventKey);
+    return eventKey;
+  }
+
+  function addOrder(reqId, eventKey, orderId) {
+    store.put("orders", `${reqId}:0`, {
+      reqId,
+      eventKey,
+      componentIndex: 0,
+      orderId,
+      state: "completed",
+    });
+  }
+
+  // The event as a scan numbering the logs from `chainIndex` sees it
+  function event(reqId, chainIndex = 0, hbarAmount = "1000") {
+    return {
+      eventKey: `0xtx${reqId}-${chainIndex}`,
+      reqId,
+      txHash: `0xtx${reqId}`,
+      blockNumber: 100 + Number(reqId),
+      hbarAmount,
+    };
+  }
+
+  const run = (events, options = {}) =>
+    reconcile({ store, events, range: RANGE, now: NOW, ...options }).mismatches;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-reconcile-"));
+    store = openRelayerStore(path.join(workDir, "state.json"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("matches events journaled under another log numbering by requestId", function () {
+    addOrder("1", addRequest("1", {}, 0), "order-1");
+    addOrder("2", addRequest("2", {}, 4), "order-2");
+
+    const mismatches = run([event("1", 7), event("2", 0, "999")]);
+    expect(mismatches.eventsWithoutOrder).to.deep.equal([]);
+    expect(mismatches.ordersWithoutEvent).to.deep.equal([]);
+    expect(mismatches.amountDiscrepancies).to.deep.equal([
+      {
+        kind: "hbar_amount",
+        reqId: "2",
+        eventKey: "0xtx2-4",
+        chain: "999",
+        journal: "1000",
+      },
+    ]);
+  });
+
+  it("reports events nothing was bought for and orders with no event", function () {
+    addOrder("1", addRequest("1"), "order-1");
+    addRequest("2", { status: "failed", lastError: "Order failed" });
+    addRequest("3", { status: "rejected" });
+
+    const mismatches = run([event("2"), event("3"), event("4")]);
+    expect(
+      mismatches.eventsWithoutOrder.map(({ reqId, reason }) => [reqId, reason])
+    ).to.deep.equal([
+      ["2", "dead-lettered: Order failed"],
+      ["4", "not in the journal"],
+    ]);
+    expect(mismatches.ordersWithoutEvent).to.have.length(1);
+    expect(mismatches.ordersWithoutEvent[0].orderId).to.equal("order-1");
+    expect(mismatches.ordersWithoutEvent[0].reason).to.equal(
+      "no OffsetRequested event for request 1"
+    );
+  });
+
+  it("lets a batch order stand for its contributors' events", function () {
+    const first = addRequest("1", { batchId: "b1" });
+    const second = addRequest("2", { batchId: "b1" }, 3);
+    const batchKey = addRequest("batch-b1", {
+      kind: "batch",
+      batchId: "b1",
+      poolAddress: null,
+      blockNumber: 150,
+    });
+    store.put("batches", "b1", {
+      id: "b1",
+      requestKey: batchKey,
+      contributions: [
+        { eventKey: first, reqId: "1" },
+        { eventKey: second, reqId: "2" },
+      ],
+    });
+    addOrder("batch-b1", batchKey, "order-b1");
+
+    const mismatches = run([event("1"), event("2", 9)]);
+    expect(mismatches.eventsWithoutOrder).to.deep.equal([]);
+    expect(mismatches.ordersWithoutEvent).to.deep.equal([]);
+  });
+
+  it("compares the journal with what Carbonmark says about each order", function () {
+    addOrder("1", addRequest("1"), "order-1");
+    addOrder("2", addRequest("2"), "order-2");
+
+    const carbonmarkOrders = new Map([
+      ["order-1", { status: "COMPLETED", quantity_tonnes: 2 }],
+      ["order-2", { status: "FAILED", quantity_tonnes: 1.5 }],
+    ]);
+    const mismatches = run([event("1"), event("2")], { carbonmarkOrders });
+    expect(
+      mismatches.orderStatusMismatches.map(({ orderId, reason }) => [
+        orderId,
+        reason,
+      ])
+    ).to.deep.equal([
+      ["order-2", "journal says completed, Carbonmark says FAILED"],
+    ]);
+    expect(mismatches.amountDiscrepancies).to.deep.equal([
+      {
+        kind: "order_tonnes",
+        reqId: "2",
+        eventKey: "0xtx2-0",
+        orderId: "order-2",
+        carbonmark: 1.5,
+        journal: 2,
+      },
+    ]);
+  });
+});
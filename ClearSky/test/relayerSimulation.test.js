@@ -0,0 +1,799 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { TASK_NODE_CREATE_SERVER } from "hardhat/builtin-tasks/task-names.js";
+import { execFile, spawn } from "child_process";
+import fetch from "node-fetch";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startMockCarbonmark } from "../contracts/CDR/mockCarbonmark.js";
+import { queueReplay } from "../contracts/CDR/replayInbox.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RELAYER_PATH = path.join(__dirname, "../contracts/CDR/relayer.js");
+const EXPORT_LEDGER_PATH = path.join(
+  __dirname,
+  "../contracts/CDR/exportLedger.js"
+);
+
+// Hardhat's first default account, which deploys the contracts below
+const RELAYER_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+// A contract that accepts any call, standing in for ClearSkyFactory (real
+// pools need the HTS precompile, which Hardhat does not have)
+const ACCEPT_ALL_BYTECODE = "0x600180600b6000396000f300";
+
+const POOL = "0x000000000000000000000000000000000000dEaD";
+const BENEFICIARY = "0x8f3A8f7A3B1c4dE7a1F3B29A2A0C88Ff7b47D912";
+
+// 10 HBAR at the $0.10 fallback rate = $1 = 2 t at the mock's $0.50/t
+const TEN_HBAR = 10n * 10n ** 8n;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("relayer against a local Carbonmark stand-in", function () {
+  let rpcServer;
+  let rpcUrl;
+  let factoryAddress;
+  let factoryInterface;
+  // Set up afresh for every test
+  let workDir;
+  let hbarOffset;
+  let mock;
+  let adminUrl;
+  let relayer;
+  let relayerExited;
+  let relayerEnv;
+
+  async function admin(route, options = {}) {
+    const res = await fetch(`${adminUrl}${route}`, options);
+    return { status: res.status, body: await res.json() };
+  }
+
+  function relayerLog() {
+    return fs.readFileSync(path.join(workDir, "relayer.log"), "utf8");
+  }
+
+  // Poll the admin API until the request matches `done`
+  async function waitForRequest(reqId, done, timeoutMs = 20000) {
+    const deadline = Date.now() + timeoutMs;
+    let last = null;
+    while (Date.now() < deadline) {
+      const { status, body } = await admin(`/requests/${reqId}`);
+      if (status === 200) {
+        last = body;
+        if (done(body)) return body;
+      }
+      await sleep(250);
+    }
+    throw new Error(
+      `Request ${reqId} stuck at "${last && last.status}"\n${relayerLog()
+        .split("\n")
+        .slice(-40)
+        .join("\n")}`
+    );
+  }
+
+  async function requestOffset(metadata, amount = TEN_HBAR, from = null) {
+    const tx = await (from
+      ? hbarOffset.connect(from)
+      : hbarOffset
+    ).requestOffset(JSON.stringify(metadata), amount, POOL, { value: amount });
+    const receipt = await tx.wait();
+    const [event] = receipt.logs.map((log) =>
+      hbarOffset.interface.parseLog(log)
+    );
+    return event.args.requestId.toString();
+  }
+
+  const ordersFor = (reqId) =>
+    mock.state.orders.filter((order) =>
+      order.retirement_message.includes(`request ${reqId}`)
+    );
+
+  before(async function () {
+    this.timeout(60000);
+    // Serve the in-process Hardhat network over JSON-RPC for the relayer
+    rpcServer = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname: "127.0.0.1",
+      port: await freePort(),
+      provider: hre.network.provider,
+    });
+    const { port: rpcPort } = await rpcServer.listen();
+    rpcUrl = `http://127.0.0.1:${rpcPort}`;
+
+    const [deployer] = await hre.ethers.getSigners();
+    factoryAddress = (
+      await (
+        await deployer.sendTransaction({ data: ACCEPT_ALL_BYTECODE })
+      ).wait()
+    ).contractAddress;
+    const { abi: factoryABI } = await hre.artifacts.readArtifact(
+      "ClearSkyFactory"
+    );
+    factoryInterface = new hre.ethers.Interface(factoryABI);
+  });
+
+  after(async function () {
+    if (rpcServer) await rpcServer.close();
+  });
+
+  // Each test gets its own HbarOffset, Carbonmark stand-in, journal and
+  // relayer, so none depends on what the ones before it left behind
+  beforeEach(async function () {
+    this.timeout(60000);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-sim-"));
+
+    hbarOffset = await hre.ethers.deployContract("HbarOffset");
+    await hbarOffset.waitForDeployment();
+    const cdrFile = path.join(workDir, "cdr.json");
+    const factoryFile = path.join(workDir, "factory.json");
+    fs.writeFileSync(
+      cdrFile,
+      JSON.stringify({
+        testnet: { hbarOffset: { address: await hbarOffset.getAddress() } },
+      })
+    );
+    fs.writeFileSync(
+      factoryFile,
+      JSON.stringify({ testnet: { factory: { address: factoryAddress } } })
+    );
+
+    mock = await startMockCarbonmark();
+    mock.setPrice("mock-vcs-191", 0.5);
+    const adminPort = await freePort();
+    adminUrl = `http://127.0.0.1:${adminPort}`;
+
+    relayerEnv = {
+      ...process.env,
+      NETWORK: "testnet",
+      HEDERA_TESTNET_RPC_URL: rpcUrl,
+      CDR_DEPLOYMENT_FILE: cdrFile,
+      FACTORY_DEPLOYMENT_FILE: factoryFile,
+      PRIVATE_KEY: RELAYER_KEY,
+      RELAYER_SIMULATION: "true",
+      CARBONMARK_API_URL: mock.url,
+      RELAYER_DATA_DIR: path.join(workDir, "data"),
+      RELAYER_START_BLOCK: String(
+        (await hre.ethers.provider.getBlockNumber()) + 1
+      ),
+      RELAYER_ADMIN_PORT: String(adminPort),
+      RELAYER_POLL_INTERVAL_MS: "300",
+      RELAYER_ORDER_POLL_MS: "250",
+      RELAYER_RETRY_BASE_MS: "200",
+      RELAYER_PRICE_HOLD_RETRY_MS: "300",
+      RELAYER_BATCH_MAX_AGE_MS: "1500",
+      RELAYER_REFUND_METHOD: "off",
+      PAYMENT_VERIFICATION: "rpc",
+      // Hardhat's msg.value is in wei, not weibars
+      RELAYER_WEI_PER_TINYBAR: "1",
+      HBAR_PRICE_SOURCES: "cex",
+      HBAR_PRICE_TICKER_URL: "http://127.0.0.1:9",
+      HBAR_USD_FALLBACK_PRICE: "0.1",
+    };
+    await startRelayer();
+  });
+
+  afterEach(async function () {
+    await stopRelayer();
+    if (mock) await mock.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  // Spawn the relayer (appending to relayer.log) and wait for its admin API
+  async function startRelayer() {
+    const log = fs.openSync(path.join(workDir, "relayer.log"), "a");
+    relayer = spawn(process.execPath, [RELAYER_PATH], {
+      env: relayerEnv,
+      stdio: ["ignore", log, log],
+    });
+    relayerExited = new Promise((resolve) => relayer.once("exit", resolve));
+
+    const deadline = Date.now() + 30000;
+    for (;;) {
+      try {
+        if ((await admin("/health")).status === 200) break;
+      } catch {
+        // not listening yet
+      }
+      if (relayer.exitCode !== null || Date.now() > deadline) {
+        throw new Error(`Relayer did not start:\n${relayerLog()}`);
+      }
+      await sleep(250);
+    }
+  }
+
+  // SIGTERM the relayer if it runs; resolves to its exit code
+  async function stopRelayer() {
+    if (relayer && relayer.exitCode === null) relayer.kill("SIGTERM");
+    return relayerExited;
+  }
+
+  // Restart the relayer on the same journal with `env` on top
+  async function restartRelayer(env) {
+    await stopRelayer();
+    relayerEnv = { ...relayerEnv, ...env };
+    await startRelayer();
+  }
+
+  it("retires a request and records the URL on its pool", async function () {
+    const reqId = await requestOffset({
+      projectIds: ["VCS-191"],
+      beneficiaryAddress: BENEFICIARY,
+      beneficiaryName: "Simulated Co",
+    });
+
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    const [component] = request.components;
+    expect(component.tonnes).to.equal(2);
+    expect(component.projectId).to.equal("VCS-191");
+
+    const [order] = ordersFor(reqId);
+    expect(component.orderId).to.equal(order.id);
+    // Metadata addresses are normalized to their checksummed form
+    expect(order.beneficiary_address).to.equal(
+      hre.ethers.getAddress(BENEFICIARY.toLowerCase())
+    );
+    expect(order.beneficiary_name).to.equal("Simulated Co");
+    expect(component.retirementUrl).to.equal(
+      `https://carbonmark.example/retirements/${order.id}`
+    );
+
+    const tx = await hre.ethers.provider.getTransaction(component.urlTxHash);
+    const call = factoryInterface.parseTransaction(tx);
+    expect(call.name).to.equal("setPoolRetirementUrl");
+    expect(call.args[0]).to.equal(POOL);
+    expect(call.args[1]).to.equal(component.retirementUrl);
+
+    expect(relayerLog()).to.include(
+      `💸 Payment verified: ${TEN_HBAR} tinybars (rpc)`
+    );
+  });
+
+  it("refuses an offset request that does not pay its amount", async function () {
+    const metadata = JSON.stringify({ beneficiaryAddress: BENEFICIARY });
+    for (const value of [0n, TEN_HBAR - 1n]) {
+      let error = null;
+      try {
+        await hbarOffset.requestOffset(metadata, TEN_HBAR, POOL, { value });
+      } catch (err) {
+        error = err;
+      }
+      expect(error && error.message).to.include("msg.value must equal amount");
+    }
+  });
+
+  it("waits for an order that completes slowly", async function () {
+    mock.script({ orders: ["slow"], slowMs: 1500 });
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    expect(request.deferrals).to.be.greaterThan(0);
+    expect(ordersFor(reqId)).to.have.length(1);
+  });
+
+  it("dead-letters a FAILED order and re-quotes it when re-driven", async function () {
+    mock.script({ orders: ["failed", "complete"] });
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+
+    const failed = await waitForRequest(reqId, (r) => r.status === "failed");
+    expect(failed.lastError).to.match(/Order failed/);
+    expect(failed.deadLetter.resumeState).to.equal("priced");
+
+    const retry = await admin(`/requests/${reqId}/retry`, { method: "POST" });
+    expect(retry.status).to.equal(202);
+    await waitForRequest(reqId, (r) => r.status === "url_recorded");
+
+    const orders = ordersFor(reqId);
+    expect(orders).to.have.length(2);
+    expect(orders[0].quote_uuid).to.not.equal(orders[1].quote_uuid);
+  });
+
+  it("dead-letters a CANCELLED order", async function () {
+    mock.script({ orders: ["cancelled"] });
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+
+    const failed = await waitForRequest(reqId, (r) => r.status === "failed");
+    expect(failed.lastError).to.match(/Order cancelled/);
+    expect(ordersFor(reqId)).to.have.length(1);
+  });
+
+  it("finds an order whose id was missing instead of buying twice", async function () {
+    mock.script({ orders: ["missing-id"] });
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+
+    const failed = await waitForRequest(reqId, (r) => r.status === "failed");
+    expect(failed.lastError).to.match(/Could not extract order ID/);
+
+    await admin(`/requests/${reqId}/retry`, { method: "POST" });
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    const orders = ordersFor(reqId);
+    expect(orders).to.have.length(1);
+    expect(request.components[0].orderId).to.equal(orders[0].id);
+  });
+
+  it("sizes the purchase from the current listing price", async function () {
+    mock.setPrice("mock-vcs-191", 0.25);
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    expect(request.components[0].tonnes).to.equal(4);
+    expect(request.components[0].pricePerTonne).to.equal(0.25);
+  });
+
+  it("keeps the quote taken after the price moved", async function () {
+    mock.script({ quotes: ["price-change"] });
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    const [record] = request.orders;
+    expect(request.components[0].pricePerTonne).to.equal(0.5);
+    expect(record.quote.price_per_tonne).to.equal(0.625);
+  });
+
+  it("re-quotes when Carbonmark refuses an expired quote", async function () {
+    mock.script({ quotes: ["expired"] });
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    expect(request.quotes.map((q) => q.outcome)).to.deep.equal([
+      "expired",
+      "ordered",
+    ]);
+    expect(request.quotes[0].reason).to.match(/Quote has expired/);
+    const [record] = request.orders;
+    expect(record.superseded[0].state).to.equal("expired");
+    expect(record.quoteUuid).to.equal(request.quotes[1].uuid);
+    expect(ordersFor(reqId)).to.have.length(1);
+  });
+
+  it("refunds instead of ordering above the user's maxPricePerTonne", async function () {
+    this.timeout(60000);
+    await restartRelayer({ RELAYER_REFUND_METHOD: "sweep" });
+    mock.script({ quotes: ["price-change"] });
+    const [, customer] = await hre.ethers.getSigners();
+    const reqId = await requestOffset(
+      { beneficiaryAddress: BENEFICIARY, maxPricePerTonne: 0.6 },
+      TEN_HBAR,
+      customer
+    );
+    const paidBalance = await hre.ethers.provider.getBalance(customer.address);
+
+    const rejected = await waitForRequest(
+      reqId,
+      (r) => r.status === "rejected"
+    );
+    expect(rejected.rejectionReason).to.match(
+      /\$0\.625\/t is above maxPricePerTonne \$0\.6\/t/
+    );
+    expect(ordersFor(reqId)).to.have.length(0);
+
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.refundStatus === "sent"
+    );
+    const tx = await hre.ethers.provider.getTransaction(request.refundTxHash);
+    expect(hbarOffset.interface.parseTransaction(tx).name).to.equal("sweep");
+    expect(
+      (await hre.ethers.provider.getBalance(customer.address)) - paidBalance
+    ).to.equal(TEN_HBAR);
+    expect(
+      await hre.ethers.provider.getBalance(await hbarOffset.getAddress())
+    ).to.equal(0n);
+  });
+
+  it("holds a request until the price is back within its bounds", async function () {
+    mock.script({ quotes: ["price-change"] });
+    const reqId = await requestOffset({
+      beneficiaryAddress: BENEFICIARY,
+      max_price_per_tonne: 0.6,
+      on_price_breach: "hold",
+    });
+
+    const held = await waitForRequest(reqId, (r) => r.deferrals > 0);
+    expect(held.status).to.equal("priced");
+    expect(held.deferredReason).to.match(/holding for a better price/);
+
+    mock.setPrice("mock-vcs-191", 0.5);
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    expect(request.orders[0].quote.price_per_tonne).to.equal(0.5);
+    expect(request.quotes[0].outcome).to.equal("price_breach");
+    expect(ordersFor(reqId)).to.have.length(1);
+  });
+
+  it("pools small requests and flushes the batch after its maximum age", async function () {
+    // 0.004 HBAR = $0.0004 = 0.0008 t, below the 0.001 t minimum fill
+    const small = 4n * 10n ** 5n;
+    const first = await requestOffset(
+      { beneficiaryAddress: BENEFICIARY },
+      small
+    );
+    const second = await requestOffset(
+      { beneficiaryAddress: BENEFICIARY },
+      small
+    );
+    const pooled = await waitForRequest(first, (r) => r.status === "batched");
+
+    const requests = await Promise.all(
+      [first, second].map((reqId) =>
+        waitForRequest(reqId, (r) => r.status === "url_recorded")
+      )
+    );
+    // Flushed below RELAYER_BATCH_MIN_TONNES: $0.0008 buys 0.001 t
+    const { body: batch } = await admin(`/requests/batch-${pooled.batchId}`);
+    expect(batch.tonnes).to.equal(0.001);
+    for (const request of requests) {
+      expect(request.batchId).to.equal(pooled.batchId);
+      expect(request.components[0].batchShare).to.equal(0.5);
+      expect(request.components[0].tonnes).to.equal(0.0005);
+    }
+    expect(relayerLog()).to.include(`Batch ${pooled.batchId} flushed`);
+  });
+
+  it("refunds the contributors of a batch too small to ever fill", async function () {
+    const reqId = await requestOffset(
+      { beneficiaryAddress: BENEFICIARY },
+      4n * 10n ** 5n
+    );
+    const request = await waitForRequest(reqId, (r) => r.status === "rejected");
+    expect(request.rejectionReason).to.match(/expired unfilled/);
+    expect(request.refundStatus).to.equal("queued");
+  });
+
+  it("rejects a request with invalid metadata without calling Carbonmark", async function () {
+    const callsBefore = mock.state.calls.length;
+    const tx = await hbarOffset.requestOffset("not json", TEN_HBAR, POOL, {
+      value: TEN_HBAR,
+    });
+    const receipt = await tx.wait();
+    const reqId = hbarOffset.interface
+      .parseLog(receipt.logs[0])
+      .args.requestId.toString();
+
+    const request = await waitForRequest(reqId, (r) => r.status === "rejected");
+    expect(request.rejectionReason).to.match(/not valid JSON/);
+    expect(mock.state.calls.length).to.equal(callsBefore);
+  });
+
+  it("checkpoints on SIGTERM and resumes the request after a restart", async function () {
+    this.timeout(60000);
+    mock.script({ orders: ["slow"], slowMs: 3000 });
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+    await waitForRequest(reqId, (r) => r.status === "ordered");
+
+    expect(await stopRelayer()).to.equal(0);
+    expect(relayerLog()).to.match(/SIGTERM received/);
+    expect(relayerLog()).to.match(/relayer stopped/);
+
+    await startRelayer();
+    expect(relayerLog()).to.match(/Previous run stopped on SIGTERM/);
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    expect(ordersFor(reqId)).to.have.length(1);
+    expect(request.components[0].orderId).to.equal(ordersFor(reqId)[0].id);
+  });
+
+  it("settles a refund that was sent just before a restart", async function () {
+    this.timeout(60000);
+    const reqId = await requestOffset({ beneficiaryAddress: "nope" });
+    const { eventKey } = await waitForRequest(
+      reqId,
+      (r) => r.status === "rejected"
+    );
+
+    expect(await stopRelayer()).to.equal(0);
+    // The refund went out, but the relayer stopped before it saw the receipt
+    const [deployer] = await hre.ethers.getSigners();
+    const sweep = await hbarOffset.sweep(deployer.address, TEN_HBAR);
+    await sweep.wait();
+    const stateFile = path.join(workDir, "data", "state-testnet.json");
+    const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    Object.assign(state.collections.refunds[eventKey], {
+      status: "sending",
+      amountTinybars: TEN_HBAR.toString(),
+      method: "sweep",
+      refundTxHash: sweep.hash,
+    });
+    fs.writeFileSync(stateFile, JSON.stringify(state));
+
+    await startRelayer();
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.refundStatus === "sent"
+    );
+    expect(request.refundTxHash).to.equal(sweep.hash);
+    const { ledger } = JSON.parse(
+      fs.readFileSync(stateFile, "utf8")
+    ).collections;
+    const refund = ledger[`refund:${eventKey}`];
+    expect(refund.txHash).to.equal(sweep.hash);
+    expect(refund.lines[0].amount).to.equal(TEN_HBAR.toString());
+  });
+
+  it("replays a transaction journaled under another log numbering", async function () {
+    this.timeout(60000);
+    mock.script({ orders: ["failed", "complete"] });
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+    const { eventKey, txHash } = await waitForRequest(
+      reqId,
+      (r) => r.status === "failed"
+    );
+
+    expect(await stopRelayer()).to.equal(0);
+    // As if the mirror node had journaled it, numbering its log differently
+    const mirrorKey = `${txHash}-99`;
+    const stateFile = path.join(workDir, "data", "state-testnet.json");
+    const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    const { requests, requestIds, deadLetters } = state.collections;
+    requests[mirrorKey] = { ...requests[eventKey], eventKey: mirrorKey };
+    deadLetters[mirrorKey] = { ...deadLetters[eventKey], eventKey: mirrorKey };
+    delete requests[eventKey];
+    delete deadLetters[eventKey];
+    requestIds[reqId] = mirrorKey;
+    fs.writeFileSync(stateFile, JSON.stringify(state));
+
+    queueReplay(path.join(workDir, "data", "replay-testnet.jsonl"), {
+      type: "tx",
+      txHash,
+    });
+    await startRelayer();
+    const request = await waitForRequest(
+      reqId,
+      (r) => r.status === "url_recorded"
+    );
+    expect(request.eventKey).to.equal(mirrorKey);
+    expect(relayerLog()).to.include(`Replayed tx ${txHash}: 0 new request(s)`);
+    const { collections } = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    expect(collections.requests[eventKey]).to.equal(undefined);
+    expect(ordersFor(reqId)).to.have.length(2);
+  });
+
+  it("takes over a dead instance's request only if it had not ordered yet", async function () {
+    this.timeout(60000);
+    expect(await stopRelayer()).to.equal(0);
+
+    // Another instance sharing the lease directory died holding these two
+    const leaseDir = path.join(workDir, "leases");
+    fs.mkdirSync(leaseDir, { recursive: true });
+    const contract = (await hbarOffset.getAddress()).toLowerCase();
+    const early = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+    const late = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+    for (const [reqId, state] of [
+      [early, "priced"],
+      [late, "ordered"],
+    ]) {
+      const key = `${contract}-${reqId}`;
+      fs.writeFileSync(
+        path.join(leaseDir, `${key}.lease`),
+        JSON.stringify({
+          key,
+          owner: "dead-instance",
+          state,
+          version: 3,
+          expiresAt: Date.now() - 1000,
+        })
+      );
+    }
+
+    relayerEnv = { ...relayerEnv, RELAYER_LEASE_DIR: leaseDir };
+    await startRelayer();
+    await waitForRequest(early, (r) => r.status === "url_recorded");
+    const failed = await waitForRequest(late, (r) => r.status === "failed");
+    expect(failed.lastError).to.match(
+      /Lease of dead-instance expired at "ordered"/
+    );
+    expect(ordersFor(late)).to.have.length(0);
+    expect(relayerLog()).to.include(
+      `Took over request ${early} from dead-instance`
+    );
+  });
+
+  it("sweeps the balance above the float to the treasury", async function () {
+    this.timeout(60000);
+    const treasury = hre.ethers.Wallet.createRandom().address;
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+    await waitForRequest(reqId, (r) => r.status === "url_recorded");
+    // A rejected request's 10 HBAR stay behind for its refund
+    const rejected = await requestOffset({ beneficiaryAddress: "nope" });
+    await waitForRequest(rejected, (r) => r.status === "rejected");
+
+    await restartRelayer({
+      RELAYER_TREASURY_SWEEP_MS: "500",
+      TREASURY_ADDRESS: treasury,
+      RELAYER_TREASURY_FLOAT_HBAR: "2",
+      RELAYER_TREASURY_MIN_SWEEP_HBAR: "1",
+    });
+    let sweeps = [];
+    for (const deadline = Date.now() + 20000; Date.now() < deadline; ) {
+      ({ sweeps } = (await admin("/treasury/sweeps?status=sent")).body);
+      if (sweeps.length > 0) break;
+      await sleep(250);
+    }
+    // 20 HBAR held, 2 HBAR float and 10 HBAR reserved for the refund
+    const [sweep] = sweeps;
+    expect(sweep.amountTinybars).to.equal((8n * 10n ** 8n).toString());
+    expect(sweep.reservedTinybars).to.equal(TEN_HBAR.toString());
+    expect(await hre.ethers.provider.getBalance(treasury)).to.equal(
+      8n * 10n ** 8n
+    );
+    const { ledger } = JSON.parse(
+      fs.readFileSync(path.join(workDir, "data", "state-testnet.json"), "utf8")
+    ).collections;
+    expect(ledger[`sweep:${sweep.id}`].txHash).to.equal(sweep.txHash);
+  });
+
+  it("settles a sweep that was sent just before a restart", async function () {
+    this.timeout(60000);
+    const treasury = hre.ethers.Wallet.createRandom().address;
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+    await waitForRequest(reqId, (r) => r.status === "url_recorded");
+
+    expect(await stopRelayer()).to.equal(0);
+    // The sweep went out, but the relayer stopped before it saw the receipt
+    const tx = await hbarOffset.sweep(treasury, TEN_HBAR);
+    await tx.wait();
+    const stateFile = path.join(workDir, "data", "state-testnet.json");
+    const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    state.collections.treasurySweeps = {
+      "sweep-1": {
+        id: "sweep-1",
+        to: treasury,
+        amountTinybars: TEN_HBAR.toString(),
+        status: "sending",
+        startedAt: new Date().toISOString(),
+        txHash: tx.hash,
+      },
+    };
+    fs.writeFileSync(stateFile, JSON.stringify(state));
+
+    await startRelayer();
+    let sweep = null;
+    for (const deadline = Date.now() + 20000; Date.now() < deadline; ) {
+      [sweep] = (await admin("/treasury/sweeps")).body.sweeps;
+      if (sweep.status !== "sending") break;
+      await sleep(250);
+    }
+    expect(sweep.status).to.equal("sent");
+    expect(relayerLog()).to.include(
+      `Treasury sweep sweep-1 was sent before the restart: ${tx.hash}`
+    );
+    const { ledger } = JSON.parse(
+      fs.readFileSync(stateFile, "utf8")
+    ).collections;
+    expect(ledger["sweep:sweep-1"].lines[0].amount).to.equal(
+      TEN_HBAR.toString()
+    );
+  });
+
+  it("lists every retirement behind the pool, whichever instance made it", async function () {
+    this.timeout(60000);
+    const leaseDir = path.join(workDir, "leases");
+    await restartRelayer({
+      RELAYER_LEASE_DIR: leaseDir,
+      RELAYER_INSTANCE_ID: "alpha",
+    });
+    const reqIds = [];
+    for (let i = 0; i < 2; i++) {
+      reqIds.push(await requestOffset({ beneficiaryAddress: BENEFICIARY }));
+    }
+    const retired = [];
+    for (const reqId of reqIds) {
+      retired.push(
+        await waitForRequest(reqId, (r) => r.status === "url_recorded")
+      );
+    }
+
+    // Another instance sharing the leases, with a journal of its own
+    await restartRelayer({
+      RELAYER_INSTANCE_ID: "beta",
+      RELAYER_DATA_DIR: path.join(workDir, "beta"),
+    });
+    await waitForRequest(reqIds[1], (r) => r.status === "handled_elsewhere");
+
+    const { status, body } = await admin(`/pools/${POOL}/retirements`);
+    expect(status).to.equal(200);
+    expect(body.count).to.equal(2);
+    expect(body.tonnes).to.equal(4);
+    // In the order they were recorded on chain
+    expect(body.retirements.map((r) => r.reqId).sort()).to.deep.equal(reqIds);
+    for (const record of body.retirements) {
+      const [component] = retired[reqIds.indexOf(record.reqId)].components;
+      expect(record.orderId).to.equal(component.orderId);
+      expect(record.retirementUrl).to.equal(component.retirementUrl);
+      expect(record.txHash).to.equal(component.recordTxHash);
+      const tx = await hre.ethers.provider.getTransaction(record.txHash);
+      expect(hbarOffset.interface.parseTransaction(tx).name).to.equal(
+        "recordRetirement"
+      );
+    }
+
+    const { body: pools } = await admin("/pools");
+    const [pool] = pools.pools;
+    expect(pools.count).to.equal(1);
+    expect(pool.retirements).to.equal(2);
+    expect(pool.currentUrl).to.equal(body.retirements.at(-1).retirementUrl);
+  });
+
+  it("books each retirement in the ledger", async function () {
+    const reqId = await requestOffset({ beneficiaryAddress: BENEFICIARY });
+    await waitForRequest(reqId, (r) => r.status === "url_recorded");
+
+    const [deployer] = await hre.ethers.getSigners();
+    const stdout = await new Promise((resolve, reject) =>
+      execFile(
+        process.execPath,
+        [
+          EXPORT_LEDGER_PATH,
+          "--format",
+          "json",
+          "--customer",
+          deployer.address,
+        ],
+        {
+          env: { ...process.env, RELAYER_DATA_DIR: path.join(workDir, "data") },
+        },
+        (err, out) => (err ? reject(err) : resolve(out))
+      )
+    );
+    const { entries } = JSON.parse(stdout);
+    const types = entries
+      .filter((entry) => entry.reqId === reqId)
+      .map((entry) => entry.type)
+      .sort();
+    // Network fees of the pool URL and of the retirement record
+    expect(types).to.deep.equal([
+      "carbonmark_retirement",
+      "network_fee",
+      "network_fee",
+      "payment",
+      "revenue",
+    ]);
+    const cost = entries.find(
+      (entry) => entry.reqId === reqId && entry.type === "carbonmark_retirement"
+    );
+    // 2 t at $0.50/t
+    expect(cost.lines.map((line) => line.usd)).to.deep.equal([1, 1]);
+    const payment = entries.find(
+      (entry) => entry.reqId === reqId && entry.type === "payment"
+    );
+    expect(payment.hbarUsdRate).to.equal(0.1);
+    expect(payment.lines[0].amount).to.equal(TEN_HBAR.toString());
+  });
+});
@@ -0,0 +1,75 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+
+describe("relayer journal", function () {
+  let workDir;
+  let filePath;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-store-"));
+    filePath = path.join(workDir, "state.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("writes a transaction to disk once, when it succeeds", function () {
+    const store = openRelayerStore(filePath);
+    store.transaction(() => {
+      store.put("requests", "a", { status: "received" });
+      store.setCursor("rpc", 10);
+      expect(fs.existsSync(filePath)).to.equal(false);
+    });
+
+    const reopened = openRelayerStore(filePath);
+    expect(reopened.get("requests", "a")).to.deep.equal({
+      status: "received",
+    });
+    expect(reopened.getCursor("rpc")).to.equal(10);
+  });
+
+  it("undoes a transaction that throws and leaves the file as it was", function () {
+    const store = openRelayerStore(filePath);
+    store.put("requests", "a", { status: "received" });
+    store.setCursor("rpc", 10);
+    const before = fs.readFileSync(filePath, "utf8");
+
+    expect(() =>
+      store.transaction(() => {
+        store.update("requests", "a", { status: "priced" });
+        store.put("requests", "b", { status: "received" });
+        store.remove("requests", "a");
+        store.setCursor("rpc", 20);
+        throw new Error("boom");
+      })
+    ).to.throw("boom");
+
+    expect(fs.readFileSync(filePath, "utf8")).to.equal(before);
+    expect(store.get("requests", "a")).to.deep.equal({ status: "received" });
+    expect(store.has("requests", "b")).to.equal(false);
+    expect(store.getCursor("rpc")).to.equal(10);
+  });
+
+  it("undoes only the inner transaction when the outer one catches", function () {
+    const store = openRelayerStore(filePath);
+    store.transaction(() => {
+      store.put("requests", "a", { status: "received" });
+      try {
+        store.transaction(() => {
+          store.put("requests", "b", { status: "received" });
+          throw new Error("inner");
+        });
+      } catch {
+        // the outer transaction goes on without "b"
+      }
+    });
+
+    const reopened = openRelayerStore(filePath);
+    expect(reopened.has("requests", "a")).to.equal(true);
+    expect(reopened.has("requests", "b")).to.equal(false);
+  });
+});
@@ -0,0 +1,74 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import { drainReplayQueue, queueReplay } from "../contracts/CDR/replayInbox.js";
+
+describe("replay inbox", function () {
+  let workDir;
+  let inbox;
+  let store;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-replay-"));
+    inbox = path.join(workDir, "replay-testnet.jsonl");
+    store = openRelayerStore(path.join(workDir, "state.json"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("hands every queued command over once and clears the inbox", async function () {
+    queueReplay(inbox, { type: "tx", txHash: "0x01" });
+    queueReplay(inbox, { type: "request", id: "12" });
+    const seen = [];
+
+    expect(await drainReplayQueue(inbox, store, (c) => seen.push(c))).to.equal(
+      2
+    );
+    expect(seen.map(({ type }) => type)).to.deep.equal(["tx", "request"]);
+    expect(seen[1].id).to.equal("12");
+    expect(seen[0].commandId).to.not.equal(seen[1].commandId);
+    expect(fs.existsSync(inbox)).to.equal(false);
+    expect(fs.existsSync(`${inbox}.processing`)).to.equal(false);
+    expect(store.list("replays")).to.deep.equal([]);
+
+    expect(await drainReplayQueue(inbox, store, (c) => seen.push(c))).to.equal(
+      0
+    );
+    expect(seen).to.have.length(2);
+  });
+
+  it("resumes commands claimed before a crash without repeating handled ones", async function () {
+    queueReplay(inbox, { type: "blocks", fromBlock: 1, toBlock: 9 });
+    queueReplay(inbox, { type: "request", id: "12" });
+    // The previous run claimed both and handled the first, then died
+    fs.renameSync(inbox, `${inbox}.processing`);
+    const [first] = fs
+      .readFileSync(`${inbox}.processing`, "utf8")
+      .split("\n")
+      .map((line) => line && JSON.parse(line));
+    store.put("replays", first.commandId, { commandId: first.commandId });
+    queueReplay(inbox, { type: "tx", txHash: "0x02" });
+
+    const seen = [];
+    await drainReplayQueue(inbox, store, (c) => seen.push(c.type));
+    expect(seen).to.deep.equal(["request"]);
+    expect(store.list("replays")).to.deep.equal([]);
+
+    // Commands queued meanwhile are claimed on the next drain
+    await drainReplayQueue(inbox, store, (c) => seen.push(c.type));
+    expect(seen).to.deep.equal(["request", "tx"]);
+  });
+
+  it("counts a failed command as handled", async function () {
+    queueReplay(inbox, { type: "tx", txHash: "0x03" });
+    const handled = await drainReplayQueue(inbox, store, async () => {
+      throw new Error("rpc down");
+    });
+    expect(handled).to.equal(1);
+    expect(fs.existsSync(`${inbox}.processing`)).to.equal(false);
+  });
+});
@@ -0,0 +1,170 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import { createRequestProcessor } from "../contracts/CDR/requestProcessor.js";
+import {
+  RequestDeferredError,
+  RequestRejectedError,
+  StepFailedError,
+} from "../contracts/CDR/relayerErrors.js";
+
+const RETRY_POLICY = {
+  price: { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000 },
+  quote: { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000 },
+  order: { maxAttempts: 1, baseDelayMs: 100, maxDelayMs: 1000 },
+  complete: { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000 },
+  record_url: { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000 },
+};
+
+describe("request processor", function () {
+  let workDir;
+  let store;
+  let retries;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-processor-"));
+    store = openRelayerStore(path.join(workDir, "state.json"));
+    retries = [];
+    store.put("requests", "tx-0", {
+      eventKey: "tx-0",
+      reqId: "3",
+      user: "0xAAA",
+      hbarAmount: "500000000",
+      status: "received",
+      history: [],
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  // Steps that succeed unless `failures[step]` holds an error to throw
+  function processorWith(failures = {}, options = {}) {
+    const ran = [];
+    const step = (name, fields) => async () => {
+      ran.push(name);
+      if (failures[name]) throw failures[name];
+      return fields;
+    };
+    const processor = createRequestProcessor({
+      store,
+      steps: {
+        price: step("price", { tonnes: 1 }),
+        quote: step("quote", {}),
+        order: step("order", {}),
+        complete: step("complete", {}),
+        record_url: step("record_url", {}),
+      },
+      retryPolicy: RETRY_POLICY,
+      scheduleRetry: (eventKey, delayMs) => retries.push([eventKey, delayMs]),
+      ...options,
+    });
+    return { processor, ran };
+  }
+
+  const request = () => store.get("requests", "tx-0");
+
+  it("runs a request through every step and journals each transition", async function () {
+    const { processor, ran } = processorWith();
+    await processor.processRequest("tx-0");
+
+    expect(ran).to.deep.equal([
+      "price",
+      "quote",
+      "order",
+      "complete",
+      "record_url",
+    ]);
+    expect(request()).to.include({ status: "url_recorded", tonnes: 1 });
+    expect(request().history.map((h) => h.status)).to.deep.equal([
+      "priced",
+      "quoted",
+      "ordered",
+      "completed",
+      "url_recorded",
+    ]);
+  });
+
+  it("defers without using up an attempt", async function () {
+    const { processor } = processorWith({
+      quote: new RequestDeferredError("prices stale", { retryAfterMs: 5000 }),
+    });
+    await processor.processRequest("tx-0");
+
+    expect(request()).to.include({
+      status: "priced",
+      deferrals: 1,
+      deferredReason: "prices stale",
+    });
+    expect(request().attempts).to.equal(0);
+    expect(retries).to.deep.equal([["tx-0", 5000]]);
+  });
+
+  it("rejects a request and queues its refund", async function () {
+    const { processor } = processorWith({
+      price: new RequestRejectedError("Invalid metadata"),
+    });
+    await processor.processRequest("tx-0");
+
+    expect(request()).to.include({
+      status: "rejected",
+      rejectionReason: "Invalid metadata",
+      refundStatus: "queued",
+    });
+    expect(store.get("refunds", "tx-0")).to.include({
+      reason: "Invalid metadata",
+    });
+    expect(retries).to.deep.equal([]);
+  });
+
+  it("retries a failing step with backoff, then dead-letters it", async function () {
+    const { processor } = processorWith({ price: new Error("rpc down") });
+
+    await processor.processRequest("tx-0");
+    expect(request()).to.include({ status: "received", attempts: 1 });
+    expect(retries).to.have.length(1);
+
+    await processor.processRequest("tx-0");
+    await processor.processRequest("tx-0");
+    expect(request().status).to.equal("failed");
+    expect(retries).to.have.length(2);
+    expect(store.get("deadLetters", "tx-0")).to.include({
+      failedStep: "price",
+      attempts: 3,
+    });
+  });
+
+  it("dead-letters a StepFailedError at once, keeping its resume state", async function () {
+    const { processor } = processorWith({
+      complete: new StepFailedError("Order failed: o1", {
+        resumeState: "priced",
+      }),
+    });
+    await processor.processRequest("tx-0");
+
+    expect(request().status).to.equal("failed");
+    expect(store.get("deadLetters", "tx-0")).to.include({
+      failedStep: "complete",
+      resumeState: "priced",
+    });
+    expect(retries).to.deep.equal([]);
+  });
+
+  it("stops between steps when the lease is lost or the relayer stops", async function () {
+    let steps = 0;
+    const { processor } = processorWith(
+      {},
+      { syncLease: async () => (steps += 1) < 2 }
+    );
+    await processor.processRequest("tx-0");
+    expect(request().status).to.equal("quoted");
+
+    const stopping = processorWith({}, { isStopping: () => true });
+    await stopping.processor.processRequest("tx-0");
+    expect(request().status).to.equal("ordered");
+    expect(stopping.ran).to.deep.equal(["order"]);
+  });
+});
@@ -0,0 +1,282 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import {
+  createFileLeaseStore,
+  createMemoryLeaseStore,
+} from "../contracts/CDR/leaseStore.js";
+import { createRequestQueue } from "../contracts/CDR/requestQueue.js";
+
+const CONTRACT = "0x00000000000000000000000000000000000000A1";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("timed out");
+    await sleep(5);
+  }
+}
+
+describe("request queue", function () {
+  let workDir;
+  let store;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-queue-"));
+    store = openRelayerStore(path.join(workDir, "state.json"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  function journal(eventKey, fields) {
+    store.put("requests", eventKey, {
+      eventKey,
+      reqId: eventKey,
+      status: "received",
+      poolAddress: null,
+      history: [],
+      ...fields,
+    });
+  }
+
+  // A `run` whose calls stay open until released by event key
+  function controlledRun() {
+    const started = [];
+    const release = new Map();
+    return {
+      started,
+      release: (eventKey) => release.get(eventKey)(),
+      run: (eventKey) =>
+        new Promise((resolve) => {
+          started.push(eventKey);
+          release.set(eventKey, resolve);
+        }),
+    };
+  }
+
+  it("never overlaps requests of one user and keeps their order", async function () {
+    journal("a1", { user: "0xAAA" });
+    journal("a2", { user: "0xaaa" });
+    journal("b1", { user: "0xBBB" });
+    const runner = controlledRun();
+    const queue = createRequestQueue({
+      store,
+      leases: createMemoryLeaseStore({ owner: "me", ttlMs: 1000 }),
+      contractAddress: CONTRACT,
+      concurrency: 3,
+      leaseTtlMs: 1000,
+      run: runner.run,
+    });
+
+    ["a1", "a2", "b1"].forEach(queue.enqueue);
+    await waitFor(() => runner.started.length === 2);
+    await sleep(20);
+    expect(runner.started).to.deep.equal(["a1", "b1"]);
+    expect(queue.queued()).to.deep.equal(["a2"]);
+
+    runner.release("a1");
+    await waitFor(() => runner.started.length === 3);
+    expect(runner.started[2]).to.equal("a2");
+    runner.release("a2");
+    runner.release("b1");
+    await waitFor(() => queue.running().length === 0);
+  });
+
+  it("holds a request back behind an earlier one for the same pool", async function () {
+    journal("a", { user: "0xAAA", poolAddress: "0xPOOL" });
+    journal("b", { user: "0xBBB", poolAddress: "0xpool" });
+    const runner = controlledRun();
+    const queue = createRequestQueue({
+      store,
+      leases: createMemoryLeaseStore({ owner: "me", ttlMs: 1000 }),
+      contractAddress: CONTRACT,
+      concurrency: 2,
+      leaseTtlMs: 1000,
+      run: runner.run,
+    });
+
+    queue.enqueue("a");
+    queue.enqueue("b");
+    await waitFor(() => runner.started.length === 1);
+    await sleep(20);
+    expect(runner.started).to.deep.equal(["a"]);
+    runner.release("a");
+    await waitFor(() => runner.started.length === 2);
+    runner.release("b");
+  });
+
+  it("keeps a deferred request's user busy until it is finished", async function () {
+    journal("a1", { user: "0xAAA" });
+    journal("a2", { user: "0xAAA" });
+    const ran = [];
+    const queue = createRequestQueue({
+      store,
+      leases: createMemoryLeaseStore({ owner: "me", ttlMs: 1000 }),
+      contractAddress: CONTRACT,
+      concurrency: 2,
+      leaseTtlMs: 1000,
+      run: async (eventKey) => {
+        ran.push(eventKey);
+        // a1 defers on its first run, as a price hold or backoff would
+        if (eventKey === "a1" && ran.length === 1) {
+          queue.enqueueLater(eventKey, 50);
+          return;
+        }
+        store.update("requests", eventKey, { status: "url_recorded" });
+      },
+    });
+
+    queue.enqueue("a1");
+    queue.enqueue("a2");
+    await sleep(20);
+    expect(ran).to.deep.equal(["a1"]);
+    expect(queue.queued()).to.deep.equal(["a2"]);
+
+    await waitFor(() => ran.length === 3);
+    expect(ran).to.deep.equal(["a1", "a1", "a2"]);
+  });
+
+  describe("leases", function () {
+    let leaseDir;
+    let other;
+
+    beforeEach(function () {
+      leaseDir = path.join(workDir, "leases");
+      other = createFileLeaseStore({
+        dir: leaseDir,
+        owner: "other",
+        ttlMs: 50,
+      });
+    });
+
+    function queueFor(run) {
+      return createRequestQueue({
+        store,
+        leases: createFileLeaseStore({
+          dir: leaseDir,
+          owner: "me",
+          ttlMs: 1000,
+        }),
+        contractAddress: CONTRACT,
+        leaseTtlMs: 50,
+        run,
+      });
+    }
+
+    const leaseKey = (reqId) => `${CONTRACT.toLowerCase()}-${reqId}`;
+    const userLeaseKey = (user) =>
+      `${CONTRACT.toLowerCase()}-user-${user.toLowerCase()}`;
+
+    it("holds a request back while another instance works for its user", async function () {
+      journal("3", { user: "0xAAA" });
+      await other.acquire(userLeaseKey("0xAAA"), { state: "request 2" });
+      const heartbeat = setInterval(
+        () => other.renew(userLeaseKey("0xAAA")),
+        10
+      );
+      const ran = [];
+      const queue = queueFor(async (eventKey) => {
+        ran.push(eventKey);
+        store.update("requests", eventKey, { status: "url_recorded" });
+      });
+
+      try {
+        queue.enqueue("3");
+        await sleep(150);
+        expect(ran).to.deep.equal([]);
+        expect(queue.leasesHeld()).to.equal(0);
+      } finally {
+        clearInterval(heartbeat);
+      }
+
+      await other.release(userLeaseKey("0xAAA"));
+      await waitFor(() => ran.length === 1);
+      await waitFor(() => queue.leasesHeld() === 0);
+      // Its user is free again for the other instance
+      expect((await other.acquire(userLeaseKey("0xAAA"))).acquired).to.equal(
+        true
+      );
+      queue.stop();
+    });
+
+    it("leaves a request to the instance holding its lease, until it is done", async function () {
+      journal("7", { user: "0xAAA" });
+      await other.acquire(leaseKey("7"), { state: "received" });
+      // Keep the other instance's lease alive while we look
+      const heartbeat = setInterval(() => other.renew(leaseKey("7")), 10);
+      const ran = [];
+      const queue = queueFor(async (eventKey) => ran.push(eventKey));
+
+      try {
+        queue.enqueue("7");
+        await sleep(150);
+        expect(ran).to.deep.equal([]);
+      } finally {
+        clearInterval(heartbeat);
+      }
+
+      await other.release(leaseKey("7"), { done: true, state: "url_recorded" });
+      await waitFor(() => store.get("requests", "7").status !== "received");
+      expect(store.get("requests", "7")).to.include({
+        status: "handled_elsewhere",
+        handledBy: "other",
+      });
+      expect(ran).to.deep.equal([]);
+      queue.stop();
+    });
+
+    it("takes over a dead instance's request only before anything was bought", async function () {
+      journal("1", { user: "0xAAA", status: "priced" });
+      journal("2", { user: "0xBBB", status: "ordered" });
+      await other.acquire(leaseKey("1"), { state: "priced" });
+      await other.acquire(leaseKey("2"), { state: "ordered" });
+      await sleep(60);
+
+      const ran = [];
+      const queue = queueFor(async (eventKey) => ran.push(eventKey));
+      queue.enqueue("1");
+      queue.enqueue("2");
+      await waitFor(() => store.get("requests", "2").status === "failed");
+      await waitFor(() => ran.length === 1);
+
+      expect(ran).to.deep.equal(["1"]);
+      expect(store.get("deadLetters", "2")).to.include({
+        failedStep: "lease",
+        resumeState: "ordered",
+      });
+      // The lease stays at the dead owner's state, so nobody resumes it
+      const { lease } = await other.acquire(leaseKey("2"));
+      expect(lease).to.include({ owner: "me", state: "ordered" });
+      // Request 1 is unfinished, so its user lease stays held too
+      expect(queue.leasesHeld()).to.equal(3);
+      expect((await other.acquire(userLeaseKey("0xAAA"))).reason).to.equal(
+        "held"
+      );
+      expect((await other.acquire(userLeaseKey("0xBBB"))).acquired).to.equal(
+        true
+      );
+    });
+
+    it("turns the lease of a finished request into a done marker", async function () {
+      journal("9", { user: "0xAAA" });
+      const queue = queueFor(async (eventKey) =>
+        store.update("requests", eventKey, { status: "url_recorded" })
+      );
+      queue.enqueue("9");
+      await waitFor(
+        () => queue.running().length === 0 && queue.leasesHeld() === 0
+      );
+      await sleep(10);
+
+      const result = await other.acquire(leaseKey("9"));
+      expect(result).to.include({ acquired: false, reason: "done" });
+      expect(result.lease).to.include({ owner: "me", state: "url_recorded" });
+    });
+  });
+});
@@ -0,0 +1,383 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import { createRequestSteps } from "../contracts/CDR/requestSteps.js";
+import {
+  QuoteExpiredError,
+  RequestDeferredError,
+  RequestRejectedError,
+  StepFailedError,
+} from "../contracts/CDR/relayerErrors.js";
+import {
+  getOrderRecord,
+  markOrderPlacing,
+} from "../contracts/CDR/orderRegistry.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected the step to throw");
+}
+
+// Carbonmark stand-in: answers from `orders` (orderId -> order) and counts
+// the quotes and orders it was asked for
+function fakeCarbonmark() {
+  const calls = { quotes: 0, orders: 0, lookups: 0 };
+  const carbonmark = {
+    calls,
+    orders: new Map(),
+    quoteExpiresAt: new Date(Date.now() + HOUR_MS).toISOString(),
+    async createQuote(sourceId, tonnes) {
+      calls.quotes += 1;
+      return {
+        uuid: `quote-${calls.quotes}`,
+        price_per_tonne: 0.5,
+        quantity_tonnes: tonnes,
+        expires_at: carbonmark.quoteExpiresAt,
+      };
+    },
+    async createOrder(quoteUuid) {
+      calls.orders += 1;
+      if (carbonmark.expireOrders) {
+        throw new QuoteExpiredError(`Quote ${quoteUuid} expired`, {
+          quoteUuid,
+        });
+      }
+      const order = { id: `order-${calls.orders}`, quote_uuid: quoteUuid };
+      carbonmark.orders.set(order.id, { ...order, status: "PENDING" });
+      return order;
+    },
+    async findOrderByQuote(quoteUuid) {
+      calls.lookups += 1;
+      return (
+        [...carbonmark.orders.values()].find(
+          (order) => order.quote_uuid === quoteUuid
+        ) || null
+      );
+    },
+    async checkOrderOutcome(orderId) {
+      const order = carbonmark.orders.get(orderId);
+      if (order.status === "FAILED") {
+        throw new StepFailedError(`Order failed: ${orderId}`, {
+          resumeState: "priced",
+        });
+      }
+      return order.status === "COMPLETED" ? order : null;
+    },
+  };
+  return carbonmark;
+}
+
+describe("request steps", function () {
+  let workDir;
+  let store;
+  let carbonmark;
+  let posted;
+  let writes;
+  let plan;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-steps-"));
+    store = openRelayerStore(path.join(workDir, "state.json"));
+    carbonmark = fakeCarbonmark();
+    posted = [];
+    writes = [];
+    plan = null;
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  function stepsWith(options = {}) {
+    return createRequestSteps({
+      store,
+      carbonmark,
+      planPurchase: async () => plan,
+      batches: {
+        async joinBatch() {
+          return { id: "b1" };
+        },
+        settleBatch() {},
+      },
+      ledger: {
+        postPayment: (request) => posted.push(["payment", request.reqId]),
+        postRetirementCost: (request, component) =>
+          posted.push(["cost", component.orderId]),
+        postRevenue: (request) => posted.push(["revenue", request.reqId]),
+      },
+      poolWriter: {
+        async updatePoolRetirementUrl(pool, url) {
+          writes.push(["url", url]);
+          return `0xurl${writes.length}`;
+        },
+        async recordPoolRetirement(request, component) {
+          writes.push(["record", component.index]);
+          return `0xrecord${writes.length}`;
+        },
+      },
+      orderPollMs: 1000,
+      orderSweepMs: 60000,
+      ...options,
+    });
+  }
+
+  function journal(fields = {}) {
+    return store.put("requests", "tx-0", {
+      eventKey: "tx-0",
+      reqId: "5",
+      user: "0xAAA",
+      hbarAmount: "1000000000",
+      poolAddress: "0xPOOL",
+      status: "priced",
+      receivedAt: new Date().toISOString(),
+      history: [],
+      components: [0, 1].map((index) => ({
+        index,
+        share: 0.5,
+        projectId: `VCS-${index}`,
+        priceSourceId: `source-${index}`,
+        pricePerTonne: 0.5,
+        tonnes: 1,
+        status: "priced",
+      })),
+      ...fields,
+    });
+  }
+
+  const component = (index) => store.get("requests", "tx-0").components[index];
+
+  describe("price", function () {
+    it("rejects a request whose selected listings break its price bounds", async function () {
+      const request = journal({ status: "received", components: undefined });
+      plan = {
+        hbarUsdRate: 0.1,
+        usdValue: 1,
+        priceProtection: { maxPricePerTonne: 0.4, onPriceBreach: "refund" },
+        components: [{ index: 0, pricePerTonne: 0.5, tonnes: 2 }],
+      };
+      const err = await rejection(stepsWith().price(request));
+      expect(err).to.be.instanceOf(RequestRejectedError);
+      expect(err.reason).to.match(/above maxPricePerTonne/);
+      expect(posted).to.deep.equal([["payment", "5"]]);
+    });
+
+    it("pools a request too small for any listing", async function () {
+      const request = journal({ status: "received", components: undefined });
+      plan = { hbarUsdRate: 0.1, usdValue: 0.0001, batchCriteria: {} };
+      expect(await stepsWith().price(request)).to.include({
+        status: "batched",
+        batchId: "b1",
+        tonnes: 0,
+      });
+    });
+  });
+
+  describe("quote", function () {
+    it("quotes every component once and reuses live quotes on a retry", async function () {
+      const steps = stepsWith();
+      await steps.quote(journal());
+      expect(carbonmark.calls.quotes).to.equal(2);
+      expect(component(1)).to.include({
+        quoteUuid: "quote-2",
+        status: "quoted",
+      });
+
+      await steps.quote(store.get("requests", "tx-0"));
+      expect(carbonmark.calls.quotes).to.equal(2);
+    });
+
+    it("replaces a quote about to expire", async function () {
+      const steps = stepsWith({ quoteExpiryMarginMs: 30000 });
+      carbonmark.quoteExpiresAt = new Date(Date.now() + 1000).toISOString();
+      await steps.quote(journal());
+      carbonmark.quoteExpiresAt = new Date(Date.now() + HOUR_MS).toISOString();
+
+      await steps.quote(store.get("requests", "tx-0"));
+      expect(carbonmark.calls.quotes).to.equal(4);
+      expect(getOrderRecord(store, "5:0").superseded[0]).to.include({
+        quoteUuid: "quote-1",
+        state: "expired",
+      });
+    });
+  });
+
+  describe("order", function () {
+    it("finds an order lost mid-call by its quote instead of buying twice", async function () {
+      const request = journal({ components: undefined });
+      request.components = [{ ...journal().components[0] }];
+      store.put("requests", "tx-0", request);
+      await stepsWith().quote(store.get("requests", "tx-0"));
+      // A previous attempt created the order but crashed before saving it
+      markOrderPlacing(store, "5:0");
+      carbonmark.orders.set("order-lost", {
+        id: "order-lost",
+        quote_uuid: "quote-1",
+        status: "PENDING",
+      });
+
+      await stepsWith().order(store.get("requests", "tx-0"));
+      expect(carbonmark.calls.orders).to.equal(0);
+      expect(component(0)).to.include({
+        orderId: "order-lost",
+        status: "ordered",
+      });
+    });
+
+    it("sends components whose quote expired back for a fresh quote", async function () {
+      await stepsWith().quote(journal());
+      carbonmark.expireOrders = true;
+
+      const result = await stepsWith().order(store.get("requests", "tx-0"));
+      expect(result).to.deep.equal({ status: "priced" });
+      expect(component(0)).to.include({ quoteUuid: null, status: "expired" });
+      expect(getOrderRecord(store, "5:0").state).to.equal("expired");
+    });
+  });
+
+  describe("complete", function () {
+    async function ordered() {
+      const steps = stepsWith();
+      await steps.quote(journal());
+      await steps.order(store.get("requests", "tx-0"));
+      store.update("requests", "tx-0", {
+        status: "ordered",
+        tonnes: 2,
+        history: [{ status: "ordered", at: new Date().toISOString() }],
+      });
+      return steps;
+    }
+
+    it("keeps finished components and defers while an order is open", async function () {
+      const steps = await ordered();
+      carbonmark.orders.get("order-1").status = "COMPLETED";
+      carbonmark.orders.get("order-1").view_retirement_url = "https://r/1";
+
+      const err = await rejection(
+        steps.complete(store.get("requests", "tx-0"))
+      );
+      expect(err).to.be.instanceOf(RequestDeferredError);
+      expect(err.retryAfterMs).to.equal(1000);
+      expect(component(0)).to.include({
+        status: "completed",
+        retirementUrl: "https://r/1",
+      });
+      expect(posted).to.deep.equal([["cost", "order-1"]]);
+
+      carbonmark.orders.get("order-2").status = "COMPLETED";
+      const { retirements } = await steps.complete(
+        store.get("requests", "tx-0")
+      );
+      expect(retirements.map((r) => r.orderId)).to.deep.equal([
+        "order-1",
+        "order-2",
+      ]);
+      expect(posted.slice(1)).to.deep.equal([
+        ["cost", "order-2"],
+        ["revenue", "5"],
+      ]);
+    });
+
+    it("refunds a failed basket component pro rata and retires the rest", async function () {
+      const steps = await ordered();
+      carbonmark.orders.get("order-1").status = "COMPLETED";
+      carbonmark.orders.get("order-1").view_retirement_url = "https://r/1";
+      carbonmark.orders.get("order-2").status = "FAILED";
+
+      const { retirements, tonnes } = await steps.complete(
+        store.get("requests", "tx-0")
+      );
+      expect(retirements.map((r) => r.orderId)).to.deep.equal(["order-1"]);
+      expect(tonnes).to.equal(1);
+      expect(component(1)).to.include({
+        status: "refunded",
+        refundTinybars: "500000000",
+        refundStatus: "queued",
+      });
+      expect(store.get("refunds", "tx-0:1")).to.include({
+        requestKey: "tx-0",
+        componentIndex: 1,
+        requestedTinybars: "500000000",
+        status: "queued",
+      });
+      expect(getOrderRecord(store, "5:1").state).to.equal("failed");
+      expect(posted).to.deep.equal([
+        ["cost", "order-1"],
+        ["revenue", "5"],
+      ]);
+
+      // Later steps leave the refunded component alone
+      await steps.record_url(store.get("requests", "tx-0"));
+      expect(writes.map(([kind]) => kind)).to.deep.equal(["url", "record"]);
+    });
+
+    it("frees the last live component for a fresh quote when it fails", async function () {
+      const steps = await ordered();
+      carbonmark.orders.get("order-1").status = "FAILED";
+      carbonmark.orders.get("order-2").status = "FAILED";
+
+      const err = await rejection(
+        steps.complete(store.get("requests", "tx-0"))
+      );
+      expect(err).to.be.instanceOf(StepFailedError);
+      expect(err.resumeState).to.equal("priced");
+      // The first still had a live sibling when it failed, the second did not
+      expect(component(0).status).to.equal("refunded");
+      expect(component(1)).to.include({
+        status: "failed",
+        orderId: null,
+        quoteUuid: null,
+      });
+      expect(getOrderRecord(store, "5:1").state).to.equal("failed");
+      expect(store.has("refunds", "tx-0:1")).to.equal(false);
+    });
+  });
+
+  describe("record_url", function () {
+    it("writes each component to its pool once", async function () {
+      journal({ status: "completed" });
+      store.update("requests", "tx-0", {
+        components: [0, 1].map((index) => ({
+          ...component(index),
+          retirementUrl: `https://r/${index}`,
+        })),
+      });
+      const steps = stepsWith();
+
+      await steps.record_url(store.get("requests", "tx-0"));
+      expect(writes).to.deep.equal([
+        ["url", "https://r/0"],
+        ["record", 0],
+        ["url", "https://r/1"],
+        ["record", 1],
+      ]);
+      expect(component(1)).to.include({
+        urlTxHash: "0xurl3",
+        recordTxHash: "0xrecord4",
+      });
+
+      await steps.record_url(store.get("requests", "tx-0"));
+      expect(writes).to.have.length(4);
+    });
+
+    it("queues HCS receipts instead of publishing them in the step", async function () {
+      journal({ status: "completed" });
+      await stepsWith({ hcsReceipts: true }).record_url(
+        store.get("requests", "tx-0")
+      );
+      expect(
+        store.list("receipts").map(({ key, status }) => [key, status])
+      ).to.deep.equal([
+        ["tx-0:0", "queued"],
+        ["tx-0:1", "queued"],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import { expect } from "chai";
+import { PrivateKey } from "@hashgraph/sdk";
+import { ethers } from "ethers";
+import { spawn } from "child_process";
+import fetch from "node-fetch";
+import fs from "fs";
+import http from "http";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadSigner, hasSignerConfig } from "../signerBackends.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REMOTE_SIGNER_PATH = path.join(__dirname, "../remoteSignerServer.js");
+
+// Hardhat's first two default accounts
+const KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const ADDRESS = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const OTHER_KEY =
+  "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function loadError(env) {
+  try {
+    await loadSigner(null, { env });
+  } catch (err) {
+    return err.message;
+  }
+  throw new Error("signer loaded");
+}
+
+describe("signer backends", function () {
+  let workDir;
+
+  before(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "signer-backends-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("loads a raw private key, also under a prefix", async function () {
+    expect(
+      (await loadSigner(null, { env: { PRIVATE_KEY: KEY } })).address
+    ).to.equal(ADDRESS);
+    const env = { PRIVATE_KEY: OTHER_KEY, TREASURY_PRIVATE_KEY: KEY };
+    expect(
+      (await loadSigner(null, { env, prefix: "TREASURY_" })).address
+    ).to.equal(ADDRESS);
+    expect(hasSignerConfig({ env: {}, prefix: "TREASURY_" })).to.equal(false);
+    expect(await loadError({})).to.match(/Missing PRIVATE_KEY/);
+  });
+
+  it("decrypts a keystore with the passphrase from a file", async function () {
+    const keystorePath = path.join(workDir, "keystore.json");
+    const passphraseFile = path.join(workDir, "passphrase");
+    fs.writeFileSync(
+      keystorePath,
+      await ethers.encryptKeystoreJson(
+        { address: ADDRESS, privateKey: KEY },
+        "correct horse",
+        { scrypt: { N: 1024 } }
+      )
+    );
+    fs.writeFileSync(passphraseFile, "correct horse\n");
+    const env = {
+      SIGNER_BACKEND: "keystore",
+      KEYSTORE_PATH: keystorePath,
+      KEYSTORE_PASSPHRASE_FILE: passphraseFile,
+    };
+    expect((await loadSigner(null, { env })).address).to.equal(ADDRESS);
+
+    fs.writeFileSync(passphraseFile, "wrong\n");
+    expect(await loadError(env)).to.match(/password/i);
+  });
+
+  it("reads a DER-encoded Hedera ECDSA key and refuses ED25519", async function () {
+    const key = PrivateKey.generateECDSA();
+    const signer = await loadSigner(null, {
+      env: { SIGNER_BACKEND: "hedera-der", HEDERA_DER_KEY: key.toStringDer() },
+    });
+    expect(signer.address).to.equal(
+      new ethers.Wallet(`0x${key.toStringRaw()}`).address
+    );
+
+    expect(
+      await loadError({
+        SIGNER_BACKEND: "hedera-der",
+        HEDERA_DER_KEY: PrivateKey.generateED25519().toStringDer(),
+      })
+    ).to.match(/ECDSA \(secp256k1\) key/);
+  });
+
+  it("rejects an unknown backend", async function () {
+    expect(await loadError({ SIGNER_BACKEND: "hsm" })).to.match(
+      /Unknown SIGNER_BACKEND "hsm"/
+    );
+  });
+
+  describe("remote", function () {
+    let remote;
+    let remoteUrl;
+
+    before(async function () {
+      this.timeout(30000);
+      const port = await freePort();
+      remoteUrl = `http://127.0.0.1:${port}`;
+      remote = spawn(process.execPath, [REMOTE_SIGNER_PATH], {
+        env: {
+          ...process.env,
+          REMOTE_SIGNER_KEY_PRIVATE_KEY: KEY,
+          REMOTE_SIGNER_PORT: String(port),
+          REMOTE_SIGNER_TOKEN: "s3cret",
+        },
+        stdio: "ignore",
+      });
+      const deadline = Date.now() + 20000;
+      for (;;) {
+        try {
+          await fetch(`${remoteUrl}/address`);
+          break;
+        } catch {
+          if (remote.exitCode !== null || Date.now() > deadline) {
+            throw new Error("Remote signer did not start");
+          }
+          await sleep(200);
+        }
+      }
+    });
+
+    after(async function () {
+      if (remote && remote.exitCode === null) {
+        const exited = new Promise((resolve) => remote.once("exit", resolve));
+        remote.kill("SIGTERM");
+        await exited;
+      }
+    });
+
+    const remoteEnv = (token = "s3cret") => ({
+      SIGNER_BACKEND: "remote",
+      REMOTE_SIGNER_URL: remoteUrl,
+      REMOTE_SIGNER_TOKEN: token,
+    });
+
+    it("signs transactions and messages without holding the key", async function () {
+      const signer = await loadSigner(null, { env: remoteEnv() });
+      expect(signer.address).to.equal(ADDRESS);
+
+      const raw = await signer.signTransaction({
+        type: 2,
+        chainId: 296,
+        nonce: 0,
+        to: ethers.ZeroAddress,
+        value: 1n,
+        gasLimit: 21000n,
+        maxFeePerGas: 1n,
+        maxPriorityFeePerGas: 1n,
+      });
+      expect(ethers.Transaction.from(raw).from).to.equal(ADDRESS);
+      expect(
+        ethers.verifyMessage("hello", await signer.signMessage("hello"))
+      ).to.equal(ADDRESS);
+    });
+
+    it("needs the bearer token", async function () {
+      expect(await loadError(remoteEnv("wrong"))).to.match(/401/);
+    });
+
+    it("refuses a signature made with another key", async function () {
+      // A signer service that answers for one key and signs with another
+      const other = new ethers.Wallet(OTHER_KEY);
+      const rogue = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(
+            JSON.stringify(
+              req.url === "/address"
+                ? { address: ADDRESS }
+                : {
+                    signature: other.signingKey.sign(JSON.parse(body).digest)
+                      .serialized,
+                  }
+            )
+          );
+        });
+      });
+      await new Promise((resolve) => rogue.listen(0, "127.0.0.1", resolve));
+      try {
+        const signer = await loadSigner(null, {
+          env: {
+            SIGNER_BACKEND: "remote",
+            REMOTE_SIGNER_URL: `http://127.0.0.1:${rogue.address().port}`,
+          },
+        });
+        let error = null;
+        try {
+          await signer.signMessage("hello");
+        } catch (err) {
+          error = err;
+        }
+        expect(error && error.message).to.match(/signature for another key/);
+      } finally {
+        rogue.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openRelayerStore } from "../contracts/CDR/relayerStore.js";
+import {
+  planSweep,
+  reservedForRefunds,
+  recoverInterruptedSweeps,
+} from "../contracts/CDR/treasurySweeps.js";
+
+describe("treasury sweeps", function () {
+  let workDir;
+  let store;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-sweeps-"));
+    store = openRelayerStore(path.join(workDir, "state.json"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("sweeps only what is above the float and the refund reserve", function () {
+    store.put("refunds", "a", { status: "queued", requestedTinybars: "300" });
+    store.put("refunds", "b", {
+      status: "sending",
+      requestedTinybars: "900",
+      amountTinybars: "200",
+    });
+    store.put("refunds", "c", { status: "sent", amountTinybars: "5000" });
+    const reservedTinybars = reservedForRefunds(store);
+    expect(reservedTinybars).to.equal(500n);
+
+    const plan = (balanceTinybars, minSweepTinybars) =>
+      planSweep({
+        balanceTinybars,
+        floatTinybars: 1000n,
+        reservedTinybars,
+        minSweepTinybars,
+      });
+    expect(plan(2000n, 100n)).to.equal(500n);
+    expect(plan(1550n, 100n)).to.equal(0n);
+    expect(plan(1400n, 1n)).to.equal(0n);
+  });
+
+  it("keeps what pending requests paid while one is held for its price", function () {
+    store.put("requests", "held", {
+      status: "received",
+      hbarAmount: "700",
+      deferredReason: "price above maxPricePerTonne",
+    });
+    store.put("requests", "basket", {
+      status: "ordered",
+      hbarAmount: "1000",
+      components: [
+        { index: 0, status: "ordered" },
+        { index: 1, status: "refunded", refundTinybars: "400" },
+      ],
+    });
+    store.put("refunds", "basket:1", {
+      status: "queued",
+      requestedTinybars: "400",
+    });
+    store.put("requests", "small", { status: "batched", hbarAmount: "50" });
+    store.put("requests", "batch-1", {
+      kind: "batch",
+      status: "ordered",
+      hbarAmount: "50",
+    });
+    store.put("requests", "done", { status: "completed", hbarAmount: "900" });
+    store.put("requests", "gone", { status: "rejected", hbarAmount: "900" });
+
+    const reservedTinybars = reservedForRefunds(store);
+    expect(reservedTinybars).to.equal(700n + 1000n + 50n);
+    // Sweeping now leaves the held request's HBAR in the contract
+    expect(
+      planSweep({
+        balanceTinybars: 3000n,
+        floatTinybars: 1000n,
+        reservedTinybars,
+      })
+    ).to.equal(250n);
+  });
+
+  it("settles interrupted sweeps from their receipts", async function () {
+    const sweep = (id, fields) =>
+      store.put("treasurySweeps", id, {
+        id,
+        to: "0xtreasury",
+        amountTinybars: "1000",
+        status: "sending",
+        startedAt: "2026-06-01T00:00:00.000Z",
+        ...fields,
+      });
+    sweep("sweep-1", { txHash: "0xmined" });
+    sweep("sweep-2", { txHash: "0xreverted" });
+    sweep("sweep-3", { txHash: "0xpending" });
+    sweep("sweep-4", {});
+    sweep("sweep-5", { status: "sent", txHash: "0xold" });
+
+    const receipts = {
+      "0xmined": { status: 1, blockNumber: 7 },
+      "0xreverted": { status: 0, blockNumber: 8 },
+    };
+    const booked = [];
+    const recovered = await recoverInterruptedSweeps(store, {
+      getReceipt: async (txHash) => receipts[txHash] || null,
+      onSent: async (record, receipt) => booked.push([record.id, receipt]),
+    });
+
+    expect(
+      recovered.map(({ sweep, outcome }) => [sweep.id, outcome])
+    ).to.deep.equal([
+      ["sweep-1", "sent"],
+      ["sweep-2", "failed"],
+      ["sweep-3", "pending"],
+      ["sweep-4", "unknown"],
+    ]);
+    expect(booked).to.deep.equal([["sweep-1", receipts["0xmined"]]]);
+    const status = (id) => store.get("treasurySweeps", id);
+    expect(status("sweep-1").status).to.equal("sent");
+    expect(status("sweep-1").blockNumber).to.equal(7);
+    expect(status("sweep-2").status).to.equal("failed");
+    expect(status("sweep-2").lastError).to.match(/reverted/);
+    expect(status("sweep-3").status).to.equal("sending");
+    expect(status("sweep-4").status).to.equal("unknown");
+  });
+});
@@ -2,6 +2,7 @@ import { ethers } from "ethers";
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
+import { loadSigner } from "./signerBackends.js";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -35,12 +36,8 @@ async function testOffset() {
       nameResolver: null,
     });
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-      throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const wallet = new ethers.Wallet(privateKey, provider);
+    // PRIVATE_KEY, keystore, Hedera DER key or remote signer (SIGNER_BACKEND)
+    const wallet = await loadSigner(provider);
     console.log(`👤 Using account: ${wallet.address}`);
     const balance = await provider.getBalance(wallet.address);
     console.log(`💰 Account balance: ${ethers.formatEther(balance)} HBAR\n`);
@@ -89,7 +86,12 @@ async function testOffset() {
       beneficiary_address: "0x8f3A8f7A3B1c4dE7a1F3B29A2A0C88Ff7b47D912",
     });
 
-    const hbarAmount = 10; 
+    const poolAddress = process.env.OFFSET_POOL_ADDRESS;
+    if (!poolAddress) {
+      throw new Error("Set OFFSET_POOL_ADDRESS to the pool to offset for");
+    }
+
+    const hbarAmount = 10;
     const valueInTinybars = ethers.parseUnits(hbarAmount.toString(), 8); // Converts to tinybars (1e8 per HBAR)
 
     console.log(`📝 Metadata: ${metadata}`);
@@ -100,12 +102,17 @@ async function testOffset() {
     // Simple contract call with parameters and value
     console.log(`📝 Calling requestOffset with ${hbarAmount} HBAR...`);
 
-    // Call contract method with amount parameter
-    // Note: We're not sending value since we removed the msg.value check
-    // The amount parameter is what matters for the event
-    const tx = await contract.requestOffset(metadata, valueInTinybars, {
-      gasLimit: 1000000, // Set max gas
-    });
+    // msg.value must equal the amount. The JSON-RPC relay takes value in
+    // weibars (18 decimals), which reach the contract as tinybars.
+    const tx = await contract.requestOffset(
+      metadata,
+      valueInTinybars,
+      poolAddress,
+      {
+        value: ethers.parseEther(hbarAmount.toString()),
+        gasLimit: 1000000, // Set max gas
+      }
+    );
 
     console.log(`⏳ Transaction submitted: ${tx.hash}`);
     console.log(`⏳ Waiting for confirmation...`);